@@ -61,10 +61,17 @@ function extraerDatosIG(configuracion) {
         if (!configuracion.campos || !Array.isArray(configuracion.campos)) {
             throw new Error('campos debe ser un array');
         }
-        if (!configuracion.campoDestino) {
+        // En modo DML el payload puede retornarse sin escribirlo en un item
+        var modoDml = configuracion.modo === 'dml';
+        if (!configuracion.campoDestino && !modoDml) {
             throw new Error('campoDestino es obligatorio');
         }
         
+        // Modo asíncrono: traer todas las páginas del servidor antes de extraer (retorna una Promise)
+        if (configuracion.todasLasPaginas) {
+            return extraerTodasLasPaginasIG(configuracion);
+        }
+        
         // Obtener el Interactive Grid
         var ig$ = apex.region(configuracion.regionId).widget().interactiveGrid("getViews", "grid");
         var model = ig$.model;
@@ -79,9 +86,79 @@ function extraerDatosIG(configuracion) {
         function obtenerValorReal(valorObj) {
             return valorObj?.v !== undefined ? valorObj.v : valorObj;
         }
-        
+
+        // Función auxiliar para obtener el texto visible de un poplov ({v, d}); sin display se usa el valor
+        function obtenerValorDisplay(valorObj) {
+            if (valorObj !== null && typeof valorObj === 'object' && valorObj.d !== undefined) {
+                return valorObj.d;
+            }
+            return obtenerValorReal(valorObj);
+        }
+
+        // Función auxiliar para obtener el alias de la columna display de un campo (null si no se solicita)
+        function obtenerAliasDisplay(configCampo) {
+            if (configCampo.aliasDisplay) {
+                return configCampo.aliasDisplay;
+            }
+            if (configCampo.incluirDisplay) {
+                return (configCampo.alias || configCampo.nombre.toLowerCase()) + '_display';
+            }
+            return null;
+        }
+
+        // Función auxiliar para obtener el valor final de un campo (poplov + tipo + transformación)
+        function obtenerValorCampo(configCampo, valorBruto) {
+            var valor = obtenerValorReal(valorBruto);
+            if (configCampo.tipo) {
+                valor = convertirTipoIG(valor, configCampo.tipo, configCampo.formato, configCampo.nombre);
+            }
+            if (configCampo.transformacion && typeof configCampo.transformacion === 'function') {
+                valor = configCampo.transformacion(valor);
+            }
+            return valor;
+        }
+
+        // Alcance de la extracción (todos, seleccionados, modificados, insertados, actualizados, eliminados)
+        // El modo DML solo considera filas con cambios salvo que se indique otro alcance
+        var alcances = normalizarAlcanceIG(configuracion.alcance || configuracion.scope || (modoDml ? 'modificados' : null));
+        var filasDml = [];
+        var idsSeleccionados = null;
+
+        // Filas descartadas por obligatorio, condicion o errores de transformación
+        var rechazados = [];
+        function registrarRechazo(record, campo, motivo, mensaje) {
+            rechazados.push({
+                id: model.getRecordId(record),
+                campo: campo,
+                motivo: motivo,
+                mensaje: mensaje
+            });
+        }
+
+        if (alcances.indexOf('seleccionados') !== -1) {
+            idsSeleccionados = {};
+            (ig$.getSelectedRecords() || []).forEach(function(seleccionado) {
+                idsSeleccionados[model.getRecordId(seleccionado)] = true;
+            });
+        }
+
         // Recorrer todos los registros del modelo
         model.forEach(function(record) {
+            // Omitir registros fuera del alcance solicitado
+            if (!registroEnAlcanceIG(record, model, alcances, idsSeleccionados)) {
+                return;
+            }
+
+            // En modo DML determinar la operación antes de procesar los campos
+            var operacion = modoDml ? operacionDmlIG(obtenerEstadoRegistroIG(record, model)) : null;
+            if (modoDml && !operacion) {
+                return; // Registro sin cambios
+            }
+            if (operacion === 'D') {
+                filasDml.push({ operacion: 'D', pk: model.getRecordId(record) });
+                return;
+            }
+
             var registro = {};
             var incluirRegistro = true;
             
@@ -94,2679 +171,7142 @@ function extraerDatosIG(configuracion) {
                 var campoNormalizado = normalizarCampo(nombreCampo);
                 
                 var valorBruto = model.getValue(record, campoNormalizado);
-                var valorFinal = obtenerValorReal(valorBruto);
-                
-                
-                if (configCampo.transformacion && typeof configCampo.transformacion === 'function') {
-                    valorFinal = configCampo.transformacion(valorFinal);
+                var valorFinal;
+
+                // Un error de tipo o de transformación rechaza la fila en lugar de abortar la extracción
+                try {
+                    valorFinal = obtenerValorCampo(configCampo, valorBruto);
+                } catch (errorCampo) {
+                    incluirRegistro = false;
+                    registrarRechazo(record, nombreCampo, 'transformacion', errorCampo.message);
+                    return;
                 }
                 
                 // Verifica si la condición si existe
                 if (condicion && typeof condicion === 'function') {
                     if (!condicion(valorFinal)) {
                         incluirRegistro = false;
+                        registrarRechazo(record, nombreCampo, 'condicion', 'No cumple la condición');
                         return;
                     }
                 }
                 
                 if (obligatorio && (valorFinal === null || valorFinal === undefined || valorFinal === '')) {
                     incluirRegistro = false;
+                    registrarRechazo(record, nombreCampo, 'obligatorio', 'Campo obligatorio vacío');
                     return;
                 }
                 
                 registro[aliasCampo] = valorFinal;
+
+                // Texto visible del poplov junto al valor de retorno
+                var aliasDisplay = obtenerAliasDisplay(configCampo);
+                if (aliasDisplay) {
+                    registro[aliasDisplay] = obtenerValorDisplay(valorBruto);
+                }
             });
             
-            if (incluirRegistro) {
+            if (!incluirRegistro) {
+                return;
+            }
+
+            if (operacion === 'I') {
+                filasDml.push({ operacion: 'I', pk: model.getRecordId(record), valores: registro });
+            } else if (operacion === 'U') {
+                // Solo las columnas configuradas que realmente cambiaron, con valor anterior y nuevo
+                var originales = obtenerCambiosRegistroIG(record, model, configuracion.campos.map(function(configCampo) {
+                    return normalizarCampo(configCampo.nombre);
+                }));
+                var cambios = {};
+                var anterioresValidos = true;
+
+                configuracion.campos.forEach(function(configCampo) {
+                    var campoNormalizado = normalizarCampo(configCampo.nombre);
+                    if (!anterioresValidos || !Object.prototype.hasOwnProperty.call(originales, campoNormalizado)) {
+                        return;
+                    }
+                    var aliasCampo = configCampo.alias || configCampo.nombre.toLowerCase();
+                    var valorAnterior;
+
+                    // El valor anterior también puede fallar la conversión: se rechaza la fila como con el nuevo
+                    try {
+                        valorAnterior = obtenerValorCampo(configCampo, originales[campoNormalizado]);
+                    } catch (errorAnterior) {
+                        anterioresValidos = false;
+                        registrarRechazo(record, configCampo.nombre, 'transformacion', errorAnterior.message);
+                        return;
+                    }
+
+                    cambios[aliasCampo] = {
+                        anterior: valorAnterior,
+                        nuevo: registro[aliasCampo]
+                    };
+
+                    var aliasDisplay = obtenerAliasDisplay(configCampo);
+                    if (aliasDisplay) {
+                        cambios[aliasCampo].displayAnterior = obtenerValorDisplay(originales[campoNormalizado]);
+                        cambios[aliasCampo].displayNuevo = registro[aliasDisplay];
+                    }
+                });
+
+                if (anterioresValidos && Object.keys(cambios).length > 0) {
+                    filasDml.push({ operacion: 'U', pk: model.getRecordId(record), cambios: cambios });
+                }
+            } else {
                 data.push(registro);
             }
         });
+
+        if (rechazados.length > 0) {
+            console.warn('extraerDatosIG: ' + rechazados.length + ' rechazo(s) en la extracción:', rechazados);
+
+            if (configuracion.abortarSiRechazados) {
+                return {
+                    success: false,
+                    error: 'Se rechazaron filas al extraer datos (' + rechazados.length + ')',
+                    data: [],
+                    rechazados: rechazados
+                };
+            }
+        }
+
+        if (modoDml) {
+            var payload = construirPayloadDmlIG(configuracion.regionId, filasDml);
+
+            if (configuracion.campoDestino) {
+                apex.item(configuracion.campoDestino).setValue(JSON.stringify(payload));
+            }
+
+            console.log('Payload DML generado:', payload);
+
+            if (configuracion.callback && typeof configuracion.callback === 'function') {
+                configuracion.callback(payload);
+            }
+
+            return {
+                success: true,
+                data: filasDml,
+                payload: payload,
+                salida: payload,
+                count: filasDml.length,
+                rechazados: rechazados
+            };
+        }
         
-    
-        var valorDestino = configuracion.formatoSalida === 'array' ? data : JSON.stringify(data);
+
+        // Columnas de salida en el orden declarado en campos (respetando alias y columnas display)
+        var columnasSalida = [];
+        configuracion.campos.forEach(function(configCampo) {
+            columnasSalida.push(configCampo.alias || configCampo.nombre.toLowerCase());
+            var aliasDisplay = obtenerAliasDisplay(configCampo);
+            if (aliasDisplay) {
+                columnasSalida.push(aliasDisplay);
+            }
+        });
+
+        // Agrupar en estructuras anidadas (cabecera/detalle) si se solicita
+        var totalRegistros = data.length;
+        if (configuracion.agruparPor) {
+            var formatoAgrupado = String(configuracion.formatoSalida || 'json').toLowerCase();
+            if (['csv', 'tsv', 'xml', 'mapa', 'map'].indexOf(formatoAgrupado) !== -1) {
+                throw new Error('agruparPor solo admite formatoSalida "json" o "array"');
+            }
+            data = agruparDatosIG(data, configuracion.agruparPor, configuracion.campos);
+        }
+
+        var salida = serializarDatosIG(data, configuracion.formatoSalida, columnasSalida, configuracion.opcionesFormato);
+        var valorDestino = (salida !== null && typeof salida === 'object' && !Array.isArray(salida))
+            ? JSON.stringify(salida)
+            : salida;
         apex.item(configuracion.campoDestino).setValue(valorDestino);
-        
+
         console.log('Datos extraídos:', data);
-        console.log('Total registros:', data.length);
-        
-        
+        console.log('Total registros:', totalRegistros);
+
+
         if (configuracion.callback && typeof configuracion.callback === 'function') {
             configuracion.callback(data);
         }
-        
+
         return {
             success: true,
             data: data,
-            count: data.length
-        }; 
+            salida: salida,
+            count: data.length,
+            totalRegistros: totalRegistros,
+            rechazados: rechazados
+        };
 
         /* return data; */
         
     } catch (error) {
         console.error('Error al extraer datos del IG:', error);
-        return {
+        var resultadoError = {
             success: false,
             error: error.message,
             data: []
         };
+        // Con todasLasPaginas el llamador espera una Promise también cuando falla la validación
+        return configuracion && configuracion.todasLasPaginas ? Promise.resolve(resultadoError) : resultadoError;
     }
 }
 
+/**
+ * Carga en el modelo todas las páginas pendientes del servidor y luego ejecuta extraerDatosIG
+ * @param {object} configuracion - Configuración de extraerDatosIG con todasLasPaginas: true
+ * @param {number} configuracion.maxFilas - Máximo de filas permitidas (default: 50000)
+ * @param {function} configuracion.onProgreso - Callback({ cargados, total }) tras cada página
+ * @param {number} configuracion.tiempoMaximo - Milisegundos de espera antes de abandonar la carga (default: 120000)
+ * @returns {Promise<object>} - Promise que resuelve al mismo resultado que extraerDatosIG
+ */
+function extraerTodasLasPaginasIG(configuracion) {
+    var maxFilas = configuracion.maxFilas || 50000;
+    var onProgreso = typeof configuracion.onProgreso === 'function' ? configuracion.onProgreso : null;
+    var tiempoMaximo = configuracion.tiempoMaximo || 120000;
 
-
-function extraerDatos(regionId, campos, campoDestino) {
-    var configuracion = {
-        regionId: regionId,
-        campoDestino: campoDestino,
-        campos: campos.map(function(campo) {
-            if (typeof campo === 'string') {
-                return {
-                    nombre: campo,
-                    alias: campo.toLowerCase()
-                };
-            }
-            return campo;
-        })
-    };
-    
-    return extraerDatosIG(configuracion);
+    return new Promise(function(resolve) {
+        try {
+            var model = apex.region(configuracion.regionId).widget().interactiveGrid("getViews", "grid").model;
+
+            cargarTodasLasPaginasIG(model, maxFilas, onProgreso, tiempoMaximo).then(function(cargados) {
+                var resultado = extraerDatosIG(Object.assign({}, configuracion, { todasLasPaginas: false }));
+                resultado.registrosCargados = cargados;
+                resolve(resultado);
+            }, function(error) {
+                console.error('extraerDatosIG: Error al cargar todas las páginas:', error);
+                resolve({ success: false, error: error.message, data: [] });
+            });
+        } catch (error) {
+            console.error('extraerDatosIG: Error al cargar todas las páginas:', error);
+            resolve({ success: false, error: error.message, data: [] });
+        }
+    });
 }
 
-// =============================================================================
-// APEX GRID UTILITIES - API LIMPIA Y CLARA
-// =============================================================================
+/**
+ * Trae al modelo los registros que aún no se cargaron ("Cargar más" / scroll paginado)
+ * Pide una página por vez con model.fetch para cortar apenas se supera maxFilas
+ * @param {object} model - Modelo del Interactive Grid
+ * @param {number} maxFilas - Máximo de filas permitidas; se rechaza si el grid lo supera
+ * @param {function} onProgreso - Callback({ cargados, total }) (opcional)
+ * @param {number} tiempoMaximo - Milisegundos de espera antes de rechazar (opcional)
+ * @returns {Promise<number>} - Promise con la cantidad de registros cargados en el modelo
+ */
+function cargarTodasLasPaginasIG(model, maxFilas, onProgreso, tiempoMaximo) {
+    // Registros presentes en el modelo / total en el servidor (-1 si no se conoce)
+    var contarCargados = function() {
+        return typeof model.getTotalRecords === 'function' ? model.getTotalRecords(true) : 0;
+    };
+    var totalServidor = function() {
+        var total = typeof model.getServerTotalRecords === 'function' ? model.getServerTotalRecords() : -1;
+        return (typeof total === 'number' && total >= 0) ? total : null;
+    };
+    var errorLimite = function() {
+        return new Error('El grid supera el máximo de ' + maxFilas + ' filas (maxFilas)');
+    };
+    var notificar = function() {
+        if (onProgreso) {
+            onProgreso({ cargados: contarCargados(), total: totalServidor() });
+        }
+    };
 
-window.apexGridUtils = (function() {
-    'use strict';
+    return new Promise(function(resolve, reject) {
+        // La Promise se resuelve una sola vez: límite, error, fin de datos o tiempo agotado
+        var terminado = false;
+        var temporizador = null;
+        var terminar = function(error) {
+            if (terminado) {
+                return;
+            }
+            terminado = true;
+            clearTimeout(temporizador);
+            if (error) {
+                reject(error);
+            } else {
+                resolve(contarCargados());
+            }
+        };
 
-    // Almacén de configuraciones de cálculos automáticos
-    const autoCalculationConfigs = new Map();
+        var total = totalServidor();
+        if (total !== null && total > maxFilas) {
+            terminar(errorLimite());
+            return;
+        }
 
-    /**
-     * Generar ID único para una configuración
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} targetColumn - Columna destino
-     * @returns {string} - ID único de la configuración
-     */
-    function generateConfigId(gridStaticId, targetColumn) {
-        return `${gridStaticId}_${targetColumn}`;
-    }
+        var soportaFetch = typeof model.fetch === 'function';
+        var soportaFetchAll = typeof model.fetchAll === 'function';
 
-    /**
-     * Normaliza números con formato europeo/latino (1.234,56) a formato estándar (1234.56)
-     * @param {string|number} value - Valor a normalizar
-     * @returns {number} - Número normalizado
-     */
-    function normalizeNumber(value) {
-        if (value === null || value === undefined || value === '') {
-            return 0;
+        // Sin más datos pendientes o sin soporte de paginación: se extrae lo que hay
+        if ((total !== null && contarCargados() >= total) || (!soportaFetch && !soportaFetchAll)) {
+            if (!soportaFetch && !soportaFetchAll) {
+                console.warn('extraerDatosIG: el modelo no soporta fetch, se extraen solo los registros cargados');
+            }
+            notificar();
+            terminar(null);
+            return;
         }
-        
-        // Convertir a string si es número
-        let strValue = String(value).trim();
-        
-        // Si ya es un número válido, retornarlo
-        if (!isNaN(parseFloat(strValue)) && strValue.indexOf(',') === -1 && strValue.indexOf('.') === -1) {
-            return parseFloat(strValue);
+
+        if (tiempoMaximo) {
+            temporizador = setTimeout(function() {
+                terminar(new Error('Tiempo de espera agotado al cargar las páginas del grid (' + tiempoMaximo + ' ms)'));
+            }, tiempoMaximo);
         }
-        
-        // Detectar formato europeo/latino (1.234,56)
-        if (strValue.includes('.') && strValue.includes(',')) {
-            // Si hay punto y coma, asumir formato europeo: punto=miles, coma=decimal
-            strValue = strValue.replace(/\./g, '').replace(',', '.');
+
+        // Una página por vez: antes de pedir la siguiente se verifica el límite y si quedan datos
+        var cargarPagina = function() {
+            var cargadosAntes = contarCargados();
+            model.fetch(cargadosAntes, function(error) {
+                if (terminado) {
+                    return;
+                }
+                if (error) {
+                    terminar(error instanceof Error ? error : new Error(String(error)));
+                    return;
+                }
+                notificar();
+
+                var cargados = contarCargados();
+                var totalActual = totalServidor();
+                if (cargados > maxFilas) {
+                    terminar(errorLimite());
+                } else if (cargados <= cargadosAntes || (totalActual !== null && cargados >= totalActual)) {
+                    terminar(null);
+                } else {
+                    cargarPagina();
+                }
+            });
+        };
+
+        if (soportaFetch) {
+            cargarPagina();
+            return;
         }
-        // Detectar formato con solo coma como decimal (1,56)
-        else if (strValue.includes(',') && !strValue.includes('.')) {
-            // Si solo hay coma, verificar si es decimal
-            const parts = strValue.split(',');
-            if (parts.length === 2 && parts[1].length <= 3) {
-                // Probablemente es decimal (1,56)
-                strValue = strValue.replace(',', '.');
-            } else {
-                // Probablemente es separador de miles (1,234)
-                strValue = strValue.replace(/,/g, '');
+
+        // Alternativa: fetchAll no se puede detener, solo se deja de esperar al superar el límite
+        model.fetchAll(function(estado) {
+            if (terminado) {
+                return;
             }
-        }
-        
-        const result = parseFloat(strValue);
-        return isNaN(result) ? 0 : result;
+            notificar();
+            if (contarCargados() > maxFilas) {
+                terminar(errorLimite());
+                return;
+            }
+            if (!estado || estado.done) {
+                terminar(null);
+            }
+        });
+    });
+}
+
+// Equivalencias de alcance aceptadas por extraerDatosIG (español / inglés)
+var ALCANCES_EXTRACCION_IG = {
+    todos: 'todos',
+    all: 'todos',
+    seleccionados: 'seleccionados',
+    selected: 'seleccionados',
+    modificados: 'modificados',
+    dirty: 'modificados',
+    insertados: 'insertados',
+    inserted: 'insertados',
+    actualizados: 'actualizados',
+    updated: 'actualizados',
+    eliminados: 'eliminados',
+    deleted: 'eliminados'
+};
+
+/**
+ * Normaliza la opción alcance/scope de extraerDatosIG a una lista de alcances internos
+ * @param {string|string[]} alcance - Alcance o lista de alcances (default: 'todos')
+ * @returns {string[]} - Lista de alcances normalizados
+ */
+function normalizarAlcanceIG(alcance) {
+    if (!alcance) {
+        return ['todos'];
     }
 
-    /**
-     * Formatea un número al formato europeo/latino (1234.56 -> 1.234,56)
-     * @param {number} value - Valor numérico a formatear
-     * @param {number} decimalPlaces - Número de decimales (default: 2)
-     * @param {boolean} useThousandsSeparator - Si debe usar separador de miles (default: true)
-     * @returns {string} - Número formateado en formato europeo
-     */
-    function formatToEuropean(value, decimalPlaces = 2, useThousandsSeparator = true) {
-        if (value === null || value === undefined || isNaN(value)) {
-            return '0';
-        }
-        
-        // Convertir a número
-        const numValue = parseFloat(value);
-        
-        // Formatear con decimales
-        const formatted = numValue.toFixed(decimalPlaces);
-        
-        if (!useThousandsSeparator) {
-            // Solo cambiar punto por coma para decimales
-            return formatted.replace('.', ',');
+    var lista = Array.isArray(alcance) ? alcance : [alcance];
+
+    return lista.map(function(valor) {
+        var normalizado = ALCANCES_EXTRACCION_IG[String(valor).toLowerCase()];
+        if (!normalizado) {
+            throw new Error('alcance no válido: ' + valor);
         }
-        
-        // Separar parte entera y decimal
-        const parts = formatted.split('.');
-        const integerPart = parts[0];
-        const decimalPart = parts[1] || '';
-        
-        // Agregar separadores de miles a la parte entera
-        const formattedInteger = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, '.');
-        
-        // Combinar con coma decimal
-        if (decimalPart) {
-            return `${formattedInteger},${decimalPart}`;
-        } else {
-            return formattedInteger;
+        return normalizado;
+    });
+}
+
+/**
+ * Obtiene el estado de cambios de un registro a partir de sus metadatos
+ * @param {object} record - Registro del modelo
+ * @param {object} model - Modelo del Interactive Grid
+ * @returns {object} - { insertado, actualizado, eliminado, agregado }
+ */
+function obtenerEstadoRegistroIG(record, model) {
+    var estado = { insertado: false, actualizado: false, eliminado: false, agregado: false };
+
+    try {
+        var recordId = model.getRecordId(record);
+        var meta = recordId ? model.getRecordMetadata(recordId) : null;
+
+        if (meta) {
+            estado.insertado = !!meta.inserted;
+            estado.actualizado = !!meta.updated;
+            estado.eliminado = !!meta.deleted;
+            estado.agregado = !!meta.agg;
         }
+    } catch (e) {
+        console.warn('extraerDatosIG: No se pudo obtener la metadata del registro.', e);
     }
 
-    /**
-     * Convierte un valor al formato europeo para mostrar en la interfaz
-     * @param {number|string} value - Valor a convertir
-     * @param {number} decimalPlaces - Número de decimales (default: 2)
-     * @returns {string} - Valor en formato europeo
-     */
-    function toEuropeanFormat(value, decimalPlaces = 2) {
-        const normalized = normalizeNumber(value);
-        return formatToEuropean(normalized, decimalPlaces, true);
+    // Mismo fallback que isRecordMarkedForDeletion para registros sin metadata
+    if (!estado.eliminado && isRecordMarkedForDeletion(record, model) && !estado.agregado) {
+        estado.eliminado = true;
     }
 
-    /**
-     * Configuración de cálculo automático para Interactive Grid
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {object} config - Configuración del cálculo
-     * @param {array} config.sourceColumns - Columnas que disparan el cálculo
-     * @param {string} config.targetColumn - Columna donde se guarda el resultado
-     * @param {function} config.formula - Función que realiza el cálculo
-     * @param {number} config.decimalPlaces - Número de decimales (default: 2)
-     * @param {boolean} config.autoTrigger - Si debe configurar eventos automáticos (default: true)
-     * @returns {string} - ID único de la configuración creada
-     */
-    function setupAutoCalculation(gridStaticId, config) {
-        try {
-            // Validar parámetros requeridos
-            if (!gridStaticId || !config.sourceColumns || !config.targetColumn || !config.formula) {
-                console.error('apexGridUtils: Faltan parámetros requeridos');
-                return null;
-            }
+    return estado;
+}
 
-            // Configuración por defecto
-            const settings = {
-                decimalPlaces: 2,
-                autoTrigger: true,
-                triggerOnLoad: false,
-                ...config
-            };
+/**
+ * Verifica si un registro pertenece a alguno de los alcances solicitados
+ * @param {object} record - Registro del modelo
+ * @param {object} model - Modelo del Interactive Grid
+ * @param {string[]} alcances - Alcances normalizados
+ * @param {object|null} idsSeleccionados - Mapa de IDs de registros seleccionados
+ * @returns {boolean} - true si el registro debe extraerse
+ */
+function registroEnAlcanceIG(record, model, alcances, idsSeleccionados) {
+    if (alcances.indexOf('todos') !== -1) {
+        return true;
+    }
 
-            // Generar ID único para esta configuración
-            const configId = generateConfigId(gridStaticId, config.targetColumn);
+    var estado = obtenerEstadoRegistroIG(record, model);
 
-            // Almacenar la configuración para uso posterior
-            autoCalculationConfigs.set(configId, {
-                gridStaticId: gridStaticId,
-                configId: configId,
-                ...settings
-            });
+    // Las filas de agregados nunca forman parte de un alcance filtrado
+    if (estado.agregado) {
+        return false;
+    }
 
-            // Función para ejecutar el cálculo
-            const executeCalculation = function() {
-                return calculateFormula(gridStaticId, settings);
-            };
+    // Un registro insertado y luego eliminado no genera cambios en el servidor
+    var insertado = estado.insertado && !estado.eliminado;
+    var actualizado = estado.actualizado && !estado.insertado && !estado.eliminado;
+    var eliminado = estado.eliminado && !estado.insertado;
+
+    return alcances.some(function(alcance) {
+        switch (alcance) {
+            case 'seleccionados':
+                return !!(idsSeleccionados && idsSeleccionados[model.getRecordId(record)]);
+            case 'modificados':
+                return insertado || actualizado || eliminado;
+            case 'insertados':
+                return insertado;
+            case 'actualizados':
+                return actualizado;
+            case 'eliminados':
+                return eliminado;
+            default:
+                return false;
+        }
+    });
+}
 
-            // Configurar eventos automáticos si está habilitado
-            if (settings.autoTrigger) {
-                setupTriggerEvents(gridStaticId, settings.sourceColumns, executeCalculation);
+/**
+ * Serializa los datos extraídos al formato de salida solicitado
+ * @param {array} data - Registros extraídos (claves = alias de los campos)
+ * @param {string} formato - 'array', 'json' (default), 'csv', 'tsv', 'xml' o 'mapa'
+ * @param {string[]} columnas - Alias de las columnas en orden de salida
+ * @param {object} opciones - Opciones específicas del formato (opcionesFormato)
+ * @returns {array|string|object} - Datos serializados
+ */
+function serializarDatosIG(data, formato, columnas, opciones) {
+    opciones = opciones || {};
+
+    switch (String(formato || 'json').toLowerCase()) {
+        case 'array':
+            return data;
+        case 'json':
+            return JSON.stringify(data);
+        case 'csv':
+            return serializarDelimitadoIG(data, columnas, ',', opciones);
+        case 'tsv':
+            return serializarDelimitadoIG(data, columnas, '\t', opciones);
+        case 'xml':
+            return serializarXmlIG(data, columnas, opciones);
+        case 'mapa':
+        case 'map':
+            return serializarMapaIG(data, opciones);
+        default:
+            // Compatibilidad: cualquier otro valor se serializa como JSON
+            console.warn('extraerDatosIG: formatoSalida no reconocido "' + formato + '", se usa JSON');
+            return JSON.stringify(data);
+    }
+}
+
+/**
+ * Nombres de mes reconocidos al parsear fechas con máscara MON / MONTH (español e inglés)
+ */
+var MESES_FECHA_IG = {
+    ENE: 1, ENERO: 1, JAN: 1, JANUARY: 1,
+    FEB: 2, FEBRERO: 2, FEBRUARY: 2,
+    MAR: 3, MARZO: 3, MARCH: 3,
+    ABR: 4, ABRIL: 4, APR: 4, APRIL: 4,
+    MAY: 5, MAYO: 5,
+    JUN: 6, JUNIO: 6, JUNE: 6,
+    JUL: 7, JULIO: 7, JULY: 7,
+    AGO: 8, AGOSTO: 8, AUG: 8, AUGUST: 8,
+    SEP: 9, SEPT: 9, SEPTIEMBRE: 9, SETIEMBRE: 9, SEPTEMBER: 9,
+    OCT: 10, OCTUBRE: 10, OCTOBER: 10,
+    NOV: 11, NOVIEMBRE: 11, NOVEMBER: 11,
+    DIC: 12, DICIEMBRE: 12, DEC: 12, DECEMBER: 12
+};
+
+/**
+ * Convierte un texto numérico a número
+ * Un texto con puntos cada tres dígitos ('1.234', '1.234,5') es formato europeo con separador de miles;
+ * normalizeNumber lo leería como decimal (1.234)
+ * @param {string|number} valor - Valor a convertir
+ * @returns {number} - Valor numérico
+ */
+function numeroEuropeoIG(valor) {
+    if (typeof valor === 'string' && /^\s*-?\d{1,3}(\.\d{3})+(,\d+)?\s*$/.test(valor)) {
+        return parseFloat(valor.trim().replace(/\./g, '').replace(',', '.'));
+    }
+    return apexGridUtils.normalizeNumber(valor);
+}
+
+/**
+ * Convierte el valor de un campo al tipo declarado en la configuración
+ * @param {any} valor - Valor del modelo (ya sin {v, d})
+ * @param {string} tipo - 'number' | 'integer' | 'date' | 'boolean'
+ * @param {string} formato - Máscara de fecha APEX (solo para 'date', opcional)
+ * @param {string} nombreCampo - Nombre de la columna (para mensajes de error)
+ * @returns {number|string|boolean|null} - Valor tipado (fechas en ISO 8601); null si está vacío
+ */
+function convertirTipoIG(valor, tipo, formato, nombreCampo) {
+    if (valor === null || valor === undefined || (typeof valor === 'string' && valor.trim() === '')) {
+        return null;
+    }
+
+    switch (String(tipo).toLowerCase()) {
+        case 'number':
+        case 'integer':
+            var numero;
+            if (typeof valor === 'number') {
+                numero = valor;
+            } else {
+                // Quitar símbolos de moneda y espacios antes de normalizar el formato europeo
+                var texto = String(valor).replace(/[^\d.,\-+]/g, '');
+                if (!/\d/.test(texto)) {
+                    throw new Error(nombreCampo + ': "' + valor + '" no es un número válido');
+                }
+                numero = numeroEuropeoIG(texto);
+            }
+            if (String(tipo).toLowerCase() === 'integer' && numero % 1 !== 0) {
+                throw new Error(nombreCampo + ': "' + valor + '" no es un entero');
             }
+            return numero;
 
-            // Ejecutar cálculo inicial si está configurado
-            if (settings.triggerOnLoad) {
-                setTimeout(executeCalculation, 100);
+        case 'date':
+            var mascara = formato ||
+                (typeof apex !== 'undefined' && apex.locale && typeof apex.locale.getDateFormat === 'function' && apex.locale.getDateFormat()) ||
+                'DD/MM/YYYY';
+            var fecha = parsearFechaIG(valor, mascara);
+            if (!fecha) {
+                throw new Error(nombreCampo + ': "' + valor + '" no coincide con la máscara ' + mascara);
             }
+            return fecha;
 
-            console.log(`apexGridUtils: Configurado cálculo automático para ${gridStaticId} -> ${config.targetColumn} (ID: ${configId})`);
-            return configId;
+        case 'boolean':
+            if (typeof valor === 'boolean') {
+                return valor;
+            }
+            var textoBooleano = String(valor).trim().toUpperCase();
+            if (['S', 'SI', 'SÍ', 'Y', 'YES', 'TRUE', '1', 'ON'].indexOf(textoBooleano) !== -1) {
+                return true;
+            }
+            if (['N', 'NO', 'FALSE', '0', 'OFF'].indexOf(textoBooleano) !== -1) {
+                return false;
+            }
+            throw new Error(nombreCampo + ': "' + valor + '" no es un valor booleano');
 
-        } catch (error) {
-            console.error('apexGridUtils setupAutoCalculation error:', error);
-            return null;
-        }
+        default:
+            throw new Error('tipo no válido: ' + tipo);
     }
+}
 
-    /**
-     * Ejecuta un cálculo específico en el registro activo
-     */
-    function calculateFormula(gridStaticId, settings) {
-    try {
-        const grid = apex.region(gridStaticId).call("getViews").grid;
-        if (!grid) {
-            console.error('apexGridUtils: No se pudo encontrar el grid con ID:', gridStaticId);
-            return;
+/**
+ * Parsea una fecha con máscara APEX/Oracle y la devuelve en formato ISO
+ * Soporta YYYY, RRRR, YY, RR, MM, MON, MONTH, DD, HH, HH12, HH24, MI, SS y AM/PM
+ * @param {string|Date} valor - Fecha a parsear
+ * @param {string} mascara - Máscara de formato, ej: 'DD/MM/YYYY HH24:MI'
+ * @returns {string|null} - 'YYYY-MM-DD' o 'YYYY-MM-DDTHH:MI:SS' si la máscara tiene hora; null si no es válida
+ */
+function parsearFechaIG(valor, mascara) {
+    var dos = function(n) { return (n < 10 ? '0' : '') + n; };
+
+    if (valor instanceof Date) {
+        if (isNaN(valor.getTime())) {
+            return null;
         }
-        const model = grid.model;
+        return valor.getFullYear() + '-' + dos(valor.getMonth() + 1) + '-' + dos(valor.getDate()) +
+            'T' + dos(valor.getHours()) + ':' + dos(valor.getMinutes()) + ':' + dos(valor.getSeconds());
+    }
 
-        // 1. ITERAR SOBRE TODAS LAS FILAS DEL MODELO
-        model.forEach(function(record) {
-            
-            // 2. OMITIR FILAS MARCADAS PARA ELIMINACIÓN
-            if (isRecordMarkedForDeletion(record, model)) {
-                return; // Saltar a la siguiente fila
-            }
+    var texto = String(valor).trim();
 
-            try {
-                // 3. OBTENER VALORES Y APLICAR FÓRMULA (para la fila actual del bucle)
-                const values = {};
-                settings.sourceColumns.forEach(column => {
-                    values[column] = normalizeNumber(model.getValue(record, column));
-                });
+    // Ya viene en ISO: se respeta tal cual
+    if (/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/.test(texto)) {
+        return texto;
+    }
 
-                let result = settings.formula(values, record); // Pasamos 'record' por si la fórmula lo necesita
-                const decimalPlaces = settings.decimalPlaces || 2;
-                const roundedResult = parseFloat(Number(result).toFixed(decimalPlaces));
+    // Construir una expresión regular a partir de la máscara (FM/FX no afectan al parseo)
+    var tokens = [];
+    var patron = '';
+    var resto = mascara.toUpperCase().replace(/FM|FX/g, '');
+    var expresionToken = /^(YYYY|RRRR|YY|RR|MONTH|MON|MM|DD|HH24|HH12|HH|MI|SS|AM|PM|A\.M\.|P\.M\.)/;
+
+    while (resto.length > 0) {
+        var coincidencia = resto.match(expresionToken);
+        if (coincidencia) {
+            var token = coincidencia[1];
+            tokens.push(token);
+            if (token === 'YYYY' || token === 'RRRR') {
+                patron += '(\\d{4})';
+            } else if (token === 'MONTH' || token === 'MON') {
+                patron += '([A-Za-zÁÉÍÓÚáéíóú]+)\\.?';
+            } else if (/^[AP]/.test(token)) {
+                patron += '([AaPp]\\.?[Mm]\\.?)';
+            } else if (token === 'YY' || token === 'RR' || token === 'MI' || token === 'SS') {
+                patron += '(\\d{2})';
+            } else {
+                patron += '(\\d{1,2})';
+            }
+            resto = resto.substring(token.length);
+        } else {
+            var caracter = resto.charAt(0);
+            patron += /\s/.test(caracter) ? '\\s*' : caracter.replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&');
+            resto = resto.substring(1);
+        }
+    }
 
-                // 4. CONDICIÓN DE GUARDA (ANTI-BUCLE)
-                const currentValue = model.getValue(record, settings.targetColumn);
-                const roundedCurrentValue = parseFloat(Number(currentValue).toFixed(decimalPlaces));
+    var partes = texto.match(new RegExp('^' + patron + '$', 'i'));
+    if (!partes) {
+        return null;
+    }
 
-                if (roundedCurrentValue !== roundedResult) {
-                    model.setValue(record, settings.targetColumn, roundedResult);
+    var anio = null, mes = 1, dia = 1, hora = 0, minuto = 0, segundo = 0, pm = null;
+    var conHora = false;
+
+    tokens.forEach(function(token, i) {
+        var parte = partes[i + 1];
+        switch (token) {
+            case 'YYYY':
+            case 'RRRR':
+                anio = parseInt(parte, 10);
+                break;
+            case 'YY':
+            case 'RR':
+                // Criterio RR de Oracle: 00-49 -> 2000-2049, 50-99 -> 1950-1999
+                anio = parseInt(parte, 10);
+                anio += anio < 50 ? 2000 : 1900;
+                break;
+            case 'MM':
+                mes = parseInt(parte, 10);
+                break;
+            case 'MON':
+            case 'MONTH':
+                mes = MESES_FECHA_IG[parte.toUpperCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')] || null;
+                break;
+            case 'DD':
+                dia = parseInt(parte, 10);
+                break;
+            case 'MI':
+                minuto = parseInt(parte, 10);
+                conHora = true;
+                break;
+            case 'SS':
+                segundo = parseInt(parte, 10);
+                conHora = true;
+                break;
+            default:
+                if (/^[AP]/.test(token)) {
+                    pm = /^p/i.test(parte);
+                } else {
+                    hora = parseInt(parte, 10);
+                    conHora = true;
                 }
+        }
+    });
 
-            } catch (recordError) {
-                const recordId = model.getRecordId(record) || "nuevo";
-                console.warn(`Error al procesar la fórmula en la fila ${recordId}:`, recordError);
-            }
-        });
+    if (pm !== null) {
+        if (hora < 1 || hora > 12) {
+            return null;
+        }
+        hora = (hora % 12) + (pm ? 12 : 0);
+    }
 
-    } catch (error) {
-        console.error('apexGridUtils calculateFormula error:', error);
+    // Validar que la fecha exista realmente (ej: 31/02 no es válida)
+    var fecha = new Date(anio, (mes || 0) - 1, dia, hora, minuto, segundo);
+    if (anio === null || !mes || fecha.getFullYear() !== anio || fecha.getMonth() !== mes - 1 ||
+        fecha.getDate() !== dia || hora > 23 || minuto > 59 || segundo > 59) {
+        return null;
     }
+
+    var iso = anio + '-' + dos(mes) + '-' + dos(dia);
+    if (conHora) {
+        iso += 'T' + dos(hora) + ':' + dos(minuto) + ':' + dos(segundo);
+    }
+    return iso;
 }
 
-    /**
-     * Configurar eventos para disparar cálculos automáticamente
-     */
-    function setupTriggerEvents(gridStaticId, sourceColumns, callback) {
-        try {
-            const ig$ = apex.region(gridStaticId).widget().interactiveGrid("getViews", "grid");
-            const model = ig$.model;
+/**
+ * Formatea una fecha con una máscara de fecha APEX/Oracle (inverso de parsearFechaIG)
+ * @param {Date} fecha - Fecha a formatear
+ * @param {string} mascara - Máscara, ej: 'DD/MM/YYYY', 'DD-MON-YYYY HH24:MI'
+ * @returns {string} - Fecha formateada ('' si la fecha no es válida)
+ */
+function formatearFechaIG(fecha, mascara) {
+    if (!(fecha instanceof Date) || isNaN(fecha.getTime())) {
+        return '';
+    }
 
-            // Configurar listener para cambios en el modelo
-            model.subscribe({
-                onChange: function(type, change) {
-                    if (type === 'set' && sourceColumns.includes(change.field)) {
-                        setTimeout(callback, 50);
-                    }
-                }
-            });
+    var sinRelleno = /FM/i.test(mascara);
+    var dos = function(n) { return (!sinRelleno && n < 10 ? '0' : '') + n; };
+    var meses = ['ENERO', 'FEBRERO', 'MARZO', 'ABRIL', 'MAYO', 'JUNIO', 'JULIO', 'AGOSTO', 'SEPTIEMBRE', 'OCTUBRE', 'NOVIEMBRE', 'DICIEMBRE'];
+    var hora = fecha.getHours();
+    var resultado = '';
+    var resto = mascara.replace(/FM|FX/gi, '');
+    var expresionToken = /^(YYYY|RRRR|YY|RR|MONTH|MON|MM|DD|HH24|HH12|HH|MI|SS|AM|PM|A\.M\.|P\.M\.)/i;
+
+    while (resto.length > 0) {
+        var coincidencia = resto.match(expresionToken);
+        if (!coincidencia) {
+            resultado += resto.charAt(0);
+            resto = resto.substring(1);
+            continue;
+        }
 
-        } catch (error) {
-            console.error('apexGridUtils setupTriggerEvents error:', error);
+        var token = coincidencia[1].toUpperCase();
+        switch (token) {
+            case 'YYYY':
+            case 'RRRR':
+                resultado += fecha.getFullYear();
+                break;
+            case 'YY':
+            case 'RR':
+                resultado += String(fecha.getFullYear()).slice(-2);
+                break;
+            case 'MONTH':
+                resultado += meses[fecha.getMonth()];
+                break;
+            case 'MON':
+                resultado += meses[fecha.getMonth()].substring(0, 3);
+                break;
+            case 'MM':
+                resultado += dos(fecha.getMonth() + 1);
+                break;
+            case 'DD':
+                resultado += dos(fecha.getDate());
+                break;
+            case 'HH24':
+                resultado += dos(hora);
+                break;
+            case 'MI':
+                resultado += dos(fecha.getMinutes());
+                break;
+            case 'SS':
+                resultado += dos(fecha.getSeconds());
+                break;
+            default:
+                if (/^[AP]/.test(token)) {
+                    resultado += (hora < 12 ? 'AM' : 'PM');
+                } else {
+                    // HH / HH12
+                    resultado += dos(hora % 12 === 0 ? 12 : hora % 12);
+                }
         }
+        resto = resto.substring(coincidencia[1].length);
     }
 
-    /**
-     * Obtener el registro activo del grid
-     */
-    function getActiveGridRecord(gridStaticId) {
-        try {
-            const region = apex.region(gridStaticId);
-            if (!region.widget) {
-                return { success: false, error: 'Grid no encontrado' };
-            }
+    return resultado;
+}
 
-            const ig$ = region.widget().interactiveGrid("getViews", "grid");
-            const model = ig$.model;
-            
-            // En versiones más antiguas, obtener el registro activo puede ser diferente
-            // Intentar diferentes métodos según la versión
-            let record = null;
-            
-            // Método 1: Intentar obtener registro seleccionado
-            try {
-                const selectedRecords = ig$.getSelectedRecords();
-                if (selectedRecords && selectedRecords.length > 0) {
-                    record = selectedRecords[0];
-                }
-            } catch (e) {
-                // Ignorar error y probar siguiente método
-            }
-            
-            // Método 2: Intentar obtener registro activo
-            if (!record) {
-                try {
-                    const activeRecordId = ig$.getActiveRecordId ? ig$.getActiveRecordId() : null;
-                    if (activeRecordId) {
-                        record = model.getRecord(activeRecordId);
-                    }
-                } catch (e) {
-                    // Ignorar error y probar siguiente método
-                }
-            }
-            
-            // Método 3: Obtener el primer registro si no hay activo
-            if (!record) {
-                try {
-                    // Usar model.forEach para obtener el primer registro
-                    let firstRecord = null;
-                    model.forEach(function(rec) {
-                        if (!firstRecord) {
-                            firstRecord = rec;
-                        }
-                    });
-                    record = firstRecord;
-                } catch (e) {
-                    // Ignorar error
-                }
-            }
-            
-            if (!record) {
-                return { success: false, error: 'No hay registro disponible' };
-            }
-            
-            return { success: true, model, record, gridView: ig$ };
+/**
+ * Convierte un valor extraído a texto plano para CSV/TSV/XML
+ * @param {any} valor - Valor a convertir
+ * @returns {string} - Valor como texto
+ */
+function valorATextoIG(valor) {
+    if (valor === null || valor === undefined) {
+        return '';
+    }
+    if (valor instanceof Date) {
+        return valor.toISOString();
+    }
+    if (typeof valor === 'object') {
+        return JSON.stringify(valor);
+    }
+    return String(valor);
+}
 
-        } catch (error) {
-            return { success: false, error: error.message };
+/**
+ * Serializa registros como texto delimitado (CSV / TSV)
+ * @param {array} data - Registros extraídos
+ * @param {string[]} columnas - Alias de las columnas
+ * @param {string} delimitadorDefecto - Delimitador por defecto del formato
+ * @param {object} opciones - { delimitador, comillas, entrecomillar ('auto'|'siempre'|'nunca'), encabezado, saltoLinea }
+ * @returns {string} - Texto delimitado
+ */
+function serializarDelimitadoIG(data, columnas, delimitadorDefecto, opciones) {
+    var delimitador = opciones.delimitador || delimitadorDefecto;
+    var comillas = opciones.comillas !== undefined ? opciones.comillas : '"';
+    var entrecomillar = opciones.entrecomillar || 'auto';
+    var saltoLinea = opciones.saltoLinea || '\r\n';
+    var incluirEncabezado = opciones.encabezado !== false; // Por defecto true
+
+    function celda(valor) {
+        var texto = valorATextoIG(valor);
+
+        if (!comillas || entrecomillar === 'nunca') {
+            return texto;
+        }
+
+        var requiereComillas = entrecomillar === 'siempre' ||
+            texto.indexOf(delimitador) !== -1 ||
+            texto.indexOf(comillas) !== -1 ||
+            /[\r\n]/.test(texto) ||
+            texto !== texto.trim();
+
+        if (!requiereComillas) {
+            return texto;
         }
+
+        // Escapar comillas duplicándolas (RFC 4180)
+        return comillas + texto.split(comillas).join(comillas + comillas) + comillas;
     }
 
-    /**
-     * Ejecutar cálculo manual
-     * @param {string} gridStaticId - Static ID del grid
-     * @param {object} config - Configuración del cálculo
-     */
-    function calculate(gridStaticId, config) {
-        const settings = {
-            decimalPlaces: 2,
-            ...config
-        };
-        
-        return calculateFormula(gridStaticId, settings);
+    var lineas = [];
+
+    if (incluirEncabezado) {
+        lineas.push(columnas.map(celda).join(delimitador));
     }
 
-    /**
-     * Obtener valor de una columna del registro activo
-     */
-    function getColumnValue(gridStaticId, columnName) {
-        const gridData = getActiveGridRecord(gridStaticId);
-        if (!gridData.success) {
-            return null;
-        }
+    data.forEach(function(registro) {
+        lineas.push(columnas.map(function(columna) {
+            return celda(registro[columna]);
+        }).join(delimitador));
+    });
 
-        return gridData.model.getValue(gridData.record, columnName);
+    return lineas.join(saltoLinea);
+}
+
+/**
+ * Serializa registros como XML
+ * @param {array} data - Registros extraídos
+ * @param {string[]} columnas - Alias de las columnas (nombres de elemento)
+ * @param {object} opciones - { elementoRaiz, elementoFila, declaracion }
+ * @returns {string} - Documento XML
+ */
+function serializarXmlIG(data, columnas, opciones) {
+    var elementoRaiz = nombreElementoXmlIG(opciones.elementoRaiz || 'registros');
+    var elementoFila = nombreElementoXmlIG(opciones.elementoFila || 'registro');
+
+    function escaparXml(texto) {
+        return texto
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
     }
 
-    /**
-     * Establecer valor en una columna del registro activo
-     */
-    function setColumnValue(gridStaticId, columnName, value) {
-        const gridData = getActiveGridRecord(gridStaticId);
-        if (!gridData.success) {
-            return false;
-        }
+    var partes = [];
 
-        gridData.model.setValue(gridData.record, columnName, value);
-        return true;
+    if (opciones.declaracion !== false) {
+        partes.push('<?xml version="1.0" encoding="UTF-8"?>');
     }
 
-    /**
-     * Fórmulas predefinidas comunes
-     */
-    const presetFormulas = {
-        // Cantidad por costo
-        multiply: (values, col1, col2) => values[col1] * values[col2],
-        
-        // Precio con IVA
-        addTax: (values, priceCol, taxPercent = 10) => values[priceCol] * (1 + taxPercent / 100),
-        
-        // Subtotal con descuento
-        subtotalWithDiscount: (values, qtyCol, priceCol, discountCol) => {
-            const subtotal = values[qtyCol] * values[priceCol];
-            return subtotal * (1 - values[discountCol] / 100);
-        },
-        
-        // Suma de columnas
-        sum: (values, ...columns) => columns.reduce((total, col) => total + values[col], 0),
-        
-        // Promedio de columnas
-        average: (values, ...columns) => {
-            const sum = columns.reduce((total, col) => total + values[col], 0);
-            return sum / columns.length;
+    partes.push('<' + elementoRaiz + '>');
+
+    data.forEach(function(registro) {
+        var campos = columnas.map(function(columna) {
+            var elemento = nombreElementoXmlIG(columna);
+            return '<' + elemento + '>' + escaparXml(valorATextoIG(registro[columna])) + '</' + elemento + '>';
+        });
+        partes.push('<' + elementoFila + '>' + campos.join('') + '</' + elementoFila + '>');
+    });
+
+    partes.push('</' + elementoRaiz + '>');
+
+    return partes.join('\n');
+}
+
+/**
+ * Convierte un alias en un nombre de elemento XML válido
+ * @param {string} nombre - Nombre original
+ * @returns {string} - Nombre válido para XML
+ */
+function nombreElementoXmlIG(nombre) {
+    var limpio = String(nombre).replace(/[^A-Za-z0-9_.\-]/g, '_');
+    return /^[A-Za-z_]/.test(limpio) ? limpio : '_' + limpio;
+}
+
+/**
+ * Convierte los registros en un objeto indexado por una columna
+ * @param {array} data - Registros extraídos
+ * @param {object} opciones - { clave (alias de la columna clave), valor (alias opcional para mapa clave/valor) }
+ * @returns {object} - Objeto { clave: registro } o { clave: valor }
+ */
+function serializarMapaIG(data, opciones) {
+    if (!opciones.clave) {
+        throw new Error('opcionesFormato.clave es obligatorio para formatoSalida "mapa"');
+    }
+
+    var mapa = {};
+
+    data.forEach(function(registro) {
+        var clave = valorATextoIG(registro[opciones.clave]);
+
+        if (Object.prototype.hasOwnProperty.call(mapa, clave)) {
+            console.warn('extraerDatosIG: Clave duplicada en formato mapa, se conserva el último registro:', clave);
         }
-    };
 
-    /**
-     * Configuraciones rápidas para casos comunes
-     */
-    const quickSetups = {
-        /**
-         * Configurar multiplicación simple (cantidad × precio = total)
-         */
-        multiplyColumns: function(gridStaticId, col1, col2, targetCol, decimalPlaces = 2) {
-            return setupAutoCalculation(gridStaticId, {
-                sourceColumns: [col1, col2],
-                targetColumn: targetCol,
-                formula: function(values) {
-                    return values[col1] * values[col2];
-                },
-                decimalPlaces: decimalPlaces
-            });
-        },
+        mapa[clave] = opciones.valor ? registro[opciones.valor] : registro;
+    });
 
-        /**
-         * Configurar precio con IVA
-         */
-        priceWithTax: function(gridStaticId, priceCol, targetCol, taxPercent = 10, decimalPlaces = 2) {
-            return setupAutoCalculation(gridStaticId, {
-                sourceColumns: [priceCol],
-                targetColumn: targetCol,
-                formula: function(values) {
-                    return values[priceCol] * (1 + taxPercent / 100);
-                },
-                decimalPlaces: decimalPlaces
+    return mapa;
+}
+
+/**
+ * Resuelve una referencia a campo (nombre de columna o alias) a su alias de salida
+ * @param {string} referencia - Nombre de la columna o alias
+ * @param {array} campos - Configuración de campos de extraerDatosIG
+ * @returns {string} - Alias del campo
+ */
+function resolverAliasCampoIG(referencia, campos) {
+    var encontrado = campos.filter(function(configCampo) {
+        return configCampo.nombre.toUpperCase() === String(referencia).toUpperCase();
+    })[0];
+
+    if (encontrado) {
+        return encontrado.alias || encontrado.nombre.toLowerCase();
+    }
+    return referencia;
+}
+
+/**
+ * Agrupa los registros extraídos en documentos cabecera/detalle con totales opcionales
+ * @param {array} data - Registros extraídos (claves = alias)
+ * @param {string|string[]|object} agruparPor - Campo(s) de agrupación o configuración completa
+ * @param {string[]} agruparPor.campos - Campos de cabecera que forman la clave del grupo
+ * @param {string} agruparPor.detalle - Nombre de la propiedad con las líneas (default: 'detalle')
+ * @param {boolean} agruparPor.quitarDeDetalle - Quitar los campos de cabecera de cada línea (default: true)
+ * @param {object} agruparPor.totales - { aliasTotal: 'campo' | { campo, operacion, decimales } }
+ * @param {array} campos - Configuración de campos de extraerDatosIG
+ * @returns {array} - Grupos en orden de aparición
+ */
+function agruparDatosIG(data, agruparPor, campos) {
+    var config = (typeof agruparPor === 'string' || Array.isArray(agruparPor))
+        ? { campos: agruparPor }
+        : agruparPor;
+
+    var camposGrupo = (Array.isArray(config.campos) ? config.campos : [config.campos]).map(function(referencia) {
+        return resolverAliasCampoIG(referencia, campos);
+    });
+    if (camposGrupo.length === 0 || !camposGrupo[0]) {
+        throw new Error('agruparPor debe indicar al menos un campo');
+    }
+
+    var nombreDetalle = config.detalle || 'detalle';
+    var quitarDeDetalle = config.quitarDeDetalle !== false; // Por defecto true
+
+    // Normalizar definiciones de totales
+    var totales = Object.keys(config.totales || {}).map(function(aliasTotal) {
+        var definicion = config.totales[aliasTotal];
+        if (typeof definicion === 'string') {
+            definicion = { campo: definicion };
+        }
+        return {
+            alias: aliasTotal,
+            campo: resolverAliasCampoIG(definicion.campo, campos),
+            operacion: definicion.operacion || 'suma',
+            decimales: definicion.decimales
+        };
+    });
+
+    var grupos = [];
+    var registrosPorGrupo = []; // Registros originales de cada grupo, para los totales
+    var indice = {};
+
+    data.forEach(function(registro) {
+        var clave = JSON.stringify(camposGrupo.map(function(campo) {
+            return registro[campo];
+        }));
+
+        var posicion = indice[clave];
+        if (posicion === undefined) {
+            var nuevoGrupo = {};
+            camposGrupo.forEach(function(campo) {
+                nuevoGrupo[campo] = registro[campo];
             });
-        },
+            nuevoGrupo[nombreDetalle] = [];
+            posicion = indice[clave] = grupos.length;
+            grupos.push(nuevoGrupo);
+            registrosPorGrupo.push([]);
+        }
+        var grupo = grupos[posicion];
+        registrosPorGrupo[posicion].push(registro);
 
-        /**
-         * Configurar subtotal con descuento
-         */
-        subtotalWithDiscount: function(gridStaticId, qtyCol, priceCol, discountCol, targetCol, decimalPlaces = 2) {
-            return setupAutoCalculation(gridStaticId, {
-                sourceColumns: [qtyCol, priceCol, discountCol],
-                targetColumn: targetCol,
-                formula: function(values) {
-                    const subtotal = values[qtyCol] * values[priceCol];
-                    return subtotal * (1 - values[discountCol] / 100);
-                },
-                decimalPlaces: decimalPlaces
+        var linea = {};
+        Object.keys(registro).forEach(function(campo) {
+            if (!quitarDeDetalle || camposGrupo.indexOf(campo) === -1) {
+                linea[campo] = registro[campo];
+            }
+        });
+        grupo[nombreDetalle].push(linea);
+    });
+
+    // Calcular totales por grupo sobre los registros originales
+    if (totales.length > 0) {
+        grupos.forEach(function(grupo, posicion) {
+            totales.forEach(function(total) {
+                grupo[total.alias] = calcularTotalIG(registrosPorGrupo[posicion], total);
             });
+        });
+    }
+
+    return grupos;
+}
+
+/**
+ * Calcula un total sobre una columna de un conjunto de registros
+ * @param {array} registros - Registros del grupo
+ * @param {object} total - { campo, operacion ('suma'|'conteo'|'promedio'|'min'|'max'), decimales }
+ * @returns {number|null} - Resultado del total
+ */
+function calcularTotalIG(registros, total) {
+    if (total.operacion === 'conteo') {
+        return registros.length;
+    }
+
+    // Normalizar valores con formato europeo igual que el resto de la librería
+    var valores = registros
+        .map(function(registro) { return registro[total.campo]; })
+        .filter(function(valor) { return valor !== null && valor !== undefined && valor !== ''; })
+        .map(function(valor) { return apexGridUtils.normalizeNumber(valor); });
+
+    var resultado;
+
+    switch (total.operacion) {
+        case 'suma':
+            resultado = valores.reduce(function(acumulado, valor) { return acumulado + valor; }, 0);
+            break;
+        case 'promedio':
+            resultado = valores.length > 0
+                ? valores.reduce(function(acumulado, valor) { return acumulado + valor; }, 0) / valores.length
+                : null;
+            break;
+        case 'min':
+            resultado = valores.length > 0 ? Math.min.apply(null, valores) : null;
+            break;
+        case 'max':
+            resultado = valores.length > 0 ? Math.max.apply(null, valores) : null;
+            break;
+        default:
+            throw new Error('operación de total no válida: ' + total.operacion);
+    }
+
+    if (resultado !== null && typeof total.decimales === 'number') {
+        resultado = parseFloat(resultado.toFixed(total.decimales));
+    }
+
+    return resultado;
+}
+
+/**
+ * Determina la operación DML de un registro a partir de su estado
+ * @param {object} estado - Estado retornado por obtenerEstadoRegistroIG
+ * @returns {string|null} - 'I', 'U', 'D' o null si el registro no tiene cambios
+ */
+function operacionDmlIG(estado) {
+    if (estado.agregado || (estado.insertado && estado.eliminado)) {
+        return null;
+    }
+    if (estado.eliminado) {
+        return 'D';
+    }
+    if (estado.insertado) {
+        return 'I';
+    }
+    if (estado.actualizado) {
+        return 'U';
+    }
+    return null;
+}
+
+/**
+ * Obtiene los valores originales de los campos modificados de un registro
+ * @param {object} record - Registro del modelo
+ * @param {object} model - Modelo del Interactive Grid
+ * @param {string[]} nombresCampos - Campos a revisar
+ * @returns {object} - Mapa { CAMPO: valorOriginal } solo con los campos que cambiaron
+ */
+function obtenerCambiosRegistroIG(record, model, nombresCampos) {
+    var originales = {};
+
+    try {
+        var meta = model.getRecordMetadata(model.getRecordId(record));
+        if (!meta || !meta.original) {
+            return originales;
+        }
+
+        nombresCampos.forEach(function(campo) {
+            var valorOriginal = model.getValue(meta.original, campo);
+            var cambiado;
+
+            if (meta.fields && meta.fields[campo]) {
+                // El modelo marca cada campo modificado en la metadata
+                cambiado = !!meta.fields[campo].changed;
+            } else {
+                // Fallback: comparar contra la copia original del registro
+                cambiado = JSON.stringify(valorOriginal) !== JSON.stringify(model.getValue(record, campo));
+            }
+
+            if (cambiado) {
+                originales[campo] = valorOriginal;
+            }
+        });
+    } catch (e) {
+        console.warn('extraerDatosIG: No se pudieron obtener los valores originales del registro.', e);
+    }
+
+    return originales;
+}
+
+/**
+ * Arma el payload DML con las filas y un resumen por operación
+ * @param {string} regionId - ID de la región del Interactive Grid
+ * @param {array} filas - Filas DML ({ operacion, pk, valores | cambios })
+ * @returns {object} - Payload listo para un item o apex.server.process
+ */
+function construirPayloadDmlIG(regionId, filas) {
+    var resumen = { insertados: 0, actualizados: 0, eliminados: 0, total: filas.length };
+
+    filas.forEach(function(fila) {
+        if (fila.operacion === 'I') {
+            resumen.insertados++;
+        } else if (fila.operacion === 'U') {
+            resumen.actualizados++;
+        } else if (fila.operacion === 'D') {
+            resumen.eliminados++;
         }
+    });
+
+    return {
+        regionId: regionId,
+        filas: filas,
+        resumen: resumen
+    };
+}
+
+function extraerDatos(regionId, campos, campoDestino) {
+    var configuracion = {
+        regionId: regionId,
+        campoDestino: campoDestino,
+        campos: campos.map(function(campo) {
+            if (typeof campo === 'string') {
+                return {
+                    nombre: campo,
+                    alias: campo.toLowerCase()
+                };
+            }
+            return campo;
+        })
     };
+    
+    return extraerDatosIG(configuracion);
+}
+
+// =============================================================================
+// APEX GRID UTILITIES - API LIMPIA Y CLARA
+// =============================================================================
+
+window.apexGridUtils = (function() {
+    'use strict';
+
+    // Almacén de configuraciones de cálculos automáticos
+    const autoCalculationConfigs = new Map();
+
+    // Listener de cálculos por grid: una suscripción que evalúa la cadena de fórmulas en orden
+    const calculationListeners = new Map();
+
+    // Conflictos de reglas de cálculo reportados por grid
+    const calculationConflicts = new Map();
+
+    // Suscripciones al modelo por grid (handles con dispose)
+    const gridSubscriptions = new Map();
 
     /**
-     * Verificar y corregir formato de números en el grid
-     * @param {string} gridStaticId - Static ID del grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} decimalPlaces - Número de decimales esperados
+     * Registrar suscripciones al modelo y crear el handle que las libera
+     * Si ya existe un handle con la misma clave en el grid se libera antes (evita duplicar listeners)
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {any} key - Clave del listener (null para no reemplazar ninguno)
+     * @param {object} model - Modelo del Interactive Grid
+     * @param {array} subscriptionIds - IDs retornados por model.subscribe
+     * @param {function} onDispose - Limpieza adicional (timers pendientes, estado) (opcional)
+     * @returns {object} - Handle { gridStaticId, disposed, dispose() }
      */
-    function ensureDecimalFormat(gridStaticId, columnName, decimalPlaces = 2) {
-        try {
-            const gridData = getActiveGridRecord(gridStaticId);
-            if (!gridData.success) {
-                return false;
+    function registerSubscription(gridStaticId, key, model, subscriptionIds, onDispose = null) {
+        if (!gridSubscriptions.has(gridStaticId)) {
+            gridSubscriptions.set(gridStaticId, []);
+        }
+        const handles = gridSubscriptions.get(gridStaticId);
+
+        if (key !== null && key !== undefined) {
+            const previous = handles.find(h => h.key === key);
+            if (previous) {
+                previous.dispose();
             }
+        }
 
-            const { model, record } = gridData;
-            const currentValue = model.getValue(record, columnName);
-            
-            // Si el valor es un número, asegurar que tenga los decimales correctos
-            if (typeof currentValue === 'number') {
-                const formattedValue = parseFloat(currentValue.toFixed(decimalPlaces));
-                model.setValue(record, columnName, formattedValue);
-                
-                //console.log(`apexGridUtils: Formato corregido para ${columnName}: ${currentValue} -> ${formattedValue}`);
+        const handle = {
+            gridStaticId: gridStaticId,
+            key: key,
+            disposed: false,
+            dispose: function() {
+                if (handle.disposed) {
+                    return false;
+                }
+                handle.disposed = true;
+                subscriptionIds.forEach(id => {
+                    try {
+                        model.unsubscribe(id);
+                    } catch (e) {
+                        console.warn('apexGridUtils: No se pudo cancelar la suscripción', id, e);
+                    }
+                });
+                if (onDispose) {
+                    onDispose();
+                }
+                const list = gridSubscriptions.get(gridStaticId) || [];
+                const index = list.indexOf(handle);
+                if (index !== -1) {
+                    list.splice(index, 1);
+                }
+                if (list.length === 0) {
+                    gridSubscriptions.delete(gridStaticId);
+                }
                 return true;
             }
-            
-            return false;
-        } catch (error) {
-            console.error('apexGridUtils ensureDecimalFormat error:', error);
-            return false;
-        }
+        };
+
+        handles.push(handle);
+        return handle;
     }
 
     /**
-     * Sumar todos los valores de una columna del Interactive Grid y colocarlos en un item
+     * Liberar todas las suscripciones de un grid (cálculos automáticos, sumas y listeners)
+     * Las configuraciones de cálculo se conservan; un nuevo setupAutoCalculation vuelve a suscribirse
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna a sumar
-     * @param {string} targetItem - ID del item donde colocar el total
-     * @param {number} decimalPlaces - Número de decimales para el resultado (default: 2)
-     * @param {boolean} autoUpdate - Si debe actualizarse automáticamente cuando cambie el grid (default: true)
-     * @returns {object} - Objeto con la suma calculada y la función calculateSum para uso externo
+     * @returns {number} - Cantidad de suscripciones liberadas
      */
-    function sumColumnToItem(gridStaticId, columnName, targetItem, decimalPlaces = 2, autoUpdate = true) {
-        try {
-            const ig$ = apex.region(gridStaticId).widget().interactiveGrid("getViews", "grid");
-            const model = ig$.model;
-            
-            // Función para calcular la suma
-            const calculateSum = function() {
-                let total = 0;
-                
-                model.forEach(function(record, index, id) {
-                     // ✅ ¡PUNTO CLAVE!
-                     // Ignorar los registros marcados para eliminación en la suma.
-                    if (isRecordMarkedForDeletion(record, model)) {
-                        return; // Siguiente registro
-                    }
-                    
-                    const value = model.getValue(record, columnName);
-                    if (value !== null && value !== undefined && value !== '') {
-                        total += normalizeNumber(value);
-                    }
-                });
-                
-                const formattedTotal = parseFloat(total.toFixed(decimalPlaces));
-                apex.item(targetItem).setValue(formattedTotal);
-                return formattedTotal;
-            };
-            
-            // Calcular suma inicial
-            const initialSum = calculateSum();
-            
-            // Configurar actualización automática si está habilitada
-            if (autoUpdate) {
-                // Suscribirse a cambios en el modelo
-                model.subscribe({
-                    onChange: function(type, change) {
-                        if (['set', 'add', 'delete', 'reset'].includes(type)) {
-                            // Un pequeño delay puede ayudar a que el modelo se estabilice antes de calcular
-                           setTimeout(calculateSum, 50);
-                       }
-                    }
-                });
-                
-                // También escuchar cambios en la estructura del grid (nuevas filas, eliminaciones)
-                model.subscribe({
-                    onChange: function(type) {
-                        if (type === 'add' || type === 'delete' || type === 'reset' || type === 'add') {
-                            setTimeout(calculateSum, 100);
-                        }
-                    }
-                });
-                
-                //console.log(`apexGridUtils: Configurada actualización automática para suma de ${columnName} -> ${targetItem}`);
+    function disposeAll(gridStaticId) {
+        const handles = (gridSubscriptions.get(gridStaticId) || []).slice();
+        handles.forEach(handle => handle.dispose());
+        console.log(`apexGridUtils: ${handles.length} suscripciones liberadas para ${gridStaticId}`);
+        return handles.length;
+    }
+
+    /**
+     * Generar ID único para una configuración
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} targetColumn - Columna destino
+     * @returns {string} - ID único de la configuración
+     */
+    function generateConfigId(gridStaticId, targetColumn) {
+        return `${gridStaticId}_${targetColumn}`;
+    }
+
+    /**
+     * Normaliza números con formato europeo/latino (1.234,56) a formato estándar (1234.56)
+     * @param {string|number} value - Valor a normalizar
+     * @returns {number} - Número normalizado
+     */
+    function normalizeNumber(value) {
+        if (value === null || value === undefined || value === '') {
+            return 0;
+        }
+        
+        // Convertir a string si es número
+        let strValue = String(value).trim();
+        
+        // Si ya es un número válido, retornarlo
+        if (!isNaN(parseFloat(strValue)) && strValue.indexOf(',') === -1 && strValue.indexOf('.') === -1) {
+            return parseFloat(strValue);
+        }
+        
+        // Detectar formato europeo/latino (1.234,56)
+        if (strValue.includes('.') && strValue.includes(',')) {
+            // Si hay punto y coma, asumir formato europeo: punto=miles, coma=decimal
+            strValue = strValue.replace(/\./g, '').replace(',', '.');
+        }
+        // Detectar formato con solo coma como decimal (1,56)
+        else if (strValue.includes(',') && !strValue.includes('.')) {
+            // Si solo hay coma, verificar si es decimal
+            const parts = strValue.split(',');
+            if (parts.length === 2 && parts[1].length <= 3) {
+                // Probablemente es decimal (1,56)
+                strValue = strValue.replace(',', '.');
+            } else {
+                // Probablemente es separador de miles (1,234)
+                strValue = strValue.replace(/,/g, '');
             }
-            
-            // Retornar objeto con la suma y la función para uso externo
-            return {
-                sum: initialSum,
-                calculateSum: calculateSum,
-                gridStaticId: gridStaticId,
-                columnName: columnName,
-                targetItem: targetItem
-            };
-            
-        } catch (error) {
-            console.error('apexGridUtils sumColumnToItem error:', error);
-            return {
-                sum: 0,
-                calculateSum: function() { return 0; },
-                gridStaticId: gridStaticId,
-                columnName: columnName,
-                targetItem: targetItem
-            };
         }
+        
+        const result = parseFloat(strValue);
+        return isNaN(result) ? 0 : result;
     }
 
     /**
-     * Función rápida para sumar columna TOTAL a un item específico
-     * @param {string} gridStaticId - Static ID del grid
-     * @param {string} targetItem - ID del item donde colocar el total
+     * Formatea un número al formato europeo/latino (1234.56 -> 1.234,56)
+     * @param {number} value - Valor numérico a formatear
      * @param {number} decimalPlaces - Número de decimales (default: 2)
+     * @param {boolean} useThousandsSeparator - Si debe usar separador de miles (default: true)
+     * @returns {string} - Número formateado en formato europeo
      */
-    function sumTotalToItem(gridStaticId, targetItem, decimalPlaces = 2) {
-        return sumColumnToItem(gridStaticId, 'TOTAL', targetItem, decimalPlaces, true);
+    function formatToEuropean(value, decimalPlaces = 2, useThousandsSeparator = true) {
+        if (value === null || value === undefined || isNaN(value)) {
+            return '0';
+        }
+        
+        // Convertir a número
+        const numValue = parseFloat(value);
+        
+        // Formatear con decimales
+        const formatted = numValue.toFixed(decimalPlaces);
+        
+        if (!useThousandsSeparator) {
+            // Solo cambiar punto por coma para decimales
+            return formatted.replace('.', ',');
+        }
+        
+        // Separar parte entera y decimal
+        const parts = formatted.split('.');
+        const integerPart = parts[0];
+        const decimalPart = parts[1] || '';
+        
+        // Agregar separadores de miles a la parte entera
+        const formattedInteger = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+        
+        // Combinar con coma decimal
+        if (decimalPart) {
+            return `${formattedInteger},${decimalPart}`;
+        } else {
+            return formattedInteger;
+        }
     }
 
     /**
-     * Configurar listener externo para recalcular suma cuando cambie el grid
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {function} callback - Función a ejecutar cuando cambie el grid
-     * @param {array} eventTypes - Tipos de eventos a escuchar (default: ['set', 'add', 'delete', 'reset'])
+     * Convierte un valor al formato europeo para mostrar en la interfaz
+     * @param {number|string} value - Valor a convertir
+     * @param {number} decimalPlaces - Número de decimales (default: 2)
+     * @returns {string} - Valor en formato europeo
      */
-    function setupGridListener(gridStaticId, callback, eventTypes = ['set', 'add', 'delete', 'reset']) {
-        try {
-            const ig$ = apex.region(gridStaticId).widget().interactiveGrid("getViews", "grid");
-            const model = ig$.model;
-            
-            model.subscribe({
-                onChange: function(type, change) {
-                    if (eventTypes.includes(type)) {
-                        // Pequeño delay para asegurar que el cambio se haya aplicado
-                        setTimeout(callback, 50);
-                    }
-                }
-            });
-            
-            //console.log(`apexGridUtils: Configurado listener externo para ${gridStaticId} con eventos: ${eventTypes.join(', ')}`);
-            return true;
-            
-        } catch (error) {
-            console.error('apexGridUtils setupGridListener error:', error);
-            return false;
-        }
+    function toEuropeanFormat(value, decimalPlaces = 2) {
+        const normalized = normalizeNumber(value);
+        return formatToEuropean(normalized, decimalPlaces, true);
     }
 
     /**
-     * Navegar a una celda específica en el Interactive Grid (Versión Mejorada)
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna a la que navegar
-     * @param {number} rowIndex - Índice de la fila (0 = primera fila, -1 = fila seleccionada)
-     * @param {boolean} focus - Si debe hacer focus en la celda (default: true)
+     * Funciones disponibles en las fórmulas de texto: { aridad mínima, aridad máxima, implementación }
+     * IF se evalúa aparte para no calcular la rama descartada
      */
-    function gotoCell(gridStaticId, columnName, rowIndex = -1, focus = true) {
-        try {
-            console.log(`🎯 apexGridUtils: Navegando a celda ${columnName} en fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}`);
-            
-            // Obtener el grid usando el método que funciona
-            const grid = apex.region(gridStaticId).call("getViews").grid;
-            const model = apex.region(gridStaticId).widget().interactiveGrid("getCurrentView").model;
-            
-            let targetRecord = null;
-            
-            // Obtener registro objetivo
-            if (rowIndex === -1) {
-                // Usar el registro seleccionado
-                const selectedRecords = apex.region(gridStaticId).widget().interactiveGrid("getCurrentView").getSelectedRecords();
-                if (selectedRecords && selectedRecords.length > 0) {
-                    targetRecord = selectedRecords[0];
-                } else {
-                    console.warn(`apexGridUtils: No hay registro seleccionado en ${gridStaticId}`);
-                    return false;
+    const expressionFunctions = {
+        IF: { min: 2, max: 3 },
+        ROUND: { min: 1, max: 2, fn: (value, decimals = 0) => {
+            const factor = Math.pow(10, decimals);
+            return Math.round(value * factor) / factor;
+        } },
+        MIN: { min: 1, max: Infinity, fn: (...values) => Math.min(...values) },
+        MAX: { min: 1, max: Infinity, fn: (...values) => Math.max(...values) },
+        NVL: { min: 2, max: 2 }
+    };
+
+    /**
+     * Dividir una fórmula de texto en tokens
+     * @param {string} expression - Fórmula, ej: "CANTIDAD * COSTO * (1 - DESCUENTO / 100)"
+     * @returns {array} - Tokens { type: 'num'|'id'|'op'|'(' |')'|',', value, pos }
+     */
+    function tokenizeExpression(expression) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < expression.length) {
+            const c = expression.charAt(i);
+
+            if (/\s/.test(c)) {
+                i++;
+            } else if (/[0-9.]/.test(c)) {
+                const match = expression.substring(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+                if (!match) {
+                    throw new Error(`Número no válido en la posición ${i + 1}`);
                 }
+                tokens.push({ type: 'num', value: parseFloat(match[0]), pos: i });
+                i += match[0].length;
+            } else if (/[A-Za-z_$#]/.test(c)) {
+                const match = expression.substring(i).match(/^[A-Za-z_$#][A-Za-z0-9_$#]*/);
+                tokens.push({ type: 'id', value: match[0].toUpperCase(), pos: i });
+                i += match[0].length;
+            } else if (c === '"') {
+                // Identificador entre comillas dobles: respeta mayúsculas/minúsculas
+                const end = expression.indexOf('"', i + 1);
+                if (end < 0) {
+                    throw new Error(`Falta cerrar las comillas abiertas en la posición ${i + 1}`);
+                }
+                tokens.push({ type: 'id', value: expression.substring(i + 1, end), quoted: true, pos: i });
+                i = end + 1;
             } else {
-                // Obtener registro por índice
-                let recordIndex = 0;
-                console.log(`🔍 apexGridUtils DEBUG: Buscando fila ${rowIndex}, rowIndex-1 = ${rowIndex - 1}`);
-                model.forEach(function(record, index, id) {
-                    console.log(`🔍 apexGridUtils DEBUG: recordIndex = ${recordIndex}, index = ${index}, id = ${id}`);
-                    if (recordIndex === rowIndex - 1) {  // rowIndex 1 = primera fila (índice 0)
-                        targetRecord = record;
-                        console.log(`✅ apexGridUtils DEBUG: Encontrado registro objetivo en recordIndex = ${recordIndex}`);
-                        return false; // Salir del forEach
-                    }
-                    recordIndex++;
-                });
-                
-                if (!targetRecord) {
-                    console.warn(`apexGridUtils: Fila ${rowIndex} fuera de rango en ${gridStaticId}`);
-                    return false;
+                const op = ['<=', '>=', '<>', '!=', '=='].find(o => expression.substr(i, 2) === o) ||
+                    ('+-*/%<>=(),'.indexOf(c) >= 0 ? c : null);
+                if (!op) {
+                    throw new Error(`Carácter no válido '${c}' en la posición ${i + 1}`);
                 }
+                tokens.push({ type: '(),'.indexOf(op) >= 0 ? op : 'op', value: op, pos: i });
+                i += op.length;
             }
-            
-            if (targetRecord) {
-                // Navegar a la celda usando el método que funciona
-                grid.gotoCell(targetRecord, columnName);
-                console.log(`✅ apexGridUtils: Navegación a celda ${columnName} completada`);
-                
-                // Hacer focus si está habilitado
-                if (focus) {
-                    setTimeout(() => {
-                        try {
-                            // Intentar hacer focus en la celda
-                            const cellElement = grid.getCellElement ? grid.getCellElement(targetRecord, columnName) : null;
-                            if (cellElement && cellElement.length > 0) {
-                                cellElement.focus();
-                                console.log(`✅ apexGridUtils: Focus en celda aplicado`);
-                            }
-                        } catch (e) {
-                            console.warn(`apexGridUtils: No se pudo aplicar focus:`, e);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parsear una fórmula de texto a un árbol de sintaxis (sin eval ni new Function)
+     * Precedencia: OR < AND < NOT < comparación < suma/resta < multiplicación/división < signo
+     * @param {string} expression - Fórmula de texto
+     * @returns {object} - { ast, columns } con las columnas referenciadas en orden de aparición
+     */
+    function parseExpression(expression) {
+        const tokens = tokenizeExpression(String(expression));
+        const columns = [];
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const isKeyword = (token, word) => token && token.type === 'id' && !token.quoted && token.value === word;
+        const isOp = (token, ops) => token && token.type === 'op' && ops.indexOf(token.value) >= 0;
+        const fail = function(message) {
+            const token = peek();
+            throw new Error(`${message} ${token ? `en la posición ${token.pos + 1}` : 'al final de la fórmula'}`);
+        };
+        const expect = function(type) {
+            if (!peek() || peek().type !== type) {
+                fail(`Se esperaba '${type}'`);
+            }
+            return tokens[index++];
+        };
+
+        const parseOr = function() {
+            let node = parseAnd();
+            while (isKeyword(peek(), 'OR')) {
+                index++;
+                node = { type: 'logical', op: 'OR', left: node, right: parseAnd() };
+            }
+            return node;
+        };
+        const parseAnd = function() {
+            let node = parseNot();
+            while (isKeyword(peek(), 'AND')) {
+                index++;
+                node = { type: 'logical', op: 'AND', left: node, right: parseNot() };
+            }
+            return node;
+        };
+        const parseNot = function() {
+            if (isKeyword(peek(), 'NOT')) {
+                index++;
+                return { type: 'unary', op: 'NOT', arg: parseNot() };
+            }
+            return parseComparison();
+        };
+        const parseComparison = function() {
+            const node = parseAdditive();
+            if (isOp(peek(), ['=', '==', '!=', '<>', '<', '<=', '>', '>='])) {
+                const op = tokens[index++].value;
+                return { type: 'binary', op: op, left: node, right: parseAdditive() };
+            }
+            return node;
+        };
+        const parseAdditive = function() {
+            let node = parseMultiplicative();
+            while (isOp(peek(), ['+', '-'])) {
+                const op = tokens[index++].value;
+                node = { type: 'binary', op: op, left: node, right: parseMultiplicative() };
+            }
+            return node;
+        };
+        const parseMultiplicative = function() {
+            let node = parseUnary();
+            while (isOp(peek(), ['*', '/', '%'])) {
+                const op = tokens[index++].value;
+                node = { type: 'binary', op: op, left: node, right: parseUnary() };
+            }
+            return node;
+        };
+        const parseUnary = function() {
+            if (isOp(peek(), ['+', '-'])) {
+                const op = tokens[index++].value;
+                return { type: 'unary', op: op, arg: parseUnary() };
+            }
+            return parsePrimary();
+        };
+        const parsePrimary = function() {
+            const token = peek();
+            if (!token) {
+                fail('Fórmula incompleta');
+            }
+            if (token.type === 'num') {
+                index++;
+                return { type: 'num', value: token.value };
+            }
+            if (token.type === '(') {
+                index++;
+                const node = parseOr();
+                expect(')');
+                return node;
+            }
+            if (token.type === 'id') {
+                index++;
+                // Llamada a función
+                if (!token.quoted && peek() && peek().type === '(') {
+                    const definition = expressionFunctions[token.value];
+                    if (!definition) {
+                        index--;
+                        fail(`Función desconocida '${token.value}'`);
+                    }
+                    index++;
+                    const args = [];
+                    if (!peek() || peek().type !== ')') {
+                        args.push(parseOr());
+                        while (peek() && peek().type === ',') {
+                            index++;
+                            args.push(parseOr());
                         }
-                    }, 100);
+                    }
+                    expect(')');
+                    if (args.length < definition.min || args.length > definition.max) {
+                        throw new Error(`La función ${token.value} recibe ${definition.min === definition.max ? definition.min : `entre ${definition.min} y ${definition.max}`} argumento(s)`);
+                    }
+                    return { type: 'call', name: token.value, args: args };
                 }
-                
-                return true;
+                if (!token.quoted && ['AND', 'OR', 'NOT'].indexOf(token.value) >= 0) {
+                    index--;
+                    fail(`Operador '${token.value}' inesperado`);
+                }
+                // Referencia a columna
+                if (columns.indexOf(token.value) === -1) {
+                    columns.push(token.value);
+                }
+                return { type: 'col', name: token.value };
             }
-            
-            return false;
-            
-        } catch (error) {
-            console.error('apexGridUtils gotoCell error:', error);
-            return false;
+            fail(`Símbolo inesperado '${token.value}'`);
+        };
+
+        if (tokens.length === 0) {
+            throw new Error('La fórmula está vacía');
+        }
+        const ast = parseOr();
+        if (index < tokens.length) {
+            fail(`Símbolo inesperado '${peek().value}'`);
         }
+        return { ast: ast, columns: columns };
     }
 
     /**
-     * Navegar a la primera celda de una columna específica (Versión Mejorada)
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
+     * Evaluar un árbol de fórmula con los valores de un registro
+     * Los valores vacíos llegan como null: NVL los reemplaza y en operaciones cuentan como 0
+     * @param {object} node - Nodo del árbol
+     * @param {object} values - Valores { COLUMNA: número|null }
+     * @returns {number|boolean|null} - Resultado
      */
-    function gotoFirstCell(gridStaticId, columnName) {
-        return gotoCell(gridStaticId, columnName, 0, true);
-    }
+    function evaluateExpressionNode(node, values) {
+        const num = value => (value === null || value === undefined) ? 0 : Number(value);
+
+        switch (node.type) {
+            case 'num':
+                return node.value;
+            case 'col': {
+                const value = values[node.name];
+                return value === undefined ? null : value;
+            }
+            case 'unary': {
+                const arg = evaluateExpressionNode(node.arg, values);
+                if (node.op === 'NOT') {
+                    return !arg;
+                }
+                return node.op === '-' ? -num(arg) : num(arg);
+            }
+            case 'logical': {
+                const left = evaluateExpressionNode(node.left, values);
+                if (node.op === 'AND') {
+                    return !!left && !!evaluateExpressionNode(node.right, values);
+                }
+                return !!left || !!evaluateExpressionNode(node.right, values);
+            }
+            case 'binary': {
+                const left = num(evaluateExpressionNode(node.left, values));
+                const right = num(evaluateExpressionNode(node.right, values));
+                switch (node.op) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/':
+                    case '%':
+                        if (right === 0) {
+                            throw new Error('División por cero');
+                        }
+                        return node.op === '/' ? left / right : left % right;
+                    case '=':
+                    case '==': return left === right;
+                    case '!=':
+                    case '<>': return left !== right;
+                    case '<': return left < right;
+                    case '<=': return left <= right;
+                    case '>': return left > right;
+                    default: return left >= right;
+                }
+            }
+            case 'call': {
+                if (node.name === 'IF') {
+                    if (evaluateExpressionNode(node.args[0], values)) {
+                        return evaluateExpressionNode(node.args[1], values);
+                    }
+                    return node.args.length > 2 ? evaluateExpressionNode(node.args[2], values) : 0;
+                }
+                if (node.name === 'NVL') {
+                    const value = evaluateExpressionNode(node.args[0], values);
+                    return value === null ? evaluateExpressionNode(node.args[1], values) : value;
+                }
+                const args = node.args.map(arg => num(evaluateExpressionNode(arg, values)));
+                return expressionFunctions[node.name].fn(...args);
+            }
+            default:
+                throw new Error('Nodo de fórmula no válido: ' + node.type);
+        }
+    }
 
     /**
-     * Navegar a la celda de la fila seleccionada (Versión Simplificada)
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @returns {boolean} - true si se navegó correctamente
+     * Compilar una fórmula de texto para usarla en setupAutoCalculation
+     * Soporta + - * / %, comparaciones, AND/OR/NOT, IF, ROUND, MIN, MAX y NVL
+     * @param {string} expression - Fórmula, ej: "IF(CANTIDAD > 10, PRECIO * 0.9, PRECIO)"
+     * @returns {object} - { expression, columns, evaluate(values) }; lanza Error si la fórmula no es válida
      */
-    function gotoSelectedCell(gridStaticId, columnName) {
-        try {
-            console.log(`🎯 apexGridUtils: Navegando a celda seleccionada ${columnName} en ${gridStaticId}`);
-            
-            // Obtener el grid usando el método directo
-            var grid = apex.region(gridStaticId).call("getViews").grid;
-            
-            // Obtener registros seleccionados
-            var array = grid.getSelectedRecords();
-            
-            // Verificar que hay registros seleccionados
-            if (!array || array.length === 0) {
-                console.warn(`apexGridUtils: No hay registros seleccionados en ${gridStaticId}`);
-                return false;
+    function compileExpression(expression) {
+        const parsed = parseExpression(expression);
+        return {
+            expression: expression,
+            columns: parsed.columns,
+            evaluate: function(values) {
+                const result = evaluateExpressionNode(parsed.ast, values || {});
+                if (typeof result === 'boolean') {
+                    return result ? 1 : 0;
+                }
+                return result === null ? 0 : result;
             }
-            
-            // Navegar a la celda usando el método directo
-            grid.gotoCell(array[0][1], columnName);
-            
-            console.log(`✅ apexGridUtils: Navegación a celda ${columnName} completada`);
-            return true;
-            
-        } catch (error) {
-            console.error('apexGridUtils gotoSelectedCell error:', error);
-            return false;
-        }
+        };
     }
 
     /**
-     * Setear un valor específico en una celda del Interactive Grid (Versión Mejorada)
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
-     * @param {any} value - Valor a establecer
-     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
-     * @returns {boolean} - true si se estableció correctamente
+     * Convertir una fórmula (función o texto) en una función de cálculo
+     * Las fórmulas de texto se compilan y reciben null en las celdas vacías (para NVL)
+     * @param {function|string} formula - Función o fórmula de texto
+     * @returns {function} - Función (values, record); con columns/usesNullValues si era texto
      */
-    function setCellValue(gridStaticId, columnName, rowIndex, value, refresh = true) {
+    function toCalculationFunction(formula) {
+        if (typeof formula === 'function') {
+            return formula;
+        }
+        let compiled;
         try {
-            console.log(`🔧 apexGridUtils: Seteando valor ${value} en ${columnName}, fila ${rowIndex}`);
-            
-            // Validaciones robustas de parámetros
-            if (!gridStaticId || typeof gridStaticId !== 'string') {
-                console.error('apexGridUtils: gridStaticId debe ser un string válido');
-                return false;
-            }
-            
-            if (!columnName || typeof columnName !== 'string') {
-                console.error('apexGridUtils: columnName debe ser un string válido');
-                return false;
-            }
-            
-            if (rowIndex === undefined || rowIndex === null) {
-                console.error('apexGridUtils: rowIndex no puede ser undefined o null');
-                return false;
-            }
-            
-            // Validar el valor - permitir 0, false, string vacío, pero no undefined/null
-            if (value === undefined || value === null) {
-                console.error('apexGridUtils: value no puede ser undefined o null');
-                return false;
-            }
-            
-            // Obtener el modelo usando el método que funciona
-            const model = apex.region(gridStaticId).widget().interactiveGrid("getCurrentView").model;
-            
-            if (!model) {
-                console.error('apexGridUtils: No se pudo obtener el modelo del grid');
-                return false;
-            }
-            
-            console.log(`✅ apexGridUtils: Modelo obtenido correctamente`);
-            
-            let targetRecord = null;
-            
-            // Obtener registro objetivo
-            if (rowIndex === -1) {
-                // Usar el registro seleccionado
-                const selectedRecords = apex.region(gridStaticId).widget().interactiveGrid("getCurrentView").getSelectedRecords();
-                if (selectedRecords && selectedRecords.length > 0) {
-                    targetRecord = selectedRecords[0];
-                } else {
-                    console.warn(`apexGridUtils: No hay registro seleccionado en ${gridStaticId}`);
-                    return false;
-                }
+            compiled = compileExpression(formula);
+        } catch (expressionError) {
+            throw new Error(`Fórmula no válida "${formula}": ${expressionError.message}`);
+        }
+        const calculation = values => compiled.evaluate(values);
+        calculation.expression = compiled.expression;
+        calculation.columns = compiled.columns;
+        calculation.usesNullValues = true;
+        return calculation;
+    }
+
+    /**
+     * Normalizar las entradas externas de una fórmula (items de página y columnas de un grid maestro)
+     * Aceptan un array de nombres o un objeto { ALIAS: nombre } para elegir la clave en values
+     * @param {object} config - Configuración con sourceItems y/o sourceGrids
+     * @returns {array} - Entradas { key, name, type, item | gridStaticId + column }
+     */
+    function normalizeCalculationInputs(config) {
+        const toPairs = names => Array.isArray(names)
+            ? names.map(name => [name, name])
+            : Object.keys(names || {}).map(alias => [alias, names[alias]]);
+        const inputs = [];
+
+        toPairs(config.sourceItems).forEach(([name, item]) => {
+            inputs.push({ key: `item:${item}`, name: name, type: 'item', item: item });
+        });
+        (config.sourceGrids || []).forEach(source => {
+            toPairs(source.columns).forEach(([name, column]) => {
+                inputs.push({ key: `grid:${source.gridStaticId}.${column}`, name: name, type: 'grid', gridStaticId: source.gridStaticId, column: column });
+            });
+        });
+
+        return inputs;
+    }
+
+    /**
+     * Leer los valores actuales de las entradas externas (una vez por pasada)
+     * Items con apexUtils.getNumeric; columnas del grid maestro desde su fila seleccionada
+     * @param {array} inputs - Entradas normalizadas
+     * @returns {object} - { values, nullableValues } con los valores por nombre
+     */
+    function readCalculationInputs(inputs) {
+        const result = { values: {}, nullableValues: {} };
+
+        (inputs || []).forEach(input => {
+            let rawValue = null;
+            if (input.type === 'item') {
+                rawValue = $v(input.item);
+                result.values[input.name] = apexUtils.getNumeric(input.item, 0);
             } else {
-                // Obtener registro por índice usando un enfoque más directo
-                console.log(`🔍 apexGridUtils DEBUG: Buscando fila ${rowIndex}, rowIndex-1 = ${rowIndex - 1}`);
-                
-                // Usar un array para almacenar todos los registros y acceder por índice
-                const allRecords = [];
-                
                 try {
-                    model.forEach(function(record, index, id) {
-                        console.log(`🔍 apexGridUtils DEBUG: Procesando registro - index: ${index}, id: ${id}`);
-                        if (record && typeof record === 'object') {
-                            allRecords.push(record);
-                        } else {
-                            console.warn(`apexGridUtils: Registro inválido encontrado en índice ${index}`);
+                    const grid = apex.region(input.gridStaticId).call("getViews").grid;
+                    const selected = grid.getSelectedRecords();
+                    if (selected && selected.length > 0) {
+                        rawValue = grid.model.getValue(selected[0], input.column);
+                        if (rawValue && typeof rawValue === 'object' && 'v' in rawValue) {
+                            rawValue = rawValue.v;
                         }
-                    });
-                } catch (forEachError) {
-                    console.error('apexGridUtils: Error en model.forEach:', forEachError);
-                    return false;
-                }
-                
-                console.log(`📊 apexGridUtils: Total registros encontrados: ${allRecords.length}`);
-                
-                const targetIndex = rowIndex - 1; // rowIndex 1 = primera fila (índice 0)
-                
-                if (targetIndex >= 0 && targetIndex < allRecords.length) {
-                    targetRecord = allRecords[targetIndex];
-                    console.log(`✅ apexGridUtils DEBUG: Encontrado registro objetivo en índice ${targetIndex} (ID: ${targetRecord.id})`);
-                } else {
-                    console.warn(`apexGridUtils: Fila ${rowIndex} fuera de rango en ${gridStaticId} (total filas: ${allRecords.length})`);
-                    return false;
+                    }
+                } catch (e) {
+                    console.warn(`apexGridUtils: No se pudo leer ${input.column} del grid ${input.gridStaticId}:`, e);
                 }
+                result.values[input.name] = normalizeNumber(rawValue);
             }
-            
-            if (!targetRecord) {
-                console.error(`apexGridUtils: No se pudo obtener registro objetivo`);
-                return false;
-            }
-            
-            console.log(`✅ apexGridUtils: Registro objetivo obtenido - ID: ${targetRecord.id}`);
-            
-            // Obtener valor actual para comparar
-            let currentValue;
-            try {
-                currentValue = model.getValue(targetRecord, columnName);
-                console.log(`📊 apexGridUtils: Valor actual en ${columnName}: ${currentValue}`);
-            } catch (getValueError) {
-                console.error('apexGridUtils: Error al obtener valor actual:', getValueError);
-                return false;
-            }
-            
-            // Verificar que el registro no esté eliminado
-            let metadata = null;
-            try {
-                const recordId = targetRecord.id;
-                // Solo intentar obtener metadata si el recordId existe y el método está disponible
-                if (recordId && model.getRecordMetadata && typeof model.getRecordMetadata === 'function') {
-                    metadata = model.getRecordMetadata(recordId);
-                    
-                    if (metadata && metadata.deleted) {
-                        console.warn(`apexGridUtils: Registro ${recordId} está eliminado, no se puede modificar`);
-                        return false;
-                    }
-                } else {
-                    console.log(`apexGridUtils: Metadata no disponible o recordId no encontrado, continuando...`);
+            result.nullableValues[input.name] = (rawValue === null || rawValue === undefined || rawValue === '')
+                ? null
+                : result.values[input.name];
+        });
+
+        return result;
+    }
+
+    /**
+     * Normalizar las reglas de una configuración de cálculo
+     * Sin reglas, la fórmula (con su cuando opcional) es una regla única
+     * @param {object} config - Configuración de setupAutoCalculation
+     * @returns {array} - Reglas { nombre, cuando, formula, sourceColumns }
+     */
+    function normalizeCalculationRules(config) {
+        // Los nombres de entradas externas no son columnas del grid
+        const inputNames = normalizeCalculationInputs(config).map(input => input.name);
+        const definitions = Array.isArray(config.reglas)
+            ? config.reglas
+            : [{ nombre: config.nombre, cuando: config.cuando, formula: config.formula, sourceColumns: config.sourceColumns }];
+
+        return definitions.map(function(definition, index) {
+            if (!definition || !definition.formula) {
+                throw new Error(`La regla ${index + 1} no tiene formula`);
+            }
+            const formula = toCalculationFunction(definition.formula);
+            const cuando = definition.cuando ? toCalculationFunction(definition.cuando) : null;
+
+            const sourceColumns = (definition.sourceColumns || config.sourceColumns || formula.columns || [])
+                .filter(column => inputNames.indexOf(column) === -1);
+            if (sourceColumns.length === 0 && !formula.columns && inputNames.length === 0) {
+                throw new Error(`Faltan sourceColumns para la regla ${definition.nombre || index + 1}`);
+            }
+            ((cuando && cuando.columns) || []).forEach(column => {
+                if (sourceColumns.indexOf(column) === -1 && inputNames.indexOf(column) === -1) {
+                    sourceColumns.push(column);
                 }
-            } catch (metadataError) {
-                console.warn('apexGridUtils: Error al obtener metadata del registro:', metadataError);
-                // Continuar sin metadata si no está disponible
+            });
+
+            return { nombre: definition.nombre || null, cuando: cuando, formula: formula, sourceColumns: sourceColumns };
+        });
+    }
+
+    /**
+     * Buscar choques entre las reglas existentes de una columna y las nuevas
+     * - Una regla después de otra sin condición nunca se aplicaría
+     * - Dos reglas con el mismo nombre
+     * @param {array} existingRules - Reglas ya registradas
+     * @param {array} newRules - Reglas a agregar
+     * @returns {object|null} - { tipo, reglas, mensaje } o null si no hay conflicto
+     */
+    function findRuleConflict(existingRules, newRules) {
+        const rules = existingRules.concat(newRules);
+        const ruleName = (rule, index) => rule.nombre || `regla ${index + 1}`;
+
+        for (let i = 0; i < rules.length; i++) {
+            if (!rules[i].cuando && i < rules.length - 1) {
+                return {
+                    tipo: 'inalcanzable',
+                    reglas: [ruleName(rules[i], i), ruleName(rules[i + 1], i + 1)],
+                    mensaje: i < existingRules.length
+                        ? `La columna ya tiene una fórmula sin condición (${ruleName(rules[i], i)}); use reemplazar: true o agregue cuando`
+                        : `La regla ${ruleName(rules[i + 1], i + 1)} nunca se aplicaría: ${ruleName(rules[i], i)} no tiene condición`
+                };
             }
-            
-            // Preparar el valor final - manejar formato europeo si es necesario
-            let finalValue = value;
-            
-            // Si el valor es numérico y la columna parece ser numérica, formatear al formato europeo
-            if (typeof value === 'number' && !isNaN(value)) {
-                // Detectar si la columna es numérica basándose en el nombre
-                const numericColumns = ['COSTO', 'CANTIDAD', 'TOTAL', 'PRECIO', 'IMPORTE', 'SUBTOTAL', 'IVA', 'DESCUENTO'];
-                const isNumericColumn = numericColumns.some(col => columnName.toUpperCase().includes(col));
-                
-                if (isNumericColumn) {
-                    try {
-                        // Formatear al formato europeo (punto como separador de miles, coma como decimal)
-                        finalValue = value.toFixed(3).replace('.', ',');
-                        console.log(`📊 apexGridUtils: Valor formateado al formato europeo: ${finalValue}`);
-                    } catch (formatError) {
-                        console.error('apexGridUtils: Error al formatear valor:', formatError);
-                        finalValue = value; // Usar valor original si falla el formateo
-                    }
+            for (let j = 0; j < i; j++) {
+                if (rules[i].nombre && rules[i].nombre === rules[j].nombre) {
+                    return { tipo: 'duplicada', reglas: [rules[i].nombre], mensaje: `Ya existe una regla llamada ${rules[i].nombre}` };
                 }
             }
-            
-            // Establecer el valor usando el método directo que funciona
-            try {
-                model.setValue(targetRecord, columnName, finalValue);
-                console.log(`📊 apexGridUtils: Valor establecido: ${finalValue}`);
-            } catch (setValueError) {
-                console.error('apexGridUtils: Error al establecer valor:', setValueError);
-                return false;
+        }
+        return null;
+    }
+
+    /**
+     * Registrar y reportar un conflicto de reglas (una sola vez por clave)
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {object} conflict - { tipo, targetColumn, reglas, mensaje, recordId }
+     */
+    function reportCalculationConflict(gridStaticId, conflict) {
+        if (!calculationConflicts.has(gridStaticId)) {
+            calculationConflicts.set(gridStaticId, []);
+        }
+        const conflicts = calculationConflicts.get(gridStaticId);
+        const key = `${conflict.tipo}|${conflict.targetColumn}|${conflict.reglas.join('|')}`;
+        if (conflicts.some(c => c.key === key)) {
+            return;
+        }
+        conflicts.push({ key: key, ...conflict });
+        console.warn(`apexGridUtils: Conflicto de reglas en ${gridStaticId} -> ${conflict.targetColumn}: ${conflict.mensaje}`);
+    }
+
+    /**
+     * Elegir la regla que aplica a un registro (la primera cuyo cuando se cumple)
+     * Si otra regla condicional también se cumple, se reporta el solapamiento
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {object} settings - Configuración con rules
+     * @param {function} valuesFor - Función que retorna los valores para una función de cálculo
+     * @param {object} record - Registro del modelo
+     * @param {object} model - Modelo del Interactive Grid
+     * @returns {object|null} - Regla elegida o null si ninguna aplica
+     */
+    function selectCalculationRule(gridStaticId, settings, valuesFor, record, model) {
+        let selected = null;
+
+        settings.rules.forEach(function(rule) {
+            if (rule.cuando && !rule.cuando(valuesFor(rule.cuando), record, model)) {
+                return;
+            }
+            if (!selected) {
+                selected = rule;
+            } else if (rule.cuando && selected.cuando) {
+                reportCalculationConflict(gridStaticId, {
+                    tipo: 'solapamiento',
+                    targetColumn: settings.targetColumn,
+                    reglas: [selected.nombre, rule.nombre],
+                    recordId: model.getRecordId(record),
+                    mensaje: `Las reglas ${selected.nombre} y ${rule.nombre} aplican a la misma fila; se usa ${selected.nombre}`
+                });
             }
-            
-            // Verificar que se estableció correctamente
-            let verifyValue;
-            try {
-                verifyValue = model.getValue(targetRecord, columnName);
-                console.log(`📊 apexGridUtils: Valor después de seteo: ${verifyValue}`);
-            } catch (verifyError) {
-                console.error('apexGridUtils: Error al verificar valor:', verifyError);
-                return false;
+        });
+
+        return selected;
+    }
+
+    /**
+     * Obtener los conflictos de reglas reportados
+     * @param {string} gridStaticId - Static ID del Interactive Grid (opcional, si no se especifica retorna todos)
+     * @returns {array} - Conflictos { tipo, targetColumn, reglas, mensaje, recordId }
+     */
+    function getAutoCalculationConflicts(gridStaticId = null) {
+        const result = [];
+        calculationConflicts.forEach((conflicts, grid) => {
+            if (!gridStaticId || grid === gridStaticId) {
+                conflicts.forEach(conflict => {
+                    const { key, ...details } = conflict;
+                    result.push({ gridStaticId: grid, ...details });
+                });
             }
-            
-            // Forzar el estado "dirty" del registro para que APEX lo reconozca como modificado
-            try {
-                if (model.markDirty) {
-                    model.markDirty(targetRecord);
-                    console.log(`✅ apexGridUtils: Registro marcado como dirty`);
+        });
+        return result;
+    }
+
+    /**
+     * Preparar el contexto de columna de una pasada: filas en orden, agrupadas, con totales y rankings
+     * @param {object} model - Modelo del Interactive Grid
+     * @param {object} settings - Configuración con columnContext { orderBy, orderMask, descending, groupBy }
+     * @returns {object} - { records: filas en orden de evaluación, contextFor(record) }
+     */
+    function createColumnContext(model, settings) {
+        const options = settings.columnContext === true ? {} : settings.columnContext;
+        const plain = value => (value && typeof value === 'object' && 'v' in value) ? value.v : value;
+        const numberAt = (record, column) => normalizeNumber(plain(model.getValue(record, column)));
+
+        const records = [];
+        model.forEach(function(record) {
+            if (!isRecordMarkedForDeletion(record, model)) {
+                records.push(record);
+            }
+        });
+
+        // Orden: el del modelo o el de la columna indicada (vacíos al final, empates en orden del modelo)
+        if (options.orderBy) {
+            const direction = options.descending ? -1 : 1;
+            const sortKey = function(record) {
+                const raw = plain(model.getValue(record, options.orderBy));
+                if (raw === null || raw === undefined || raw === '') {
+                    return null;
                 }
-                
-                // Commit del registro individual
-                if (model.commitRecord) {
-                    model.commitRecord(targetRecord);
-                    console.log(`✅ apexGridUtils: Registro confirmado`);
+                if (options.orderMask) {
+                    return parsearFechaIG(raw, options.orderMask);
                 }
-            } catch (commitError) {
-                console.warn('apexGridUtils: Error al confirmar registro:', commitError);
-            }
-            
-            // Refrescar la vista si está habilitado
-            if (refresh) {
-                try {
-                    const grid = apex.region(gridStaticId).call("getViews").grid;
-                    if (grid.view$ && grid.view$.trigger) {
-                        grid.view$.trigger('refresh');
-                        console.log(`✅ apexGridUtils: Vista refrescada`);
-                    }
-                } catch (e) {
-                    console.warn('apexGridUtils: No se pudo refrescar la vista:', e);
+                return /^\s*-?[\d.,]+\s*$/.test(String(raw)) ? normalizeNumber(raw) : String(raw);
+            };
+            const keys = new Map(records.map(record => [record, sortKey(record)]));
+            records.sort(function(a, b) {
+                const keyA = keys.get(a);
+                const keyB = keys.get(b);
+                if (keyA === keyB) return 0;
+                if (keyA === null) return 1;
+                if (keyB === null) return -1;
+                // Columnas mixtas: los números van antes que los textos para que el orden sea total
+                if (typeof keyA !== typeof keyB) {
+                    return (typeof keyA === 'number' ? -1 : 1) * direction;
                 }
-            }
-            
-            // Verificación final con retry si es necesario
-            setTimeout(() => {
-                const finalCheckValue = model.getValue(targetRecord, columnName);
-                console.log(`📊 apexGridUtils: Verificación final - ${columnName}: ${finalCheckValue}`);
-                
-                // Si el valor cambió inesperadamente, intentar re-establecerlo
-                if (finalCheckValue !== finalValue && finalCheckValue !== value) {
-                    console.warn(`⚠️ apexGridUtils: Valor cambió inesperadamente, re-estableciendo...`);
-                    
-                    // Re-establecer el valor
-                    model.setValue(targetRecord, columnName, finalValue);
-                    
-                    // Forzar dirty state nuevamente
-                    if (model.markDirty) {
-                        model.markDirty(targetRecord);
-                    }
-                    
-                    // Verificación final después del retry
-                    setTimeout(() => {
-                        const retryValue = model.getValue(targetRecord, columnName);
-                        if (retryValue === finalValue || retryValue === value) {
-                            console.log(`✅ apexGridUtils: Valor re-establecido correctamente`);
-                        } else {
-                            console.warn(`⚠️ apexGridUtils: Valor no se pudo mantener estable: ${retryValue}`);
-                        }
-                    }, 100);
-                } else {
-                    console.log(`✅ apexGridUtils: Valor se mantuvo correctamente`);
+                if (typeof keyA === 'number') {
+                    return (keyA - keyB) * direction;
                 }
-            }, 100);
-            
-            return true;
-            
-        } catch (error) {
-            console.error('apexGridUtils setCellValue error:', error);
-            console.error('apexGridUtils setCellValue - Parámetros recibidos:', {
-                gridStaticId: gridStaticId,
-                columnName: columnName,
-                rowIndex: rowIndex,
-                value: value,
-                valueType: typeof value,
-                refresh: refresh
+                return keyA.localeCompare(keyB) * direction;
             });
-            return false;
         }
-    }
 
-    /**
-     * Setear valor en la fila seleccionada (Versión Mejorada)
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {any} value - Valor a establecer
-     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
-     */
-    function setSelectedCellValue(gridStaticId, columnName, value, refresh = true) {
-        return setCellValue(gridStaticId, columnName, -1, value, refresh);
+        // Grupos (toda la columna si no hay groupBy)
+        const groups = new Map();
+        const positions = new Map();
+        records.forEach(function(record) {
+            const groupKey = options.groupBy ? plain(model.getValue(record, options.groupBy)) : null;
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, { key: groupKey, records: [], totals: {}, ranks: {} });
+            }
+            const group = groups.get(groupKey);
+            positions.set(record, { group: group, index: group.records.length });
+            group.records.push(record);
+        });
+
+        const contextFor = function(record) {
+            const position = positions.get(record);
+            const group = position.group;
+            return {
+                index: position.index,
+                count: group.records.length,
+                group: group.key,
+                // Valor de la fila anterior del grupo (para la columna destino, el ya calculado en esta pasada)
+                previous: function(column) {
+                    return position.index > 0 ? numberAt(group.records[position.index - 1], column) : 0;
+                },
+                total: function(column) {
+                    if (!(column in group.totals)) {
+                        group.totals[column] = group.records.reduce((sum, r) => sum + numberAt(r, column), 0);
+                    }
+                    return group.totals[column];
+                },
+                // Ranking con empates (1, 2, 2, 4); de mayor a menor por defecto
+                rank: function(column, descending = true) {
+                    const cacheKey = `${column}|${descending}`;
+                    if (!group.ranks[cacheKey]) {
+                        const sorted = group.records.map(r => numberAt(r, column)).sort((a, b) => descending ? b - a : a - b);
+                        group.ranks[cacheKey] = sorted;
+                    }
+                    return group.ranks[cacheKey].indexOf(numberAt(record, column)) + 1;
+                }
+            };
+        };
+
+        return { records: records, contextFor: contextFor };
     }
 
     /**
-     * Limpiar múltiples celdas seleccionadas estableciendo valores vacíos
+     * Configuración de cálculo automático para Interactive Grid
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string[]} columnNames - Array de nombres de columnas a limpiar
-     * @param {any} value - Valor a establecer (default: '')
-     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
-     * @returns {boolean} - true si todas las celdas se limpiaron correctamente
+     * @param {object} config - Configuración del cálculo
+     * @param {array} config.sourceColumns - Columnas que disparan el cálculo (opcional con fórmula de texto: se infieren)
+     * @param {string} config.targetColumn - Columna donde se guarda el resultado
+     * @param {function|string} config.formula - Función que realiza el cálculo o fórmula de texto, ej: "CANTIDAD * COSTO"
+     * @param {function|string} config.cuando - Condición (values, record, model) para aplicar la fórmula (opcional)
+     * @param {array} config.reglas - Lista ordenada de reglas { nombre, cuando, formula, sourceColumns } (en lugar de formula)
+     * @param {boolean} config.reemplazar - Reemplazar las reglas existentes de la columna en lugar de agregarlas (default: false)
+     * @param {array|object} config.sourceItems - Items de página que se pasan a la fórmula, ej: ['P10_TIPO_CAMBIO'] o { TC: 'P10_TIPO_CAMBIO' }
+     * @param {array} config.sourceGrids - Columnas de la fila seleccionada de otro grid: [{ gridStaticId, columns }]
+     * @param {object|boolean} config.columnContext - Fórmula con contexto de columna { orderBy, orderMask, descending, groupBy };
+     *                                                 la fórmula recibe (values, record, context)
+     * @param {number} config.decimalPlaces - Número de decimales (default: 2)
+     * @param {boolean} config.autoTrigger - Si debe configurar eventos automáticos (default: true)
+     * @returns {object|null} - Handle { configId, gridStaticId, targetColumn, dispose() } o null si no se registró
      */
-    function cleanSelectedCellValues(gridStaticId, columnNames, value = '', refresh = true) {
-        if (!Array.isArray(columnNames) || columnNames.length === 0) {
-            console.warn('apexGridUtils: cleanSelectedCellValues - columnNames debe ser un array no vacío');
-            return false;
-        }
-
-        let allSuccess = true;
-        
+    function setupAutoCalculation(gridStaticId, config) {
         try {
-            columnNames.forEach(columnName => {
-                const success = setCellValue(gridStaticId, columnName, -1, value, false);
-                if (!success) {
-                    allSuccess = false;
-                    console.warn(`apexGridUtils: Error limpiando columna ${columnName}`);
-                }
+            // Validar parámetros requeridos
+            if (!gridStaticId || !config.targetColumn || !(config.formula || Array.isArray(config.reglas))) {
+                console.error('apexGridUtils: Faltan parámetros requeridos');
+                return null;
+            }
+
+            // Reglas de la columna (una fórmula simple es una regla única)
+            let rules;
+            try {
+                rules = normalizeCalculationRules(config);
+            } catch (ruleError) {
+                console.error(`apexGridUtils: Configuración no válida para ${config.targetColumn}: ${ruleError.message}`);
+                return null;
+            }
+
+            // Generar ID único para esta configuración
+            const configId = generateConfigId(gridStaticId, config.targetColumn);
+            const previous = autoCalculationConfigs.get(configId);
+
+            // Volver a registrar una fórmula sin condición sobre una columna que ya tiene otra (quick.*, Dynamic Actions
+            // que se ejecutan otra vez al refrescar la región) la sustituye; una regla con cuando se reporta como conflicto
+            const replacesPrevious = !!previous && !config.reemplazar &&
+                previous.rules.some(rule => !rule.cuando) && rules.every(rule => !rule.cuando);
+            const existing = config.reemplazar || replacesPrevious ? null : previous;
+
+            // Las reglas nuevas se agregan a las existentes; los choques se reportan en lugar de sobrescribir
+            const conflict = findRuleConflict(existing ? existing.rules : [], rules);
+            if (conflict) {
+                reportCalculationConflict(gridStaticId, { ...conflict, targetColumn: config.targetColumn });
+                return null;
+            }
+            const ownRules = rules;
+            if (existing) {
+                rules = existing.rules.concat(rules);
+            }
+            rules.forEach((rule, index) => {
+                rule.nombre = rule.nombre || `${config.targetColumn}#${index + 1}`;
             });
 
-            // Refrescar solo una vez al final si se solicitó
-            if (refresh && allSuccess) {
-                refreshGridViewOnly(gridStaticId);
+            // Configuración por defecto (al agregar reglas se conservan las opciones ya registradas)
+            const { formula, cuando, reglas, reemplazar, ...options } = config;
+            const settings = {
+                decimalPlaces: 2,
+                autoTrigger: true,
+                triggerOnLoad: false,
+                ...(existing || {}),
+                ...options,
+                gridStaticId: gridStaticId,
+                configId: configId,
+                rules: rules
+            };
+            settings.externalInputs = normalizeCalculationInputs(settings);
+            applyCalculationRules(settings);
+
+            // Detectar dependencias circulares antes de registrar la configuración
+            const gridConfigs = getGridConfigs(gridStaticId).filter(c => c.configId !== configId);
+            const dependencies = sortConfigsByDependency(gridConfigs.concat(settings));
+            if (dependencies.cycle) {
+                console.error(`apexGridUtils: Dependencia circular en los cálculos de ${gridStaticId}: ${dependencies.cycle.join(' -> ')}`);
+                return null;
             }
 
-            return allSuccess;
+            // Almacenar la configuración para uso posterior
+            autoCalculationConfigs.set(configId, settings);
+
+            // Función para ejecutar el cálculo
+            const executeCalculation = function() {
+                return calculateFormula(gridStaticId, settings);
+            };
+
+            // Configurar eventos automáticos si está habilitado (un listener por grid para toda la cadena)
+            if (settings.autoTrigger) {
+                ensureCalculationListener(gridStaticId);
+                bindCalculationInputs(gridStaticId);
+            }
+
+            // Ejecutar cálculo inicial si está configurado (junto con las fórmulas que dependen de esta)
+            if (settings.triggerOnLoad) {
+                setTimeout(function() {
+                    if (settings.autoTrigger) {
+                        runCalculationChain(gridStaticId, settings.sourceColumns);
+                    } else {
+                        executeCalculation();
+                    }
+                }, 100);
+            }
+
+            console.log(`apexGridUtils: Configurado cálculo automático para ${gridStaticId} -> ${config.targetColumn} (ID: ${configId}, ${rules.length} regla(s))`);
+            return createCalculationHandle(gridStaticId, config.targetColumn, configId, ownRules);
+
         } catch (error) {
-            console.error('apexGridUtils: Error en cleanSelectedCellValues:', error);
-            return false;
+            console.error('apexGridUtils setupAutoCalculation error:', error);
+            return null;
         }
     }
 
     /**
-     * Setear valor en la primera fila (Versión Mejorada)
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {any} value - Valor a establecer
-     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+     * Derivar de las reglas de una configuración sus sourceColumns y la fórmula simple (si es una regla sin condición)
+     * @param {object} settings - Configuración con rules (se modifica)
+     * @returns {object} - La misma configuración
      */
-    function setFirstCellValue(gridStaticId, columnName, value, refresh = true) {
-        return setCellValue(gridStaticId, columnName, 1, value, refresh);
+    function applyCalculationRules(settings) {
+        const rules = settings.rules;
+        settings.sourceColumns = rules.reduce((columns, rule) => columns.concat(rule.sourceColumns.filter(c => columns.indexOf(c) === -1)), []);
+        settings.formula = rules.length === 1 && !rules[0].cuando ? rules[0].formula : null;
+        settings.expression = rules.length === 1 && !rules[0].cuando ? rules[0].formula.expression : undefined;
+
+        // Con contexto de columna, cambiar el orden o el grupo también recalcula
+        if (settings.columnContext) {
+            [settings.columnContext.orderBy, settings.columnContext.groupBy].forEach(column => {
+                if (column && settings.sourceColumns.indexOf(column) === -1) {
+                    settings.sourceColumns.push(column);
+                }
+            });
+        }
+        return settings;
     }
 
     /**
-     * Obtener el valor de una celda específica del Interactive Grid (Versión Mejorada)
+     * Crear el handle de una configuración de cálculo
+     * dispose() quita solo las reglas registradas por esa llamada; si la columna queda sin reglas se limpia la
+     * configuración (y el listener del grid si era la última). Convertido a texto es el configId
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
-     * @returns {any} - Valor de la celda o null si no se encuentra
+     * @param {string} targetColumn - Columna destino
+     * @param {string} configId - ID de la configuración
+     * @param {array} rules - Reglas registradas por esta llamada
+     * @returns {object} - Handle { configId, gridStaticId, targetColumn, disposed, dispose() }
      */
-    function getCellValue(gridStaticId, columnName, rowIndex = -1) {
-        try {
-            // Obtener el modelo usando el método que funciona
-            const model = apex.region(gridStaticId).widget().interactiveGrid("getCurrentView").model;
-            
-            let targetRecord = null;
-            
-            // Obtener registro objetivo
-            if (rowIndex === -1) {
-                // Usar el registro seleccionado
-                const selectedRecords = apex.region(gridStaticId).widget().interactiveGrid("getCurrentView").getSelectedRecords();
-                if (selectedRecords && selectedRecords.length > 0) {
-                    targetRecord = selectedRecords[0];
-                } else {
-                    console.warn(`apexGridUtils: No hay registro seleccionado en ${gridStaticId}`);
-                    return null;
+    function createCalculationHandle(gridStaticId, targetColumn, configId, rules) {
+        const handle = {
+            configId: configId,
+            gridStaticId: gridStaticId,
+            targetColumn: targetColumn,
+            disposed: false,
+            dispose: function() {
+                if (handle.disposed) {
+                    return false;
                 }
-            } else {
-                // Obtener registro por índice usando un enfoque más directo
-                console.log(`🔍 apexGridUtils DEBUG: Buscando fila ${rowIndex}, rowIndex-1 = ${rowIndex - 1}`);
-                
-                // Usar un array para almacenar todos los registros y acceder por índice
-                const allRecords = [];
-                model.forEach(function(record, index, id) {
-                    allRecords.push(record);
-                });
-                
-                const targetIndex = rowIndex - 1; // rowIndex 1 = primera fila (índice 0)
-                
-                if (targetIndex >= 0 && targetIndex < allRecords.length) {
-                    targetRecord = allRecords[targetIndex];
-                    console.log(`✅ apexGridUtils DEBUG: Encontrado registro objetivo en índice ${targetIndex} (ID: ${targetRecord.id})`);
-                } else {
-                    console.warn(`apexGridUtils: Fila ${rowIndex} fuera de rango en ${gridStaticId} (total filas: ${allRecords.length})`);
-                    return null;
+                handle.disposed = true;
+                // Otra llamada pudo reemplazar la configuración (o ya quitó estas reglas)
+                const current = autoCalculationConfigs.get(configId);
+                if (!current || !rules.some(rule => current.rules.includes(rule))) {
+                    return false;
                 }
+                const remaining = current.rules.filter(rule => !rules.includes(rule));
+                if (remaining.length === 0) {
+                    return clearAutoCalculationConfig(gridStaticId, targetColumn);
+                }
+
+                autoCalculationConfigs.set(configId, applyCalculationRules({ ...current, rules: remaining }));
+
+                // Descartar los conflictos reportados sobre las reglas quitadas
+                const removed = rules.map(rule => rule.nombre);
+                if (calculationConflicts.has(gridStaticId)) {
+                    calculationConflicts.set(gridStaticId, calculationConflicts.get(gridStaticId).filter(c =>
+                        c.targetColumn !== targetColumn || !c.reglas.some(nombre => removed.indexOf(nombre) !== -1)));
+                }
+                return true;
+            },
+            toString: function() {
+                return configId;
             }
+        };
+        return handle;
+    }
+
+    /**
+     * Ejecuta un cálculo específico en las filas del grid
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {object} settings - Configuración del cálculo
+     * @param {array} records - Registros a recalcular (opcional, si no se especifica recalcula todas las filas)
+     */
+    function calculateFormula(gridStaticId, settings, records = null) {
+    try {
+        const grid = apex.region(gridStaticId).call("getViews").grid;
+        if (!grid) {
+            console.error('apexGridUtils: No se pudo encontrar el grid con ID:', gridStaticId);
+            return;
+        }
+        const model = grid.model;
+
+        // Configuración pasada directamente (calculate / forceRecalculate): fórmula de texto o reglas
+        if (!settings.rules && (typeof settings.formula === 'string' || Array.isArray(settings.reglas) || settings.cuando)) {
+            const rules = normalizeCalculationRules(settings);
+            settings = {
+                ...settings,
+                rules: rules.map((rule, index) => ({ ...rule, nombre: rule.nombre || `${settings.targetColumn}#${index + 1}` })),
+                sourceColumns: rules.reduce((columns, rule) => columns.concat(rule.sourceColumns.filter(c => columns.indexOf(c) === -1)), [])
+            };
+        }
+
+        // Items de página y columnas del grid maestro: se leen una vez para todas las filas
+        const inputs = readCalculationInputs(settings.externalInputs || normalizeCalculationInputs(settings));
+
+        // Con contexto de columna siempre se recorren todas las filas, en orden
+        const columnContext = settings.columnContext ? createColumnContext(model, settings) : null;
+
+        // 1. ITERAR SOBRE LAS FILAS INDICADAS O SOBRE TODAS LAS FILAS DEL MODELO
+        const forEachRecord = columnContext
+            ? callback => columnContext.records.forEach(callback)
+            : records
+                ? callback => records.forEach(callback)
+                : callback => model.forEach(callback);
+
+        forEachRecord(function(record) {
             
-            if (!targetRecord) {
-                console.error(`apexGridUtils: No se pudo obtener registro objetivo`);
-                return null;
+            // 2. OMITIR FILAS MARCADAS PARA ELIMINACIÓN
+            if (isRecordMarkedForDeletion(record, model)) {
+                return; // Saltar a la siguiente fila
             }
-            
-            const rawValue = model.getValue(targetRecord, columnName);
-            
-            // Convertir a número si es posible, preservando decimales exactos
-            let finalValue = rawValue;
-            if (rawValue !== null && rawValue !== undefined && rawValue !== '') {
-                // Si ya es un número, usarlo tal como está
-                if (typeof rawValue === 'number') {
-                    finalValue = rawValue;
-                } else {
-                    // Si es string, intentar convertir preservando decimales
-                    const strValue = String(rawValue).trim();
-                    
-                    // Verificar si es un número válido (incluyendo decimales)
-                    if (/^-?\d*\.?\d+$/.test(strValue)) {
-                        // Usar Number() en lugar de parseFloat() para mayor precisión
-                        const numericValue = Number(strValue);
-                        if (!isNaN(numericValue)) {
-                            finalValue = numericValue;
-                        }
+
+            try {
+                // 3. OBTENER VALORES Y APLICAR FÓRMULA (para la fila actual del bucle)
+                const values = { ...inputs.values };
+                const nullableValues = { ...inputs.nullableValues };
+                settings.sourceColumns.forEach(column => {
+                    const rawValue = model.getValue(record, column);
+                    values[column] = normalizeNumber(rawValue);
+                    // Las fórmulas de texto reciben null en celdas vacías (para NVL)
+                    nullableValues[column] = (rawValue === null || rawValue === undefined || rawValue === '') ? null : values[column];
+                });
+                const valuesFor = calculation => calculation.usesNullValues ? nullableValues : values;
+
+                // Con reglas, aplicar la primera cuyo cuando se cumple (si ninguna aplica la fila no cambia)
+                let formula = settings.formula;
+                if (settings.rules) {
+                    const rule = selectCalculationRule(gridStaticId, settings, valuesFor, record, model);
+                    if (!rule) {
+                        return;
                     }
+                    formula = rule.formula;
+                }
+
+                // Pasamos 'record' por si la fórmula lo necesita (y el contexto de columna si está configurado)
+                let result = columnContext
+                    ? formula(valuesFor(formula), record, columnContext.contextFor(record))
+                    : formula(valuesFor(formula), record);
+                const decimalPlaces = settings.decimalPlaces || 2;
+                const roundedResult = parseFloat(Number(result).toFixed(decimalPlaces));
+
+                // 4. CONDICIÓN DE GUARDA (ANTI-BUCLE)
+                const currentValue = model.getValue(record, settings.targetColumn);
+                const roundedCurrentValue = parseFloat(Number(currentValue).toFixed(decimalPlaces));
+
+                if (roundedCurrentValue !== roundedResult) {
+                    model.setValue(record, settings.targetColumn, roundedResult);
                 }
+
+            } catch (recordError) {
+                const recordId = model.getRecordId(record) || "nuevo";
+                console.warn(`Error al procesar la fórmula en la fila ${recordId}:`, recordError);
             }
-            
-            console.log(`📊 apexGridUtils: Valor obtenido de ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}: ${finalValue} (tipo: ${typeof finalValue})`);
-            return finalValue;
-            
+        });
+
+    } catch (error) {
+        console.error('apexGridUtils calculateFormula error:', error);
+    }
+}
+
+    /**
+     * Configurar eventos para disparar cálculos automáticamente
+     * @returns {object|null} - Handle con dispose() para cancelar la suscripción
+     */
+    function setupTriggerEvents(gridStaticId, sourceColumns, callback) {
+        try {
+            const ig$ = apex.region(gridStaticId).widget().interactiveGrid("getViews", "grid");
+            const model = ig$.model;
+            const timers = new Set();
+
+            // Configurar listener para cambios en el modelo
+            const subscriptionId = model.subscribe({
+                onChange: function(type, change) {
+                    if (type === 'set' && sourceColumns.includes(change.field)) {
+                        const timer = setTimeout(function() {
+                            timers.delete(timer);
+                            callback();
+                        }, 50);
+                        timers.add(timer);
+                    }
+                }
+            });
+
+            // Volver a configurar las mismas columnas reemplaza el listener anterior
+            return registerSubscription(gridStaticId, `trigger:${sourceColumns.join(',')}`, model, [subscriptionId], function() {
+                timers.forEach(timer => clearTimeout(timer));
+                timers.clear();
+            });
+
         } catch (error) {
-            console.error('apexGridUtils getCellValue error:', error);
+            console.error('apexGridUtils setupTriggerEvents error:', error);
             return null;
         }
     }
 
     /**
-     * Obtener valor de la celda seleccionada (Versión Mejorada)
+     * Obtener las configuraciones de cálculo almacenadas para un grid
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @returns {any} - Valor de la celda o null si no se encuentra
+     * @returns {array} - Configuraciones del grid
      */
-    function getSelectedCellValue(gridStaticId, columnName) {
-        return getCellValue(gridStaticId, columnName, -1);
+    function getGridConfigs(gridStaticId) {
+        const configs = [];
+        autoCalculationConfigs.forEach(config => {
+            if (config.gridStaticId === gridStaticId) {
+                configs.push(config);
+            }
+        });
+        return configs;
     }
 
     /**
-     * Obtener todos los campos de la última fila seleccionada como un objeto
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {array} columns - Array de nombres de columnas a obtener (opcional, si no se especifica obtiene todas)
-     * @returns {object|null} - Objeto con todos los campos de la fila o null si no hay fila seleccionada
+     * Ordenar configuraciones según sus dependencias (orden topológico)
+     * Una fórmula depende de otra si usa su targetColumn entre sus sourceColumns
+     * @param {array} configs - Configuraciones de un mismo grid
+     * @returns {object} - { order: configuraciones en orden de evaluación, cycle: columnas del ciclo o null }
      */
-    function getCurrentRow(gridStaticId, columns = null) {
-        try {
-            console.log(`📊 apexGridUtils: Obteniendo fila actual de ${gridStaticId}`);
-            
-            // Usar exactamente tu método que funciona
-            const row = apex.region(gridStaticId).call("getCurrentView");
-            const record = row.getContextRecord(document.activeElement);
-            
-            if (!record || !record[0]) {
-                console.warn(`apexGridUtils: No se pudo obtener el registro de la fila seleccionada`);
-                return null;
-            }
-            
-            console.log(`📊 apexGridUtils: Registro obtenido exitosamente`);
-            
-            // Obtener columnas especificadas por el usuario
-            let columnsToGet = columns;
-            if (!columnsToGet || columnsToGet.length === 0) {
-                console.error(`apexGridUtils: Debes especificar las columnas que necesitas obtener del grid ${gridStaticId}`);
-                return null;
-            }
-            
-            console.log(`📊 apexGridUtils: Columnas a obtener: ${columnsToGet.join(', ')}`);
-            
-            // Crear objeto con todos los campos de la fila
-            const rowData = {};
-            
-            // Obtener las columnas del grid para mapear nombres a índices
-            const gridColumns = [];
-            try {
-                if (row.getColumns) {
-                    const columns = row.getColumns();
-                    columns.forEach((col, index) => {
-                        // Usar col.property que es el nombre real de la columna
-                        if (col.property) {
-                            gridColumns.push({ name: col.property, index: col.index });
-                        }
-                    });
-                }
-            } catch (e) {
-                console.warn(`apexGridUtils: Error al obtener columnas del grid:`, e);
-            }
-            
-            columnsToGet.forEach(columnName => {
-                try {
-                    let value = null;
-                    
-                    // Buscar el índice de la columna por nombre
-                    const columnInfo = gridColumns.find(col => col.name === columnName);
-                    if (columnInfo) {
-                        value = record[0][columnInfo.index];
-                        console.log(`📊 apexGridUtils: ${columnName} (índice ${columnInfo.index}) = ${value}`);
-                    } else {
-                        console.warn(`apexGridUtils: No se encontró la columna ${columnName} en el grid`);
-                        value = null;
-                    }
-                    
-                    rowData[columnName] = value;
-                } catch (error) {
-                    console.warn(`apexGridUtils: Error al obtener valor de columna ${columnName}:`, error);
-                    rowData[columnName] = null;
+    function sortConfigsByDependency(configs) {
+        const byTarget = new Map();
+        configs.forEach(config => byTarget.set(config.targetColumn, config));
+
+        const order = [];
+        const visited = new Set();
+        const visiting = new Set();
+        let cycle = null;
+
+        const visit = function(config, path) {
+            if (cycle || visited.has(config)) {
+                return;
+            }
+            if (visiting.has(config)) {
+                cycle = path.slice(path.indexOf(config.targetColumn)).concat(config.targetColumn);
+                return;
+            }
+            visiting.add(config);
+            (config.sourceColumns || []).forEach(column => {
+                const dependency = byTarget.get(column);
+                if (dependency) {
+                    visit(dependency, path.concat(config.targetColumn));
                 }
             });
-            
-            console.log(`✅ apexGridUtils: Fila actual obtenida con ${Object.keys(rowData).length} campos:`, rowData);
-            return rowData;
-            
-        } catch (error) {
-            console.error('apexGridUtils getCurrentRow error:', error);
-            return null;
-        }
+            visiting.delete(config);
+            visited.add(config);
+            order.push(config);
+        };
+
+        configs.forEach(config => visit(config, []));
+        return { order: order, cycle: cycle };
     }
 
     /**
-     * Obtener valor de la primera fila (Versión Mejorada)
+     * Obtener, en orden de evaluación, las fórmulas afectadas por el cambio de columnas
+     * (incluye las que dependen de otras fórmulas afectadas)
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @returns {any} - Valor de la celda o null si no se encuentra
+     * @param {array} changedColumns - Columnas modificadas
+     * @returns {array} - Configuraciones a evaluar
      */
-    function getFirstCellValue(gridStaticId, columnName) {
-        return getCellValue(gridStaticId, columnName, 1);
+    function getAffectedConfigs(gridStaticId, changedColumns) {
+        const changed = new Set(changedColumns);
+        return sortConfigsByDependency(getGridConfigs(gridStaticId)).order.filter(config => {
+            if (config.autoTrigger === false || !config.sourceColumns.some(column => changed.has(column))) {
+                return false;
+            }
+            changed.add(config.targetColumn);
+            return true;
+        });
     }
 
     /**
-     * Obtener valor numérico de una celda específica (con normalización de formato europeo)
+     * Ejecutar una función sin que el listener de cálculos reaccione a los cambios que produce
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
-     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
-     * @returns {number} - Valor numérico normalizado
+     * @param {function} callback - Función a ejecutar
+     * @returns {any} - Resultado de la función
      */
-    function getNumericCellValue(gridStaticId, columnName, rowIndex = -1, defaultValue = 0) {
+    function withCalculationListenerPaused(gridStaticId, callback) {
+        const listener = calculationListeners.get(gridStaticId);
+        const previous = listener ? listener.evaluating : false;
+        if (listener) {
+            listener.evaluating = true;
+        }
         try {
-            const rawValue = getCellValue(gridStaticId, columnName, rowIndex);
-            
-            if (rawValue === null || rawValue === undefined || rawValue === '') {
-                return defaultValue;
-            }
-            
-            // Si ya es un número, retornarlo directamente
-            if (typeof rawValue === 'number') {
-                //console.log(`apexGridUtils: Valor numérico directo de ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}: ${rawValue}`);
-                return rawValue;
+            return callback();
+        } finally {
+            if (listener) {
+                listener.evaluating = previous;
             }
-            
-            // Usar la función normalizeNumber existente para manejar formato europeo
-            const normalizedValue = normalizeNumber(rawValue);
-            
-            //console.log(`apexGridUtils: Valor numérico normalizado de ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}: ${normalizedValue}`);
-            return normalizedValue;
-            
-        } catch (error) {
-            console.error('apexGridUtils getNumericCellValue error:', error);
-            return defaultValue;
         }
     }
 
     /**
-     * Obtener valor numérico de la celda seleccionada
+     * Evaluar en una sola pasada y en orden topológico las fórmulas afectadas por un cambio
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
-     * @returns {number} - Valor numérico normalizado
+     * @param {array} changedColumns - Columnas modificadas
+     * @param {array} records - Registros a recalcular (opcional, si no se especifica recalcula todas las filas)
+     * @returns {number} - Cantidad de fórmulas evaluadas
      */
-    function getSelectedNumericCellValue(gridStaticId, columnName, defaultValue = 0) {
-        return getNumericCellValue(gridStaticId, columnName, -1, defaultValue);
+    function runCalculationChain(gridStaticId, changedColumns, records = null) {
+        const chain = getAffectedConfigs(gridStaticId, changedColumns);
+        withCalculationListenerPaused(gridStaticId, function() {
+            chain.forEach(config => calculateFormula(gridStaticId, config, records));
+        });
+        return chain.length;
     }
 
     /**
-     * Obtener valor numérico de la primera fila
+     * Acumular un cambio del modelo para recalcular solo su fila
+     * Los cambios de una ráfaga se agrupan y se evalúan juntos al terminar
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
-     * @returns {number} - Valor numérico normalizado
+     * @param {object} listener - Estado del listener del grid
+     * @param {object} change - Cambio recibido del modelo ({ record, field })
      */
-    function getFirstNumericCellValue(gridStaticId, columnName, defaultValue = 0) {
-        return getNumericCellValue(gridStaticId, columnName, 1, defaultValue);
+    function queueCalculationChange(gridStaticId, listener, change) {
+        const recordId = change.record ? listener.model.getRecordId(change.record) : null;
+
+        if (recordId === null || recordId === undefined) {
+            // Sin registro identificable: recalcular todas las filas para esa columna
+            listener.pendingColumns.add(change.field);
+        } else {
+            if (!listener.pendingRecords.has(recordId)) {
+                listener.pendingRecords.set(recordId, { record: change.record, columns: new Set() });
+            }
+            listener.pendingRecords.get(recordId).columns.add(change.field);
+        }
+
+        scheduleCalculationFlush(gridStaticId, listener);
     }
 
     /**
-     * Obtener valor numérico con decimales específicos
+     * Programar la evaluación de los cambios acumulados (se reinicia con cada cambio de la ráfaga)
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
-     * @param {number} decimalPlaces - Número de decimales (default: 2)
-     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
-     * @returns {number} - Valor numérico con decimales especificados
+     * @param {object} listener - Estado del listener del grid
      */
-    function getNumericCellValueWithDecimals(gridStaticId, columnName, rowIndex = -1, decimalPlaces = 2, defaultValue = 0) {
+    function scheduleCalculationFlush(gridStaticId, listener) {
+        clearTimeout(listener.timer);
+        listener.timer = setTimeout(function() {
+            flushCalculationChanges(gridStaticId, listener);
+        }, 50);
+    }
+
+    /**
+     * Evaluar los cambios acumulados: cada fila modificada recalcula solo las fórmulas afectadas
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {object} listener - Estado del listener del grid
+     */
+    function flushCalculationChanges(gridStaticId, listener) {
+        const pendingRecords = listener.pendingRecords;
+        const pendingColumns = Array.from(listener.pendingColumns);
+        const pendingStructure = listener.pendingStructure;
+        listener.pendingRecords = new Map();
+        listener.pendingColumns = new Set();
+        listener.pendingStructure = false;
+        listener.timer = null;
+
         try {
-            const rawValue = getNumericCellValue(gridStaticId, columnName, rowIndex, defaultValue);
-            
-            if (rawValue === defaultValue && rawValue !== 0) {
-                return defaultValue;
-            }
-            
-            // Aplicar formato de decimales
-            const formattedValue = parseFloat(rawValue.toFixed(decimalPlaces));
-            
-            //console.log(`apexGridUtils: Valor con ${decimalPlaces} decimales de ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}: ${formattedValue}`);
-            return formattedValue;
-            
+            // Filas agregadas, eliminadas o movidas: recalcular las fórmulas con contexto de columna
+            if (pendingStructure) {
+                runConfigsWithDependents(gridStaticId, getGridConfigs(gridStaticId).filter(c => c.columnContext && c.autoTrigger !== false));
+            }
+            if (pendingColumns.length > 0) {
+                runCalculationChain(gridStaticId, pendingColumns);
+            }
+
+            // Fórmulas afectadas por fila; la fila se busca otra vez porque pudo eliminarse o reemplazarse
+            // (refresco, merge) durante la ráfaga
+            const rowChanges = [];
+            pendingRecords.forEach((pending, recordId) => {
+                const record = typeof listener.model.getRecord === 'function'
+                    ? listener.model.getRecord(recordId)
+                    : pending.record;
+                if (record) {
+                    rowChanges.push({ record: record, configs: getAffectedConfigs(gridStaticId, Array.from(pending.columns)) });
+                }
+            });
+            const affected = new Set();
+            rowChanges.forEach(change => change.configs.forEach(config => affected.add(config)));
+            if (affected.size === 0) {
+                return;
+            }
+
+            // Las fórmulas con contexto de columna (y las que dependen de ellas) cambian otras filas: pasada completa;
+            // el resto se evalúa solo en las filas modificadas
+            const contextConfigs = Array.from(affected).filter(config => config.columnContext);
+            const fullPass = new Set(contextConfigs.concat(getAffectedConfigs(gridStaticId, contextConfigs.map(config => config.targetColumn))));
+            withCalculationListenerPaused(gridStaticId, function() {
+                sortConfigsByDependency(Array.from(new Set([...affected, ...fullPass]))).order.forEach(config => {
+                    if (fullPass.has(config)) {
+                        calculateFormula(gridStaticId, config);
+                        return;
+                    }
+                    const records = rowChanges.filter(change => change.configs.includes(config)).map(change => change.record);
+                    if (records.length > 0) {
+                        calculateFormula(gridStaticId, config, records);
+                    }
+                });
+            });
         } catch (error) {
-            console.error('apexGridUtils getNumericCellValueWithDecimals error:', error);
-            return defaultValue;
+            console.error('apexGridUtils flushCalculationChanges error:', error);
         }
     }
 
     /**
-     * Obtener valor entero (sin decimales)
+     * Suscribir (una sola vez por grid) el listener que dispara la cadena de cálculos
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
-     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
-     * @returns {number} - Valor entero
+     * @returns {object|null} - Estado del listener
      */
-    function getIntegerCellValue(gridStaticId, columnName, rowIndex = -1, defaultValue = 0) {
+    function ensureCalculationListener(gridStaticId) {
+        if (calculationListeners.has(gridStaticId)) {
+            return calculationListeners.get(gridStaticId);
+        }
+
         try {
-            const rawValue = getNumericCellValue(gridStaticId, columnName, rowIndex, defaultValue);
-            
-            if (rawValue === defaultValue && rawValue !== 0) {
-                return defaultValue;
-            }
-            
-            // Convertir a entero
-            const integerValue = Math.round(rawValue);
-            
-            //console.log(`apexGridUtils: Valor entero de ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}: ${integerValue}`);
-            return integerValue;
-            
+            const ig$ = apex.region(gridStaticId).widget().interactiveGrid("getViews", "grid");
+            const model = ig$.model;
+            const listener = {
+                model: model,
+                evaluating: false,
+                subscriptionId: null,
+                timer: null,
+                pendingRecords: new Map(),
+                pendingColumns: new Set(),
+                pendingStructure: false
+            };
+
+            listener.subscriptionId = model.subscribe({
+                onChange: function(type, change) {
+                    // Los cambios de la propia cadena ya se contemplan en el orden de evaluación
+                    if (listener.evaluating) {
+                        return;
+                    }
+                    if (type === 'set') {
+                        queueCalculationChange(gridStaticId, listener, change);
+                    } else if (['insert', 'copy', 'delete', 'move', 'revert', 'addData', 'refreshRecords'].includes(type)) {
+                        listener.pendingStructure = true;
+                        scheduleCalculationFlush(gridStaticId, listener);
+                    }
+                }
+            });
+
+            listener.handle = registerSubscription(gridStaticId, 'autoCalculation', model, [listener.subscriptionId], function() {
+                clearTimeout(listener.timer);
+                calculationListeners.delete(gridStaticId);
+            });
+
+            calculationListeners.set(gridStaticId, listener);
+            return listener;
+
         } catch (error) {
-            console.error('apexGridUtils getIntegerCellValue error:', error);
-            return defaultValue;
+            console.error('apexGridUtils ensureCalculationListener error:', error);
+            return null;
         }
     }
 
     /**
-     * Obtener valor entero de la fila seleccionada
+     * Recalcular todas las filas de las fórmulas que usan las entradas externas modificadas
+     * (y de las fórmulas que dependen de ellas)
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
-     * @returns {number} - Valor entero
+     * @param {array} inputKeys - Claves de las entradas modificadas
+     * @returns {number} - Cantidad de fórmulas evaluadas
      */
-    function getSelectedIntegerCellValue(gridStaticId, columnName, defaultValue = 0) {
-        return getIntegerCellValue(gridStaticId, columnName, -1, defaultValue);
+    function runCalculationInputsChain(gridStaticId, inputKeys) {
+        const direct = getGridConfigs(gridStaticId).filter(config => config.autoTrigger !== false &&
+            (config.externalInputs || []).some(input => inputKeys.indexOf(input.key) !== -1));
+        return runConfigsWithDependents(gridStaticId, direct);
     }
 
     /**
-     * Obtener valor entero de la primera fila
+     * Recalcular todas las filas de un conjunto de fórmulas y de las que dependen de ellas, en orden
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
-     * @returns {number} - Valor entero
+     * @param {array} direct - Configuraciones a recalcular
+     * @returns {number} - Cantidad de fórmulas evaluadas
      */
-    function getFirstIntegerCellValue(gridStaticId, columnName, defaultValue = 0) {
-        return getIntegerCellValue(gridStaticId, columnName, 1, defaultValue);
+    function runConfigsWithDependents(gridStaticId, direct) {
+        if (direct.length === 0) {
+            return 0;
+        }
+
+        const dependents = getAffectedConfigs(gridStaticId, direct.map(config => config.targetColumn));
+        const chain = sortConfigsByDependency(direct.concat(dependents.filter(config => direct.indexOf(config) === -1))).order;
+        withCalculationListenerPaused(gridStaticId, function() {
+            chain.forEach(config => calculateFormula(gridStaticId, config));
+        });
+        return chain.length;
     }
 
     /**
-     * Obtener valor con decimales específicos de la fila seleccionada
+     * Escuchar los items de página y grids maestros que usan las fórmulas de un grid
+     * Se vuelve a enlazar en cada setup; los cambios de una ráfaga se agrupan en un solo recálculo
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} decimalPlaces - Número de decimales (default: 2)
-     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
-     * @returns {number} - Valor con decimales especificados
+     * @returns {object|null} - Handle con dispose(), o null si ninguna fórmula usa entradas externas
      */
-    function getSelectedNumericCellValueWithDecimals(gridStaticId, columnName, decimalPlaces = 2, defaultValue = 0) {
-        return getNumericCellValueWithDecimals(gridStaticId, columnName, -1, decimalPlaces, defaultValue);
+    function bindCalculationInputs(gridStaticId) {
+        const previous = (gridSubscriptions.get(gridStaticId) || []).find(h => h.key === 'calculationInputs');
+        if (previous) {
+            previous.dispose();
+        }
+
+        const inputs = new Map();
+        getGridConfigs(gridStaticId).forEach(config => {
+            if (config.autoTrigger !== false) {
+                (config.externalInputs || []).forEach(input => inputs.set(input.key, input));
+            }
+        });
+        if (inputs.size === 0) {
+            return null;
+        }
+
+        const namespace = `apexGridUtilsCalc_${gridStaticId}`;
+        const pendingKeys = new Set();
+        const unbinders = [];
+        let timer = null;
+
+        const schedule = function(key) {
+            pendingKeys.add(key);
+            clearTimeout(timer);
+            timer = setTimeout(function() {
+                const keys = Array.from(pendingKeys);
+                pendingKeys.clear();
+                runCalculationInputsChain(gridStaticId, keys);
+            }, 50);
+        };
+
+        // Items de página
+        inputs.forEach(input => {
+            if (input.type !== 'item') {
+                return;
+            }
+            const $item = $('#' + input.item);
+            $item.on('change.' + namespace, () => schedule(input.key));
+            unbinders.push(() => $item.off('change.' + namespace));
+        });
+
+        // Grids maestros: cambio de fila seleccionada o edición de las columnas usadas
+        const masterGrids = new Map();
+        inputs.forEach(input => {
+            if (input.type === 'grid') {
+                if (!masterGrids.has(input.gridStaticId)) {
+                    masterGrids.set(input.gridStaticId, []);
+                }
+                masterGrids.get(input.gridStaticId).push(input);
+            }
+        });
+        masterGrids.forEach((masterInputs, masterId) => {
+            try {
+                const $ig = apex.region(masterId).widget();
+                const masterModel = apex.region(masterId).call("getViews").grid.model;
+
+                $ig.on('interactivegridselectionchange.' + namespace, () => masterInputs.forEach(input => schedule(input.key)));
+                const subscriptionId = masterModel.subscribe({
+                    onChange: function(type, change) {
+                        if (type === 'set') {
+                            masterInputs.filter(input => input.column === change.field).forEach(input => schedule(input.key));
+                        }
+                    }
+                });
+
+                unbinders.push(function() {
+                    $ig.off('interactivegridselectionchange.' + namespace);
+                    masterModel.unsubscribe(subscriptionId);
+                });
+            } catch (error) {
+                console.error(`apexGridUtils: No se pudo escuchar el grid maestro ${masterId}:`, error);
+            }
+        });
+
+        return registerSubscription(gridStaticId, 'calculationInputs', null, [], function() {
+            clearTimeout(timer);
+            unbinders.forEach(unbind => unbind());
+        });
     }
 
     /**
-     * Obtener valor con decimales específicos de la primera fila
+     * Obtener el orden de evaluación de los cálculos automáticos de un grid
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} decimalPlaces - Número de decimales (default: 2)
-     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
-     * @returns {number} - Valor con decimales especificados
+     * @returns {array} - Columnas destino en el orden en que se evalúan
      */
-    function getFirstNumericCellValueWithDecimals(gridStaticId, columnName, decimalPlaces = 2, defaultValue = 0) {
-        return getNumericCellValueWithDecimals(gridStaticId, columnName, 1, decimalPlaces, defaultValue);
+    function getAutoCalculationOrder(gridStaticId) {
+        return sortConfigsByDependency(getGridConfigs(gridStaticId)).order.map(config => config.targetColumn);
     }
 
     /**
-     * Setear valor numérico con control de decimales
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
-     * @param {number} value - Valor a establecer
-     * @param {number} decimalPlaces - Número de decimales para formatear (default: null = sin formatear)
-     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
-     * @returns {boolean} - true si se estableció correctamente
+     * Obtener el registro activo del grid
      */
-    function setNumericCellValue(gridStaticId, columnName, rowIndex, value, decimalPlaces = null, refresh = true) {
+    function getActiveGridRecord(gridStaticId) {
         try {
-            let finalValue = value;
+            const region = apex.region(gridStaticId);
+            if (!region.widget) {
+                return { success: false, error: 'Grid no encontrado' };
+            }
+
+            const ig$ = region.widget().interactiveGrid("getViews", "grid");
+            const model = ig$.model;
             
-            // Formatear decimales si se especifica
-            if (decimalPlaces !== null && typeof value === 'number') {
-                finalValue = parseFloat(value.toFixed(decimalPlaces));
+            // En versiones más antiguas, obtener el registro activo puede ser diferente
+            // Intentar diferentes métodos según la versión
+            let record = null;
+            
+            // Método 1: Intentar obtener registro seleccionado
+            try {
+                const selectedRecords = ig$.getSelectedRecords();
+                if (selectedRecords && selectedRecords.length > 0) {
+                    record = selectedRecords[0];
+                }
+            } catch (e) {
+                // Ignorar error y probar siguiente método
             }
             
-            // Usar la función setCellValue existente
-            const result = setCellValue(gridStaticId, columnName, rowIndex, finalValue, refresh);
+            // Método 2: Intentar obtener registro activo
+            if (!record) {
+                try {
+                    const activeRecordId = ig$.getActiveRecordId ? ig$.getActiveRecordId() : null;
+                    if (activeRecordId) {
+                        record = model.getRecord(activeRecordId);
+                    }
+                } catch (e) {
+                    // Ignorar error y probar siguiente método
+                }
+            }
             
-            if (result) {
-                //console.log(`apexGridUtils: Valor numérico ${finalValue} establecido en ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}${decimalPlaces !== null ? ` (con ${decimalPlaces} decimales)` : ''}`);
+            // Método 3: Obtener el primer registro si no hay activo
+            if (!record) {
+                try {
+                    // Usar model.forEach para obtener el primer registro
+                    let firstRecord = null;
+                    model.forEach(function(rec) {
+                        if (!firstRecord) {
+                            firstRecord = rec;
+                        }
+                    });
+                    record = firstRecord;
+                } catch (e) {
+                    // Ignorar error
+                }
             }
             
-            return result;
+            if (!record) {
+                return { success: false, error: 'No hay registro disponible' };
+            }
             
+            return { success: true, model, record, gridView: ig$ };
+
         } catch (error) {
-            console.error('apexGridUtils setNumericCellValue error:', error);
-            return false;
+            return { success: false, error: error.message };
         }
     }
 
     /**
-     * Setear valor numérico en la fila seleccionada
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} value - Valor a establecer
-     * @param {number} decimalPlaces - Número de decimales para formatear (default: null = sin formatear)
-     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
-     * @returns {boolean} - true si se estableció correctamente
+     * Ejecutar cálculo manual
+     * @param {string} gridStaticId - Static ID del grid
+     * @param {object} config - Configuración del cálculo
      */
-    function setSelectedNumericCellValue(gridStaticId, columnName, value, decimalPlaces = null, refresh = true) {
-        return setNumericCellValue(gridStaticId, columnName, -1, value, decimalPlaces, refresh);
+    function calculate(gridStaticId, config) {
+        const settings = {
+            decimalPlaces: 2,
+            ...config
+        };
+        
+        return calculateFormula(gridStaticId, settings);
     }
 
     /**
-     * Setear valor numérico en la primera fila
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} value - Valor a establecer
-     * @param {number} decimalPlaces - Número de decimales para formatear (default: null = sin formatear)
-     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
-     * @returns {boolean} - true si se estableció correctamente
+     * Obtener valor de una columna del registro activo
      */
-    function setFirstNumericCellValue(gridStaticId, columnName, value, decimalPlaces = null, refresh = true) {
-        return setNumericCellValue(gridStaticId, columnName, 1, value, decimalPlaces, refresh);
-    }
+    function getColumnValue(gridStaticId, columnName) {
+        const gridData = getActiveGridRecord(gridStaticId);
+        if (!gridData.success) {
+            return null;
+        }
 
-    /**
-     * Setear valor entero (sin decimales)
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
-     * @param {number} value - Valor a establecer
-     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
-     * @returns {boolean} - true si se estableció correctamente
-     */
-    function setIntegerCellValue(gridStaticId, columnName, rowIndex, value, refresh = true) {
-        const integerValue = Math.round(value);
-        return setCellValue(gridStaticId, columnName, rowIndex, integerValue, refresh);
+        return gridData.model.getValue(gridData.record, columnName);
     }
 
     /**
-     * Setear valor entero en la fila seleccionada
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} value - Valor a establecer
-     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
-     * @returns {boolean} - true si se estableció correctamente
+     * Establecer valor en una columna del registro activo
      */
-    function setSelectedIntegerCellValue(gridStaticId, columnName, value, refresh = true) {
-        return setIntegerCellValue(gridStaticId, columnName, -1, value, refresh);
+    function setColumnValue(gridStaticId, columnName, value) {
+        const gridData = getActiveGridRecord(gridStaticId);
+        if (!gridData.success) {
+            return false;
+        }
+
+        gridData.model.setValue(gridData.record, columnName, value);
+        return true;
     }
 
     /**
-     * Setear valor entero en la primera fila
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} value - Valor a establecer
-     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
-     * @returns {boolean} - true si se estableció correctamente
+     * Fórmulas predefinidas comunes
      */
-    function setFirstIntegerCellValue(gridStaticId, columnName, value, refresh = true) {
-        return setIntegerCellValue(gridStaticId, columnName, 1, value, refresh);
-    }
+    const presetFormulas = {
+        // Cantidad por costo
+        multiply: (values, col1, col2) => values[col1] * values[col2],
+        
+        // Precio con IVA
+        addTax: (values, priceCol, taxPercent = 10) => values[priceCol] * (1 + taxPercent / 100),
+        
+        // Subtotal con descuento
+        subtotalWithDiscount: (values, qtyCol, priceCol, discountCol) => {
+            const subtotal = values[qtyCol] * values[priceCol];
+            return subtotal * (1 - values[discountCol] / 100);
+        },
+        
+        // Suma de columnas
+        sum: (values, ...columns) => columns.reduce((total, col) => total + values[col], 0),
+        
+        // Promedio de columnas
+        average: (values, ...columns) => {
+            const sum = columns.reduce((total, col) => total + values[col], 0);
+            return sum / columns.length;
+        }
+    };
 
     /**
-     * Setear valor y recalcular automáticamente
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna a modificar
-     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
-     * @param {number} value - Valor a establecer
-     * @param {object} recalculoConfig - Configuración para el recálculo automático
-     * @param {array} recalculoConfig.sourceColumns - Columnas que disparan el recálculo
-     * @param {string} recalculoConfig.targetColumn - Columna donde se guarda el resultado
-     * @param {function} recalculoConfig.formula - Función que realiza el cálculo
-     * @param {number} recalculoConfig.decimalPlaces - Número de decimales (default: 2)
-     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
-     * @returns {boolean} - true si se estableció correctamente
+     * Configuraciones rápidas para casos comunes
      */
-    function setValueAndRecalculate(gridStaticId, columnName, rowIndex, value, recalculoConfig, refresh = true) {
+    const quickSetups = {
+        /**
+         * Configurar multiplicación simple (cantidad × precio = total)
+         */
+        multiplyColumns: function(gridStaticId, col1, col2, targetCol, decimalPlaces = 2) {
+            return setupAutoCalculation(gridStaticId, {
+                reemplazar: true,
+                sourceColumns: [col1, col2],
+                targetColumn: targetCol,
+                formula: function(values) {
+                    return values[col1] * values[col2];
+                },
+                decimalPlaces: decimalPlaces
+            });
+        },
+
+        /**
+         * Configurar precio con IVA
+         */
+        priceWithTax: function(gridStaticId, priceCol, targetCol, taxPercent = 10, decimalPlaces = 2) {
+            return setupAutoCalculation(gridStaticId, {
+                reemplazar: true,
+                sourceColumns: [priceCol],
+                targetColumn: targetCol,
+                formula: function(values) {
+                    return values[priceCol] * (1 + taxPercent / 100);
+                },
+                decimalPlaces: decimalPlaces
+            });
+        },
+
+        /**
+         * Configurar subtotal con descuento
+         */
+        subtotalWithDiscount: function(gridStaticId, qtyCol, priceCol, discountCol, targetCol, decimalPlaces = 2) {
+            return setupAutoCalculation(gridStaticId, {
+                reemplazar: true,
+                sourceColumns: [qtyCol, priceCol, discountCol],
+                targetColumn: targetCol,
+                formula: function(values) {
+                    const subtotal = values[qtyCol] * values[priceCol];
+                    return subtotal * (1 - values[discountCol] / 100);
+                },
+                decimalPlaces: decimalPlaces
+            });
+        },
+
+        /**
+         * Configurar saldo acumulado (saldo anterior + debe - haber)
+         */
+        runningTotal: function(gridStaticId, debitCol, creditCol, targetCol, orderBy = null, decimalPlaces = 2) {
+            return setupAutoCalculation(gridStaticId, {
+                reemplazar: true,
+                sourceColumns: creditCol ? [debitCol, creditCol] : [debitCol],
+                targetColumn: targetCol,
+                columnContext: { orderBy: orderBy },
+                formula: function(values, record, context) {
+                    return context.previous(targetCol) + values[debitCol] - (creditCol ? values[creditCol] : 0);
+                },
+                decimalPlaces: decimalPlaces
+            });
+        },
+
+        /**
+         * Configurar porcentaje sobre el total de la columna (o del grupo)
+         */
+        percentOfTotal: function(gridStaticId, valueCol, targetCol, groupBy = null, decimalPlaces = 2) {
+            return setupAutoCalculation(gridStaticId, {
+                reemplazar: true,
+                sourceColumns: [valueCol],
+                targetColumn: targetCol,
+                columnContext: { groupBy: groupBy },
+                formula: function(values, record, context) {
+                    const total = context.total(valueCol);
+                    return total === 0 ? 0 : values[valueCol] / total * 100;
+                },
+                decimalPlaces: decimalPlaces
+            });
+        },
+
+        /**
+         * Configurar ranking dentro de la columna (o del grupo), de mayor a menor por defecto
+         */
+        rankColumn: function(gridStaticId, valueCol, targetCol, groupBy = null, descending = true) {
+            return setupAutoCalculation(gridStaticId, {
+                reemplazar: true,
+                sourceColumns: [valueCol],
+                targetColumn: targetCol,
+                columnContext: { groupBy: groupBy },
+                formula: function(values, record, context) {
+                    return context.rank(valueCol, descending);
+                }
+            });
+        }
+    };
+
+    /**
+     * Verificar y corregir formato de números en el grid
+     * @param {string} gridStaticId - Static ID del grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} decimalPlaces - Número de decimales esperados
+     */
+    function ensureDecimalFormat(gridStaticId, columnName, decimalPlaces = 2) {
         try {
-            console.log(`apexGridUtils: Estableciendo valor ${value} en ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}`);
-            
-            // Establecer el valor
-            const result = setNumericCellValue(gridStaticId, columnName, rowIndex, value, null, refresh);
-            
-            if (result && recalculoConfig) {
-                // Esperar un poco para que el valor se guarde
-                setTimeout(function() {
-                    console.log(`apexGridUtils: Ejecutando recálculo automático...`);
-                    
-                    // Ejecutar el recálculo
-                    const recalculatedValue = calculateFormula(gridStaticId, recalculoConfig);
-                    
-                    console.log(`apexGridUtils: Recálculo completado. Nuevo valor en ${recalculoConfig.targetColumn}: ${recalculatedValue}`);
-                }, 50);
+            const gridData = getActiveGridRecord(gridStaticId);
+            if (!gridData.success) {
+                return false;
             }
+
+            const { model, record } = gridData;
+            const currentValue = model.getValue(record, columnName);
             
-            return result;
+            // Si el valor es un número, asegurar que tenga los decimales correctos
+            if (typeof currentValue === 'number') {
+                const formattedValue = parseFloat(currentValue.toFixed(decimalPlaces));
+                model.setValue(record, columnName, formattedValue);
+                
+                //console.log(`apexGridUtils: Formato corregido para ${columnName}: ${currentValue} -> ${formattedValue}`);
+                return true;
+            }
             
+            return false;
         } catch (error) {
-            console.error('apexGridUtils setValueAndRecalculate error:', error);
+            console.error('apexGridUtils ensureDecimalFormat error:', error);
             return false;
         }
     }
 
     /**
-     * Setear valor en fila seleccionada y recalcular automáticamente
+     * Sumar todos los valores de una columna del Interactive Grid y colocarlos en un item
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} value - Valor a establecer
-     * @param {object} recalculoConfig - Configuración para el recálculo automático
-     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+     * @param {string} columnName - Nombre de la columna a sumar
+     * @param {string} targetItem - ID del item donde colocar el total
+     * @param {number} decimalPlaces - Número de decimales para el resultado (default: 2)
+     * @param {boolean} autoUpdate - Si debe actualizarse automáticamente cuando cambie el grid (default: true)
+     * @returns {object} - Objeto con la suma calculada, la función calculateSum y dispose() para dejar de escuchar el grid
      */
-    function setSelectedValueAndRecalculate(gridStaticId, columnName, value, recalculoConfig, refresh = true) {
-        return setValueAndRecalculate(gridStaticId, columnName, -1, value, recalculoConfig, refresh);
+    function sumColumnToItem(gridStaticId, columnName, targetItem, decimalPlaces = 2, autoUpdate = true) {
+        try {
+            const ig$ = apex.region(gridStaticId).widget().interactiveGrid("getViews", "grid");
+            const model = ig$.model;
+            
+            // Función para calcular la suma
+            const calculateSum = function() {
+                let total = 0;
+                
+                model.forEach(function(record, index, id) {
+                     // ✅ ¡PUNTO CLAVE!
+                     // Ignorar los registros marcados para eliminación en la suma.
+                    if (isRecordMarkedForDeletion(record, model)) {
+                        return; // Siguiente registro
+                    }
+                    
+                    const value = model.getValue(record, columnName);
+                    if (value !== null && value !== undefined && value !== '') {
+                        total += normalizeNumber(value);
+                    }
+                });
+                
+                const formattedTotal = parseFloat(total.toFixed(decimalPlaces));
+                apex.item(targetItem).setValue(formattedTotal);
+                return formattedTotal;
+            };
+            
+            // Calcular suma inicial
+            const initialSum = calculateSum();
+            let handle = null;
+            
+            // Configurar actualización automática si está habilitada
+            if (autoUpdate) {
+                const timers = new Set();
+                const scheduleSum = function(delay) {
+                    const timer = setTimeout(function() {
+                        timers.delete(timer);
+                        calculateSum();
+                    }, delay);
+                    timers.add(timer);
+                };
+
+                // Suscribirse a cambios en el modelo
+                const changeSubscription = model.subscribe({
+                    onChange: function(type, change) {
+                        if (['set', 'add', 'delete', 'reset'].includes(type)) {
+                            // Un pequeño delay puede ayudar a que el modelo se estabilice antes de calcular
+                           scheduleSum(50);
+                       }
+                    }
+                });
+                
+                // También escuchar cambios en la estructura del grid (nuevas filas, eliminaciones)
+                const structureSubscription = model.subscribe({
+                    onChange: function(type) {
+                        if (type === 'add' || type === 'delete' || type === 'reset' || type === 'add') {
+                            scheduleSum(100);
+                        }
+                    }
+                });
+
+                // Una nueva suma de la misma columna al mismo item reemplaza a la anterior
+                handle = registerSubscription(gridStaticId, `sum:${columnName}:${targetItem}`, model, [changeSubscription, structureSubscription], function() {
+                    timers.forEach(timer => clearTimeout(timer));
+                    timers.clear();
+                });
+                
+                //console.log(`apexGridUtils: Configurada actualización automática para suma de ${columnName} -> ${targetItem}`);
+            }
+            
+            // Retornar objeto con la suma y la función para uso externo
+            return {
+                sum: initialSum,
+                calculateSum: calculateSum,
+                dispose: function() {
+                    return handle ? handle.dispose() : false;
+                },
+                gridStaticId: gridStaticId,
+                columnName: columnName,
+                targetItem: targetItem
+            };
+            
+        } catch (error) {
+            console.error('apexGridUtils sumColumnToItem error:', error);
+            return {
+                sum: 0,
+                calculateSum: function() { return 0; },
+                dispose: function() { return false; },
+                gridStaticId: gridStaticId,
+                columnName: columnName,
+                targetItem: targetItem
+            };
+        }
     }
 
     /**
-     * Setear valor en primera fila y recalcular automáticamente
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} columnName - Nombre de la columna
-     * @param {number} value - Valor a establecer
-     * @param {object} recalculoConfig - Configuración para el recálculo automático
-     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+     * Función rápida para sumar columna TOTAL a un item específico
+     * @param {string} gridStaticId - Static ID del grid
+     * @param {string} targetItem - ID del item donde colocar el total
+     * @param {number} decimalPlaces - Número de decimales (default: 2)
      */
-    function setFirstValueAndRecalculate(gridStaticId, columnName, value, recalculoConfig, refresh = true) {
-        return setValueAndRecalculate(gridStaticId, columnName, 1, value, recalculoConfig, refresh);
+    function sumTotalToItem(gridStaticId, targetItem, decimalPlaces = 2) {
+        return sumColumnToItem(gridStaticId, 'TOTAL', targetItem, decimalPlaces, true);
     }
 
     /**
-     * Forzar recálculo de una fórmula específica
+     * Configurar listener externo para recalcular suma cuando cambie el grid
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {object} config - Configuración del cálculo
-     * @param {array} config.sourceColumns - Columnas fuente
-     * @param {string} config.targetColumn - Columna destino
-     * @param {function} config.formula - Función de cálculo
-     * @param {number} config.decimalPlaces - Número de decimales (default: 2)
-     * @returns {number} - Resultado del cálculo
+     * @param {function} callback - Función a ejecutar cuando cambie el grid
+     * @param {array} eventTypes - Tipos de eventos a escuchar (default: ['set', 'add', 'delete', 'reset'])
+     * @returns {object|false} - Handle con dispose() para quitar el listener, o false si hubo error
      */
-    function forceRecalculate(gridStaticId, config) {
+    function setupGridListener(gridStaticId, callback, eventTypes = ['set', 'add', 'delete', 'reset']) {
         try {
-            console.log(`apexGridUtils: Forzando recálculo en ${gridStaticId}...`);
+            const ig$ = apex.region(gridStaticId).widget().interactiveGrid("getViews", "grid");
+            const model = ig$.model;
+            const timers = new Set();
             
-            const result = calculateFormula(gridStaticId, config);
+            const subscriptionId = model.subscribe({
+                onChange: function(type, change) {
+                    if (eventTypes.includes(type)) {
+                        // Pequeño delay para asegurar que el cambio se haya aplicado
+                        const timer = setTimeout(function() {
+                            timers.delete(timer);
+                            callback();
+                        }, 50);
+                        timers.add(timer);
+                    }
+                }
+            });
             
-            console.log(`apexGridUtils: Recálculo forzado completado. Resultado: ${result}`);
-            return result;
+            //console.log(`apexGridUtils: Configurado listener externo para ${gridStaticId} con eventos: ${eventTypes.join(', ')}`);
+            // Registrar el mismo callback otra vez reemplaza el listener anterior
+            return registerSubscription(gridStaticId, callback, model, [subscriptionId], function() {
+                timers.forEach(timer => clearTimeout(timer));
+                timers.clear();
+            });
             
         } catch (error) {
-            console.error('apexGridUtils forceRecalculate error:', error);
-            return 0;
+            console.error('apexGridUtils setupGridListener error:', error);
+            return false;
         }
     }
 
     /**
-     * Refrescar grid y recalcular
+     * Navegar a una celda específica en el Interactive Grid (Versión Mejorada)
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {object} recalculoConfig - Configuración opcional para recálculo
-     * @returns {boolean} - true si se refrescó correctamente
+     * @param {string} columnName - Nombre de la columna a la que navegar
+     * @param {number} rowIndex - Índice de la fila (0 = primera fila, -1 = fila seleccionada)
+     * @param {boolean} focus - Si debe hacer focus en la celda (default: true)
      */
-    function refreshGridAndRecalculate(gridStaticId, recalculoConfig = null) {
-        try {
-            const grid = apex.region(gridStaticId).call("getViews").grid;
-            
-            // Refrescar la vista del grid
-            try {
-                // Método correcto para Interactive Grids de APEX
-                grid.view$.trigger('refresh');
-                console.log(`apexGridUtils: Grid ${gridStaticId} refrescado`);
-            } catch (e) {
-                console.warn(`apexGridUtils: No se pudo refrescar grid ${gridStaticId}:`, e);
-            }
-            
-            // Ejecutar recálculo si se especifica
-            if (recalculoConfig) {
-                setTimeout(function() {
-                    forceRecalculate(gridStaticId, recalculoConfig);
-                }, 100);
-            }
-            
-            return true;
-            
-        } catch (error) {
-            console.error('apexGridUtils refreshGridAndRecalculate error:', error);
-            return false;
-        }
-    }
-
-    /**
-     * Refrescar todos los cálculos automáticos configurados en un grid
-     * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} targetColumn - Columna específica a refrescar (opcional, si no se especifica refresca todas)
-     * @param {number} delay - Delay en milisegundos antes de ejecutar (default: 50)
-     * @returns {boolean} - true si se refrescó correctamente
-     */
-    function refreshAutoCalculation(gridStaticId, targetColumn = null, delay = 50) {
+    function gotoCell(gridStaticId, columnName, rowIndex = -1, focus = true) {
         try {
-            // Verificación de seguridad
-            if (typeof autoCalculationConfigs === 'undefined') {
-                console.error('apexGridUtils: autoCalculationConfigs no está definido. El módulo no se ha inicializado correctamente.');
-                return false;
-            }
+            console.log(`🎯 apexGridUtils: Navegando a celda ${columnName} en fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}`);
             
-            console.log(`apexGridUtils: Refrescando cálculos automáticos para ${gridStaticId}${targetColumn ? ` -> ${targetColumn}` : ''}`);
-            console.log(`apexGridUtils: Total configuraciones almacenadas: ${autoCalculationConfigs.size}`);
+            // Obtener el grid usando el método que funciona
+            const grid = apex.region(gridStaticId).call("getViews").grid;
+            const model = apex.region(gridStaticId).widget().interactiveGrid("getCurrentView").model;
             
-            let configsToRefresh = [];
+            let targetRecord = null;
             
-            if (targetColumn) {
-                // Refrescar configuración específica
-                const configId = generateConfigId(gridStaticId, targetColumn);
-                const config = autoCalculationConfigs.get(configId);
-                if (config) {
-                    configsToRefresh.push(config);
-                    console.log(`apexGridUtils: Configuración encontrada para ${configId}:`, config);
+            // Obtener registro objetivo
+            if (rowIndex === -1) {
+                // Usar el registro seleccionado
+                const selectedRecords = apex.region(gridStaticId).widget().interactiveGrid("getCurrentView").getSelectedRecords();
+                if (selectedRecords && selectedRecords.length > 0) {
+                    targetRecord = selectedRecords[0];
                 } else {
-                    console.warn(`apexGridUtils: No se encontró configuración para ${gridStaticId} -> ${targetColumn} (ID: ${configId})`);
+                    console.warn(`apexGridUtils: No hay registro seleccionado en ${gridStaticId}`);
                     return false;
                 }
             } else {
-                // Refrescar todas las configuraciones del grid
-                autoCalculationConfigs.forEach((config, configId) => {
-                    if (config.gridStaticId === gridStaticId) {
-                        configsToRefresh.push(config);
-                        console.log(`apexGridUtils: Configuración encontrada: ${configId}`, config);
+                // Obtener registro por índice
+                let recordIndex = 0;
+                console.log(`🔍 apexGridUtils DEBUG: Buscando fila ${rowIndex}, rowIndex-1 = ${rowIndex - 1}`);
+                model.forEach(function(record, index, id) {
+                    console.log(`🔍 apexGridUtils DEBUG: recordIndex = ${recordIndex}, index = ${index}, id = ${id}`);
+                    if (recordIndex === rowIndex - 1) {  // rowIndex 1 = primera fila (índice 0)
+                        targetRecord = record;
+                        console.log(`✅ apexGridUtils DEBUG: Encontrado registro objetivo en recordIndex = ${recordIndex}`);
+                        return false; // Salir del forEach
                     }
+                    recordIndex++;
                 });
                 
-                if (configsToRefresh.length === 0) {
-                    console.warn(`apexGridUtils: No se encontraron configuraciones para ${gridStaticId}`);
-                    console.log(`apexGridUtils: Configuraciones disponibles:`, Array.from(autoCalculationConfigs.keys()));
+                if (!targetRecord) {
+                    console.warn(`apexGridUtils: Fila ${rowIndex} fuera de rango en ${gridStaticId}`);
                     return false;
                 }
             }
             
-            console.log(`apexGridUtils: ${configsToRefresh.length} configuraciones a refrescar`);
-            
-            // Ejecutar el recálculo con delay
-            setTimeout(function() {
-                try {
-                    let totalResults = 0;
-                    
-                    // Ejecutar cada configuración
-                    configsToRefresh.forEach(config => {
+            if (targetRecord) {
+                // Navegar a la celda usando el método que funciona
+                grid.gotoCell(targetRecord, columnName);
+                console.log(`✅ apexGridUtils: Navegación a celda ${columnName} completada`);
+                
+                // Hacer focus si está habilitado
+                if (focus) {
+                    setTimeout(() => {
                         try {
-                            console.log(`apexGridUtils: Ejecutando recálculo para configuración:`, config);
-                            
-                            // Verificar que el grid existe antes de recalcular
-                            const gridData = getActiveGridRecord(gridStaticId);
-                            if (!gridData.success) {
-                                console.error(`apexGridUtils: No se pudo obtener registro activo para ${gridStaticId}:`, gridData.error);
-                                return;
-                            }
-                            
-                            // Verificar que las columnas fuente existen y tienen valores
-                            const { model, record } = gridData;
-                            const sourceValues = {};
-                            let hasValidValues = true;
-                            
-                            config.sourceColumns.forEach(column => {
-                                const rawValue = model.getValue(record, column);
-                                const normalizedValue = normalizeNumber(rawValue);
-                                sourceValues[column] = normalizedValue;
-                                
-                                console.log(`apexGridUtils: Columna fuente ${column}: valor original="${rawValue}", normalizado=${normalizedValue}`);
-                                
-                                if (normalizedValue === 0 && rawValue !== 0) {
-                                    console.warn(`apexGridUtils: Columna ${column} tiene valor 0, verificar si es correcto`);
-                                }
-                            });
-                            
-                            if (!hasValidValues) {
-                                console.warn(`apexGridUtils: Algunas columnas fuente no tienen valores válidos`);
+                            // Intentar hacer focus en la celda
+                            const cellElement = grid.getCellElement ? grid.getCellElement(targetRecord, columnName) : null;
+                            if (cellElement && cellElement.length > 0) {
+                                cellElement.focus();
+                                console.log(`✅ apexGridUtils: Focus en celda aplicado`);
                             }
-                            
-                            const result = forceRecalculate(gridStaticId, config);
-                            totalResults += result;
-                            console.log(`apexGridUtils: Recálculo completado para ${config.targetColumn}, resultado: ${result}`);
-                            
-                        } catch (error) {
-                            console.error(`apexGridUtils: Error durante el recálculo de ${config.targetColumn}:`, error);
+                        } catch (e) {
+                            console.warn(`apexGridUtils: No se pudo aplicar focus:`, e);
                         }
-                    });
-                    
-                    // Refrescar la vista del grid para asegurar que los cambios se muestren
-                    try {
-                        const grid = apex.region(gridStaticId).call("getViews").grid;
-                        // Método correcto para Interactive Grids de APEX
-                        grid.view$.trigger('refresh');
-                        console.log(`apexGridUtils: Grid ${gridStaticId} refrescado después del recálculo`);
-                    } catch (e) {
-                        console.warn(`apexGridUtils: No se pudo refrescar grid ${gridStaticId}:`, e);
-                    }
-                    
-                    console.log(`apexGridUtils: Recálculo completado para ${gridStaticId}, ${configsToRefresh.length} configuraciones procesadas, total: ${totalResults}`);
-                    
-                } catch (error) {
-                    console.error(`apexGridUtils: Error durante el recálculo de ${gridStaticId}:`, error);
+                    }, 100);
                 }
-            }, delay);
+                
+                return true;
+            }
             
-            return true;
+            return false;
             
         } catch (error) {
-            console.error('apexGridUtils refreshAutoCalculation error:', error);
+            console.error('apexGridUtils gotoCell error:', error);
             return false;
         }
     }
 
     /**
-     * Obtener la configuración almacenada de un grid
+     * Navegar a la primera celda de una columna específica (Versión Mejorada)
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} targetColumn - Columna específica (opcional)
-     * @returns {object|null} - Configuración almacenada o null si no existe
+     * @param {string} columnName - Nombre de la columna
      */
-    function getAutoCalculationConfig(gridStaticId, targetColumn = null) {
+    function gotoFirstCell(gridStaticId, columnName) {
+        return gotoCell(gridStaticId, columnName, 0, true);
+    }
+
+    /**
+     * Navegar a la celda de la fila seleccionada (Versión Simplificada)
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @returns {boolean} - true si se navegó correctamente
+     */
+    function gotoSelectedCell(gridStaticId, columnName) {
         try {
-            // Verificación de seguridad
-            if (typeof autoCalculationConfigs === 'undefined') {
-                console.error('apexGridUtils: autoCalculationConfigs no está definido. El módulo no se ha inicializado correctamente.');
-                return null;
-            }
+            console.log(`🎯 apexGridUtils: Navegando a celda seleccionada ${columnName} en ${gridStaticId}`);
             
-            if (targetColumn) {
-                const configId = generateConfigId(gridStaticId, targetColumn);
-                return autoCalculationConfigs.get(configId) || null;
-            } else {
-                // Retornar todas las configuraciones del grid
-                const configs = [];
-                autoCalculationConfigs.forEach((config, configId) => {
-                    if (config.gridStaticId === gridStaticId) {
-                        configs.push(config);
-                    }
-                });
-                return configs.length > 0 ? configs : null;
+            // Obtener el grid usando el método directo
+            var grid = apex.region(gridStaticId).call("getViews").grid;
+            
+            // Obtener registros seleccionados
+            var array = grid.getSelectedRecords();
+            
+            // Verificar que hay registros seleccionados
+            if (!array || array.length === 0) {
+                console.warn(`apexGridUtils: No hay registros seleccionados en ${gridStaticId}`);
+                return false;
             }
+            
+            // Navegar a la celda usando el método directo
+            grid.gotoCell(array[0][1], columnName);
+            
+            console.log(`✅ apexGridUtils: Navegación a celda ${columnName} completada`);
+            return true;
+            
         } catch (error) {
-            console.error('apexGridUtils getAutoCalculationConfig error:', error);
-            return null;
+            console.error('apexGridUtils gotoSelectedCell error:', error);
+            return false;
         }
     }
 
     /**
-     * Limpiar la configuración almacenada de un grid
+     * Setear un valor específico en una celda del Interactive Grid (Versión Mejorada)
      * @param {string} gridStaticId - Static ID del Interactive Grid
-     * @param {string} targetColumn - Columna específica a limpiar (opcional, si no se especifica limpia todas)
-     * @returns {boolean} - true si se limpió correctamente
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
+     * @param {any} value - Valor a establecer
+     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+     * @returns {boolean} - true si se estableció correctamente
      */
-    function clearAutoCalculationConfig(gridStaticId, targetColumn = null) {
+    function setCellValue(gridStaticId, columnName, rowIndex, value, refresh = true) {
         try {
-            // Verificación de seguridad
-            if (typeof autoCalculationConfigs === 'undefined') {
-                console.error('apexGridUtils: autoCalculationConfigs no está definido. El módulo no se ha inicializado correctamente.');
+            console.log(`🔧 apexGridUtils: Seteando valor ${value} en ${columnName}, fila ${rowIndex}`);
+            
+            // Validaciones robustas de parámetros
+            if (!gridStaticId || typeof gridStaticId !== 'string') {
+                console.error('apexGridUtils: gridStaticId debe ser un string válido');
                 return false;
             }
             
-            let deleted = false;
+            if (!columnName || typeof columnName !== 'string') {
+                console.error('apexGridUtils: columnName debe ser un string válido');
+                return false;
+            }
             
-            if (targetColumn) {
-                // Limpiar configuración específica
-                const configId = generateConfigId(gridStaticId, targetColumn);
-                deleted = autoCalculationConfigs.delete(configId);
-                if (deleted) {
-                    console.log(`apexGridUtils: Configuración limpiada para ${gridStaticId} -> ${targetColumn}`);
-                } else {
-                    console.warn(`apexGridUtils: No se encontró configuración para limpiar en ${gridStaticId} -> ${targetColumn}`);
-                }
-            } else {
-                // Limpiar todas las configuraciones del grid
-                const configsToDelete = [];
-                autoCalculationConfigs.forEach((config, configId) => {
-                    if (config.gridStaticId === gridStaticId) {
-                        configsToDelete.push(configId);
-                    }
-                });
+            if (rowIndex === undefined || rowIndex === null) {
+                console.error('apexGridUtils: rowIndex no puede ser undefined o null');
+                return false;
+            }
+            
+            // Validar el valor - permitir 0, false, string vacío, pero no undefined/null
+            if (value === undefined || value === null) {
+                console.error('apexGridUtils: value no puede ser undefined o null');
+                return false;
+            }
+            
+            // Obtener el modelo usando el método que funciona
+            const model = apex.region(gridStaticId).widget().interactiveGrid("getCurrentView").model;
+            
+            if (!model) {
+                console.error('apexGridUtils: No se pudo obtener el modelo del grid');
+                return false;
+            }
+            
+            console.log(`✅ apexGridUtils: Modelo obtenido correctamente`);
+            
+            let targetRecord = null;
+            
+            // Obtener registro objetivo
+            if (rowIndex === -1) {
+                // Usar el registro seleccionado
+                const selectedRecords = apex.region(gridStaticId).widget().interactiveGrid("getCurrentView").getSelectedRecords();
+                if (selectedRecords && selectedRecords.length > 0) {
+                    targetRecord = selectedRecords[0];
+                } else {
+                    console.warn(`apexGridUtils: No hay registro seleccionado en ${gridStaticId}`);
+                    return false;
+                }
+            } else {
+                // Obtener registro por índice usando un enfoque más directo
+                console.log(`🔍 apexGridUtils DEBUG: Buscando fila ${rowIndex}, rowIndex-1 = ${rowIndex - 1}`);
                 
-                configsToDelete.forEach(configId => {
-                    autoCalculationConfigs.delete(configId);
-                    deleted = true;
-                });
+                // Usar un array para almacenar todos los registros y acceder por índice
+                const allRecords = [];
                 
-                if (deleted) {
-                    console.log(`apexGridUtils: ${configsToDelete.length} configuraciones limpiadas para ${gridStaticId}`);
+                try {
+                    model.forEach(function(record, index, id) {
+                        console.log(`🔍 apexGridUtils DEBUG: Procesando registro - index: ${index}, id: ${id}`);
+                        if (record && typeof record === 'object') {
+                            allRecords.push(record);
+                        } else {
+                            console.warn(`apexGridUtils: Registro inválido encontrado en índice ${index}`);
+                        }
+                    });
+                } catch (forEachError) {
+                    console.error('apexGridUtils: Error en model.forEach:', forEachError);
+                    return false;
+                }
+                
+                console.log(`📊 apexGridUtils: Total registros encontrados: ${allRecords.length}`);
+                
+                const targetIndex = rowIndex - 1; // rowIndex 1 = primera fila (índice 0)
+                
+                if (targetIndex >= 0 && targetIndex < allRecords.length) {
+                    targetRecord = allRecords[targetIndex];
+                    console.log(`✅ apexGridUtils DEBUG: Encontrado registro objetivo en índice ${targetIndex} (ID: ${targetRecord.id})`);
                 } else {
-                    console.warn(`apexGridUtils: No se encontraron configuraciones para limpiar en ${gridStaticId}`);
+                    console.warn(`apexGridUtils: Fila ${rowIndex} fuera de rango en ${gridStaticId} (total filas: ${allRecords.length})`);
+                    return false;
                 }
             }
             
-            return deleted;
+            if (!targetRecord) {
+                console.error(`apexGridUtils: No se pudo obtener registro objetivo`);
+                return false;
+            }
+            
+            console.log(`✅ apexGridUtils: Registro objetivo obtenido - ID: ${targetRecord.id}`);
+            
+            // Obtener valor actual para comparar
+            let currentValue;
+            try {
+                currentValue = model.getValue(targetRecord, columnName);
+                console.log(`📊 apexGridUtils: Valor actual en ${columnName}: ${currentValue}`);
+            } catch (getValueError) {
+                console.error('apexGridUtils: Error al obtener valor actual:', getValueError);
+                return false;
+            }
+            
+            // Verificar que el registro no esté eliminado
+            let metadata = null;
+            try {
+                const recordId = targetRecord.id;
+                // Solo intentar obtener metadata si el recordId existe y el método está disponible
+                if (recordId && model.getRecordMetadata && typeof model.getRecordMetadata === 'function') {
+                    metadata = model.getRecordMetadata(recordId);
+                    
+                    if (metadata && metadata.deleted) {
+                        console.warn(`apexGridUtils: Registro ${recordId} está eliminado, no se puede modificar`);
+                        return false;
+                    }
+                } else {
+                    console.log(`apexGridUtils: Metadata no disponible o recordId no encontrado, continuando...`);
+                }
+            } catch (metadataError) {
+                console.warn('apexGridUtils: Error al obtener metadata del registro:', metadataError);
+                // Continuar sin metadata si no está disponible
+            }
+            
+            // Preparar el valor final - manejar formato europeo si es necesario
+            let finalValue = value;
+            
+            // Si el valor es numérico y la columna parece ser numérica, formatear al formato europeo
+            if (typeof value === 'number' && !isNaN(value)) {
+                // Detectar si la columna es numérica basándose en el nombre
+                const numericColumns = ['COSTO', 'CANTIDAD', 'TOTAL', 'PRECIO', 'IMPORTE', 'SUBTOTAL', 'IVA', 'DESCUENTO'];
+                const isNumericColumn = numericColumns.some(col => columnName.toUpperCase().includes(col));
+                
+                if (isNumericColumn) {
+                    try {
+                        // Formatear al formato europeo (punto como separador de miles, coma como decimal)
+                        finalValue = value.toFixed(3).replace('.', ',');
+                        console.log(`📊 apexGridUtils: Valor formateado al formato europeo: ${finalValue}`);
+                    } catch (formatError) {
+                        console.error('apexGridUtils: Error al formatear valor:', formatError);
+                        finalValue = value; // Usar valor original si falla el formateo
+                    }
+                }
+            }
+            
+            // Establecer el valor usando el método directo que funciona
+            try {
+                model.setValue(targetRecord, columnName, finalValue);
+                console.log(`📊 apexGridUtils: Valor establecido: ${finalValue}`);
+            } catch (setValueError) {
+                console.error('apexGridUtils: Error al establecer valor:', setValueError);
+                return false;
+            }
+            
+            // Verificar que se estableció correctamente
+            let verifyValue;
+            try {
+                verifyValue = model.getValue(targetRecord, columnName);
+                console.log(`📊 apexGridUtils: Valor después de seteo: ${verifyValue}`);
+            } catch (verifyError) {
+                console.error('apexGridUtils: Error al verificar valor:', verifyError);
+                return false;
+            }
+            
+            // Forzar el estado "dirty" del registro para que APEX lo reconozca como modificado
+            try {
+                if (model.markDirty) {
+                    model.markDirty(targetRecord);
+                    console.log(`✅ apexGridUtils: Registro marcado como dirty`);
+                }
+                
+                // Commit del registro individual
+                if (model.commitRecord) {
+                    model.commitRecord(targetRecord);
+                    console.log(`✅ apexGridUtils: Registro confirmado`);
+                }
+            } catch (commitError) {
+                console.warn('apexGridUtils: Error al confirmar registro:', commitError);
+            }
+            
+            // Refrescar la vista si está habilitado
+            if (refresh) {
+                try {
+                    const grid = apex.region(gridStaticId).call("getViews").grid;
+                    if (grid.view$ && grid.view$.trigger) {
+                        grid.view$.trigger('refresh');
+                        console.log(`✅ apexGridUtils: Vista refrescada`);
+                    }
+                } catch (e) {
+                    console.warn('apexGridUtils: No se pudo refrescar la vista:', e);
+                }
+            }
+            
+            // Verificación final con retry si es necesario
+            setTimeout(() => {
+                const finalCheckValue = model.getValue(targetRecord, columnName);
+                console.log(`📊 apexGridUtils: Verificación final - ${columnName}: ${finalCheckValue}`);
+                
+                // Si el valor cambió inesperadamente, intentar re-establecerlo
+                if (finalCheckValue !== finalValue && finalCheckValue !== value) {
+                    console.warn(`⚠️ apexGridUtils: Valor cambió inesperadamente, re-estableciendo...`);
+                    
+                    // Re-establecer el valor
+                    model.setValue(targetRecord, columnName, finalValue);
+                    
+                    // Forzar dirty state nuevamente
+                    if (model.markDirty) {
+                        model.markDirty(targetRecord);
+                    }
+                    
+                    // Verificación final después del retry
+                    setTimeout(() => {
+                        const retryValue = model.getValue(targetRecord, columnName);
+                        if (retryValue === finalValue || retryValue === value) {
+                            console.log(`✅ apexGridUtils: Valor re-establecido correctamente`);
+                        } else {
+                            console.warn(`⚠️ apexGridUtils: Valor no se pudo mantener estable: ${retryValue}`);
+                        }
+                    }, 100);
+                } else {
+                    console.log(`✅ apexGridUtils: Valor se mantuvo correctamente`);
+                }
+            }, 100);
+            
+            return true;
+            
         } catch (error) {
-            console.error('apexGridUtils clearAutoCalculationConfig error:', error);
+            console.error('apexGridUtils setCellValue error:', error);
+            console.error('apexGridUtils setCellValue - Parámetros recibidos:', {
+                gridStaticId: gridStaticId,
+                columnName: columnName,
+                rowIndex: rowIndex,
+                value: value,
+                valueType: typeof value,
+                refresh: refresh
+            });
             return false;
         }
     }
 
     /**
-     * Obtener todas las configuraciones almacenadas
-     * @param {string} gridStaticId - Static ID del Interactive Grid (opcional, si no se especifica retorna todas)
-     * @returns {object} - Objeto con todas las configuraciones
+     * Setear valor en la fila seleccionada (Versión Mejorada)
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {any} value - Valor a establecer
+     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
      */
-    function getAllAutoCalculationConfigs(gridStaticId = null) {
-        try {
-            // Verificación de seguridad
-            if (typeof autoCalculationConfigs === 'undefined') {
-                console.error('apexGridUtils: autoCalculationConfigs no está definido. El módulo no se ha inicializado correctamente.');
-                return {};
-            }
-            
-            const configs = {};
-            autoCalculationConfigs.forEach((config, configId) => {
-                if (!gridStaticId || config.gridStaticId === gridStaticId) {
-                    configs[configId] = config;
-                }
-            });
-            return configs;
-        } catch (error) {
-            console.error('apexGridUtils getAllAutoCalculationConfigs error:', error);
-            return {};
-        }
+    function setSelectedCellValue(gridStaticId, columnName, value, refresh = true) {
+        return setCellValue(gridStaticId, columnName, -1, value, refresh);
     }
 
     /**
-     * Verificar si el módulo está inicializado correctamente
-     * @returns {boolean} - true si el módulo está listo para usar
+     * Limpiar múltiples celdas seleccionadas estableciendo valores vacíos
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string[]} columnNames - Array de nombres de columnas a limpiar
+     * @param {any} value - Valor a establecer (default: '')
+     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+     * @returns {boolean} - true si todas las celdas se limpiaron correctamente
      */
-    function isInitialized() {
-        return typeof autoCalculationConfigs !== 'undefined' && autoCalculationConfigs instanceof Map;
+    function cleanSelectedCellValues(gridStaticId, columnNames, value = '', refresh = true) {
+        if (!Array.isArray(columnNames) || columnNames.length === 0) {
+            console.warn('apexGridUtils: cleanSelectedCellValues - columnNames debe ser un array no vacío');
+            return false;
+        }
+
+        let allSuccess = true;
+        
+        try {
+            columnNames.forEach(columnName => {
+                const success = setCellValue(gridStaticId, columnName, -1, value, false);
+                if (!success) {
+                    allSuccess = false;
+                    console.warn(`apexGridUtils: Error limpiando columna ${columnName}`);
+                }
+            });
+
+            // Refrescar solo una vez al final si se solicitó
+            if (refresh && allSuccess) {
+                refreshGridViewOnly(gridStaticId);
+            }
+
+            return allSuccess;
+        } catch (error) {
+            console.error('apexGridUtils: Error en cleanSelectedCellValues:', error);
+            return false;
+        }
     }
 
     /**
-     * Inicializar el módulo (llamado automáticamente)
+     * Setear valor en la primera fila (Versión Mejorada)
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {any} value - Valor a establecer
+     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
      */
-    function initialize() {
+    function setFirstCellValue(gridStaticId, columnName, value, refresh = true) {
+        return setCellValue(gridStaticId, columnName, 1, value, refresh);
+    }
+
+    /**
+     * Obtener el valor de una celda específica del Interactive Grid (Versión Mejorada)
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
+     * @returns {any} - Valor de la celda o null si no se encuentra
+     */
+    function getCellValue(gridStaticId, columnName, rowIndex = -1) {
         try {
-            if (!isInitialized()) {
-                console.error('apexGridUtils: Error al inicializar el módulo');
-                return false;
+            // Obtener el modelo usando el método que funciona
+            const model = apex.region(gridStaticId).widget().interactiveGrid("getCurrentView").model;
+            
+            let targetRecord = null;
+            
+            // Obtener registro objetivo
+            if (rowIndex === -1) {
+                // Usar el registro seleccionado
+                const selectedRecords = apex.region(gridStaticId).widget().interactiveGrid("getCurrentView").getSelectedRecords();
+                if (selectedRecords && selectedRecords.length > 0) {
+                    targetRecord = selectedRecords[0];
+                } else {
+                    console.warn(`apexGridUtils: No hay registro seleccionado en ${gridStaticId}`);
+                    return null;
+                }
+            } else {
+                // Obtener registro por índice usando un enfoque más directo
+                console.log(`🔍 apexGridUtils DEBUG: Buscando fila ${rowIndex}, rowIndex-1 = ${rowIndex - 1}`);
+                
+                // Usar un array para almacenar todos los registros y acceder por índice
+                const allRecords = [];
+                model.forEach(function(record, index, id) {
+                    allRecords.push(record);
+                });
+                
+                const targetIndex = rowIndex - 1; // rowIndex 1 = primera fila (índice 0)
+                
+                if (targetIndex >= 0 && targetIndex < allRecords.length) {
+                    targetRecord = allRecords[targetIndex];
+                    console.log(`✅ apexGridUtils DEBUG: Encontrado registro objetivo en índice ${targetIndex} (ID: ${targetRecord.id})`);
+                } else {
+                    console.warn(`apexGridUtils: Fila ${rowIndex} fuera de rango en ${gridStaticId} (total filas: ${allRecords.length})`);
+                    return null;
+                }
             }
-            console.log('apexGridUtils: Módulo inicializado correctamente');
-            return true;
+            
+            if (!targetRecord) {
+                console.error(`apexGridUtils: No se pudo obtener registro objetivo`);
+                return null;
+            }
+            
+            const rawValue = model.getValue(targetRecord, columnName);
+            
+            // Convertir a número si es posible, preservando decimales exactos
+            let finalValue = rawValue;
+            if (rawValue !== null && rawValue !== undefined && rawValue !== '') {
+                // Si ya es un número, usarlo tal como está
+                if (typeof rawValue === 'number') {
+                    finalValue = rawValue;
+                } else {
+                    // Si es string, intentar convertir preservando decimales
+                    const strValue = String(rawValue).trim();
+                    
+                    // Verificar si es un número válido (incluyendo decimales)
+                    if (/^-?\d*\.?\d+$/.test(strValue)) {
+                        // Usar Number() en lugar de parseFloat() para mayor precisión
+                        const numericValue = Number(strValue);
+                        if (!isNaN(numericValue)) {
+                            finalValue = numericValue;
+                        }
+                    }
+                }
+            }
+            
+            console.log(`📊 apexGridUtils: Valor obtenido de ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}: ${finalValue} (tipo: ${typeof finalValue})`);
+            return finalValue;
+            
         } catch (error) {
-            console.error('apexGridUtils: Error durante la inicialización:', error);
-            return false;
+            console.error('apexGridUtils getCellValue error:', error);
+            return null;
         }
     }
 
-    // API pública
-    return {
-        setupAutoCalculation: setupAutoCalculation,
-        calculate: calculate,
-        getColumnValue: getColumnValue,
-        setColumnValue: setColumnValue,
-        presetFormulas: presetFormulas,
-        quick: quickSetups,
-        normalizeNumber: normalizeNumber,
-        formatToEuropean: formatToEuropean,
-        toEuropeanFormat: toEuropeanFormat,
-        ensureDecimalFormat: ensureDecimalFormat,
-        sumColumnToItem: sumColumnToItem,
-        sumTotalToItem: sumTotalToItem,
-        gotoCell: gotoCell,
-        gotoFirstCell: gotoFirstCell,
-        gotoSelectedCell: gotoSelectedCell,
-        setCellValue: setCellValue,
-        setSelectedCellValue: setSelectedCellValue,
-        cleanSelectedCellValues: cleanSelectedCellValues,
-        setFirstCellValue: setFirstCellValue,
-        getCellValue: getCellValue,
-        getSelectedCellValue: getSelectedCellValue,
-        getCurrentRow: getCurrentRow,
-        getFirstCellValue: getFirstCellValue,
-        getNumericCellValue: getNumericCellValue,
-        getSelectedNumericCellValue: getSelectedNumericCellValue,
-        getFirstNumericCellValue: getFirstNumericCellValue,
-        getNumericCellValueWithDecimals: getNumericCellValueWithDecimals,
-        getIntegerCellValue: getIntegerCellValue,
-        getSelectedIntegerCellValue: getSelectedIntegerCellValue,
-        getFirstIntegerCellValue: getFirstIntegerCellValue,
-        getSelectedNumericCellValueWithDecimals: getSelectedNumericCellValueWithDecimals,
-        getFirstNumericCellValueWithDecimals: getFirstNumericCellValueWithDecimals,
-        setNumericCellValue: setNumericCellValue,
-        setSelectedNumericCellValue: setSelectedNumericCellValue,
-        setFirstNumericCellValue: setFirstNumericCellValue,
-        setIntegerCellValue: setIntegerCellValue,
-        setSelectedIntegerCellValue: setSelectedIntegerCellValue,
-        setFirstIntegerCellValue: setFirstIntegerCellValue,
-        setupGridListener: setupGridListener,
-        setValueAndRecalculate: setValueAndRecalculate,
-        setSelectedValueAndRecalculate: setSelectedValueAndRecalculate,
-        setFirstValueAndRecalculate: setFirstValueAndRecalculate,
-        forceRecalculate: forceRecalculate,
-        refreshGridAndRecalculate: refreshGridAndRecalculate,
-        refreshAutoCalculation: refreshAutoCalculation,
-        getAutoCalculationConfig: getAutoCalculationConfig,
-        clearAutoCalculationConfig: clearAutoCalculationConfig,
-        getAllAutoCalculationConfigs: getAllAutoCalculationConfigs,
-        setupCantidadPorCosto: setupCantidadPorCosto,
-        ensureAutoCalculation: ensureAutoCalculation,
-        isInitialized: isInitialized,
-        initialize: initialize,
-        setNumericCellValueWithCommit: setNumericCellValueWithCommit,
-        setSelectedNumericCellValueWithCommit: setSelectedNumericCellValueWithCommit,
-        setFirstNumericCellValueWithCommit: setFirstNumericCellValueWithCommit,
-        setearDatosIG: setearDatosIG,
-        setearDatosDirectos: setearDatosDirectos,
-        setearDatos: setearDatos,
-        setNumericValueRobust: setNumericValueRobust,
-        setSelectedNumericValueRobust: setSelectedNumericValueRobust,
-        setFirstNumericValueRobust: setFirstNumericValueRobust,
-        setNumericValueEuropean: setNumericValueEuropean,
-        setSelectedNumericValueEuropean: setSelectedNumericValueEuropean,
-        setFirstNumericValueEuropean: setFirstNumericValueEuropean,
-        debugGrid: debugGrid,
-        refreshGrid: refreshGrid,
-        refreshGridAndRecalculateSimple: refreshGridAndRecalculateSimple,
-        commitGridChanges: commitGridChanges,
-        refreshGridViewOnly: refreshGridViewOnly,
-        refreshGridSafe: refreshGridSafe,
-        forceRecordDirty: forceRecordDirty,
-        setCellValueWithDirty: setCellValueWithDirty,
-        setSelectedCellValueWithDirty: setSelectedCellValueWithDirty,
-        setFirstCellValueWithDirty: setFirstCellValueWithDirty,
-        forceDirtyState: forceDirtyState,
-        setCellValueWithStabilization: setCellValueWithStabilization,
-        setSelectedCellValueWithStabilization: setSelectedCellValueWithStabilization,
-        setFirstCellValueWithStabilization: setFirstCellValueWithStabilization,
-        simulateUserInteraction: simulateUserInteraction,
-        setCellValueWithActivation: setCellValueWithActivation,
-        setSelectedCellValueWithActivation: setSelectedCellValueWithActivation,
-        setFirstCellValueWithActivation: setFirstCellValueWithActivation,
-        setCellValueRobust: setCellValueRobust,
-        setSelectedCellValueRobust: setSelectedCellValueRobust,
-        setFirstCellValueRobust: setFirstCellValueRobust,
-        initializeFocusRestoration: initializeFocusRestoration,
-        enableFocusRestoration: enableFocusRestoration,
-        disableFocusRestoration: disableFocusRestoration,
-        getLastFocusedCell: getLastFocusedCell,
-        setLastFocusedCell: setLastFocusedCell,
-        restoreFocus: restoreFocus,
-        clearLastFocusedCell: clearLastFocusedCell,
-        getFocusRestorationStatus: getFocusRestorationStatus,
-        recalculateAllRows: recalculateAllRows,
-        setAllRowsValue: setAllRowsValue,
-        setAllRowsFixed: setAllRowsFixed,
-        setItemOnRowSelect: setItemOnRowSelect,
-        setItemOnRowOrCellChange: setItemOnRowOrCellChange,
-        setValueToSelectedRow: setValueToSelectedRow,
-        selectFirstRowOnInit: selectFirstRowOnInit,
-        syncGridToItem: syncGridToItem,
-        syncItemToGrid: syncItemToGrid,
-        syncGridItemValues: syncGridItemValues
-    };
+    /**
+     * Obtener valor de la celda seleccionada (Versión Mejorada)
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @returns {any} - Valor de la celda o null si no se encuentra
+     */
+    function getSelectedCellValue(gridStaticId, columnName) {
+        return getCellValue(gridStaticId, columnName, -1);
+    }
+
+    /**
+     * Obtener todos los campos de la última fila seleccionada como un objeto
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {array} columns - Array de nombres de columnas a obtener (opcional, si no se especifica obtiene todas)
+     * @returns {object|null} - Objeto con todos los campos de la fila o null si no hay fila seleccionada
+     */
+    function getCurrentRow(gridStaticId, columns = null) {
+        try {
+            console.log(`📊 apexGridUtils: Obteniendo fila actual de ${gridStaticId}`);
+            
+            // Usar exactamente tu método que funciona
+            const row = apex.region(gridStaticId).call("getCurrentView");
+            const record = row.getContextRecord(document.activeElement);
+            
+            if (!record || !record[0]) {
+                console.warn(`apexGridUtils: No se pudo obtener el registro de la fila seleccionada`);
+                return null;
+            }
+            
+            console.log(`📊 apexGridUtils: Registro obtenido exitosamente`);
+            
+            // Obtener columnas especificadas por el usuario
+            let columnsToGet = columns;
+            if (!columnsToGet || columnsToGet.length === 0) {
+                console.error(`apexGridUtils: Debes especificar las columnas que necesitas obtener del grid ${gridStaticId}`);
+                return null;
+            }
+            
+            console.log(`📊 apexGridUtils: Columnas a obtener: ${columnsToGet.join(', ')}`);
+            
+            // Crear objeto con todos los campos de la fila
+            const rowData = {};
+            
+            // Obtener las columnas del grid para mapear nombres a índices
+            const gridColumns = [];
+            try {
+                if (row.getColumns) {
+                    const columns = row.getColumns();
+                    columns.forEach((col, index) => {
+                        // Usar col.property que es el nombre real de la columna
+                        if (col.property) {
+                            gridColumns.push({ name: col.property, index: col.index });
+                        }
+                    });
+                }
+            } catch (e) {
+                console.warn(`apexGridUtils: Error al obtener columnas del grid:`, e);
+            }
+            
+            columnsToGet.forEach(columnName => {
+                try {
+                    let value = null;
+                    
+                    // Buscar el índice de la columna por nombre
+                    const columnInfo = gridColumns.find(col => col.name === columnName);
+                    if (columnInfo) {
+                        value = record[0][columnInfo.index];
+                        console.log(`📊 apexGridUtils: ${columnName} (índice ${columnInfo.index}) = ${value}`);
+                    } else {
+                        console.warn(`apexGridUtils: No se encontró la columna ${columnName} en el grid`);
+                        value = null;
+                    }
+                    
+                    rowData[columnName] = value;
+                } catch (error) {
+                    console.warn(`apexGridUtils: Error al obtener valor de columna ${columnName}:`, error);
+                    rowData[columnName] = null;
+                }
+            });
+            
+            console.log(`✅ apexGridUtils: Fila actual obtenida con ${Object.keys(rowData).length} campos:`, rowData);
+            return rowData;
+            
+        } catch (error) {
+            console.error('apexGridUtils getCurrentRow error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Obtener valor de la primera fila (Versión Mejorada)
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @returns {any} - Valor de la celda o null si no se encuentra
+     */
+    function getFirstCellValue(gridStaticId, columnName) {
+        return getCellValue(gridStaticId, columnName, 1);
+    }
+
+    /**
+     * Obtener valor numérico de una celda específica (con normalización de formato europeo)
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
+     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
+     * @returns {number} - Valor numérico normalizado
+     */
+    function getNumericCellValue(gridStaticId, columnName, rowIndex = -1, defaultValue = 0) {
+        try {
+            const rawValue = getCellValue(gridStaticId, columnName, rowIndex);
+            
+            if (rawValue === null || rawValue === undefined || rawValue === '') {
+                return defaultValue;
+            }
+            
+            // Si ya es un número, retornarlo directamente
+            if (typeof rawValue === 'number') {
+                //console.log(`apexGridUtils: Valor numérico directo de ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}: ${rawValue}`);
+                return rawValue;
+            }
+            
+            // Usar la función normalizeNumber existente para manejar formato europeo
+            const normalizedValue = normalizeNumber(rawValue);
+            
+            //console.log(`apexGridUtils: Valor numérico normalizado de ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}: ${normalizedValue}`);
+            return normalizedValue;
+            
+        } catch (error) {
+            console.error('apexGridUtils getNumericCellValue error:', error);
+            return defaultValue;
+        }
+    }
+
+    /**
+     * Obtener valor numérico de la celda seleccionada
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
+     * @returns {number} - Valor numérico normalizado
+     */
+    function getSelectedNumericCellValue(gridStaticId, columnName, defaultValue = 0) {
+        return getNumericCellValue(gridStaticId, columnName, -1, defaultValue);
+    }
+
+    /**
+     * Obtener valor numérico de la primera fila
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
+     * @returns {number} - Valor numérico normalizado
+     */
+    function getFirstNumericCellValue(gridStaticId, columnName, defaultValue = 0) {
+        return getNumericCellValue(gridStaticId, columnName, 1, defaultValue);
+    }
+
+    /**
+     * Obtener valor numérico con decimales específicos
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
+     * @param {number} decimalPlaces - Número de decimales (default: 2)
+     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
+     * @returns {number} - Valor numérico con decimales especificados
+     */
+    function getNumericCellValueWithDecimals(gridStaticId, columnName, rowIndex = -1, decimalPlaces = 2, defaultValue = 0) {
+        try {
+            const rawValue = getNumericCellValue(gridStaticId, columnName, rowIndex, defaultValue);
+            
+            if (rawValue === defaultValue && rawValue !== 0) {
+                return defaultValue;
+            }
+            
+            // Aplicar formato de decimales
+            const formattedValue = parseFloat(rawValue.toFixed(decimalPlaces));
+            
+            //console.log(`apexGridUtils: Valor con ${decimalPlaces} decimales de ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}: ${formattedValue}`);
+            return formattedValue;
+            
+        } catch (error) {
+            console.error('apexGridUtils getNumericCellValueWithDecimals error:', error);
+            return defaultValue;
+        }
+    }
+
+    /**
+     * Obtener valor entero (sin decimales)
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
+     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
+     * @returns {number} - Valor entero
+     */
+    function getIntegerCellValue(gridStaticId, columnName, rowIndex = -1, defaultValue = 0) {
+        try {
+            const rawValue = getNumericCellValue(gridStaticId, columnName, rowIndex, defaultValue);
+            
+            if (rawValue === defaultValue && rawValue !== 0) {
+                return defaultValue;
+            }
+            
+            // Convertir a entero
+            const integerValue = Math.round(rawValue);
+            
+            //console.log(`apexGridUtils: Valor entero de ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}: ${integerValue}`);
+            return integerValue;
+            
+        } catch (error) {
+            console.error('apexGridUtils getIntegerCellValue error:', error);
+            return defaultValue;
+        }
+    }
+
+    /**
+     * Obtener valor entero de la fila seleccionada
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
+     * @returns {number} - Valor entero
+     */
+    function getSelectedIntegerCellValue(gridStaticId, columnName, defaultValue = 0) {
+        return getIntegerCellValue(gridStaticId, columnName, -1, defaultValue);
+    }
+
+    /**
+     * Obtener valor entero de la primera fila
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
+     * @returns {number} - Valor entero
+     */
+    function getFirstIntegerCellValue(gridStaticId, columnName, defaultValue = 0) {
+        return getIntegerCellValue(gridStaticId, columnName, 1, defaultValue);
+    }
+
+    /**
+     * Obtener valor con decimales específicos de la fila seleccionada
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} decimalPlaces - Número de decimales (default: 2)
+     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
+     * @returns {number} - Valor con decimales especificados
+     */
+    function getSelectedNumericCellValueWithDecimals(gridStaticId, columnName, decimalPlaces = 2, defaultValue = 0) {
+        return getNumericCellValueWithDecimals(gridStaticId, columnName, -1, decimalPlaces, defaultValue);
+    }
+
+    /**
+     * Obtener valor con decimales específicos de la primera fila
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} decimalPlaces - Número de decimales (default: 2)
+     * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
+     * @returns {number} - Valor con decimales especificados
+     */
+    function getFirstNumericCellValueWithDecimals(gridStaticId, columnName, decimalPlaces = 2, defaultValue = 0) {
+        return getNumericCellValueWithDecimals(gridStaticId, columnName, 1, decimalPlaces, defaultValue);
+    }
+
+    /**
+     * Setear valor numérico con control de decimales
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
+     * @param {number} value - Valor a establecer
+     * @param {number} decimalPlaces - Número de decimales para formatear (default: null = sin formatear)
+     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+     * @returns {boolean} - true si se estableció correctamente
+     */
+    function setNumericCellValue(gridStaticId, columnName, rowIndex, value, decimalPlaces = null, refresh = true) {
+        try {
+            let finalValue = value;
+            
+            // Formatear decimales si se especifica
+            if (decimalPlaces !== null && typeof value === 'number') {
+                finalValue = parseFloat(value.toFixed(decimalPlaces));
+            }
+            
+            // Usar la función setCellValue existente
+            const result = setCellValue(gridStaticId, columnName, rowIndex, finalValue, refresh);
+            
+            if (result) {
+                //console.log(`apexGridUtils: Valor numérico ${finalValue} establecido en ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}${decimalPlaces !== null ? ` (con ${decimalPlaces} decimales)` : ''}`);
+            }
+            
+            return result;
+            
+        } catch (error) {
+            console.error('apexGridUtils setNumericCellValue error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Setear valor numérico en la fila seleccionada
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} value - Valor a establecer
+     * @param {number} decimalPlaces - Número de decimales para formatear (default: null = sin formatear)
+     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+     * @returns {boolean} - true si se estableció correctamente
+     */
+    function setSelectedNumericCellValue(gridStaticId, columnName, value, decimalPlaces = null, refresh = true) {
+        return setNumericCellValue(gridStaticId, columnName, -1, value, decimalPlaces, refresh);
+    }
+
+    /**
+     * Setear valor numérico en la primera fila
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} value - Valor a establecer
+     * @param {number} decimalPlaces - Número de decimales para formatear (default: null = sin formatear)
+     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+     * @returns {boolean} - true si se estableció correctamente
+     */
+    function setFirstNumericCellValue(gridStaticId, columnName, value, decimalPlaces = null, refresh = true) {
+        return setNumericCellValue(gridStaticId, columnName, 1, value, decimalPlaces, refresh);
+    }
+
+    /**
+     * Setear valor entero (sin decimales)
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
+     * @param {number} value - Valor a establecer
+     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+     * @returns {boolean} - true si se estableció correctamente
+     */
+    function setIntegerCellValue(gridStaticId, columnName, rowIndex, value, refresh = true) {
+        const integerValue = Math.round(value);
+        return setCellValue(gridStaticId, columnName, rowIndex, integerValue, refresh);
+    }
+
+    /**
+     * Setear valor entero en la fila seleccionada
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} value - Valor a establecer
+     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+     * @returns {boolean} - true si se estableció correctamente
+     */
+    function setSelectedIntegerCellValue(gridStaticId, columnName, value, refresh = true) {
+        return setIntegerCellValue(gridStaticId, columnName, -1, value, refresh);
+    }
+
+    /**
+     * Setear valor entero en la primera fila
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} value - Valor a establecer
+     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+     * @returns {boolean} - true si se estableció correctamente
+     */
+    function setFirstIntegerCellValue(gridStaticId, columnName, value, refresh = true) {
+        return setIntegerCellValue(gridStaticId, columnName, 1, value, refresh);
+    }
+
+    /**
+     * Setear valor y recalcular automáticamente
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna a modificar
+     * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
+     * @param {number} value - Valor a establecer
+     * @param {object} recalculoConfig - Configuración para el recálculo automático
+     * @param {array} recalculoConfig.sourceColumns - Columnas que disparan el recálculo
+     * @param {string} recalculoConfig.targetColumn - Columna donde se guarda el resultado
+     * @param {function} recalculoConfig.formula - Función que realiza el cálculo
+     * @param {number} recalculoConfig.decimalPlaces - Número de decimales (default: 2)
+     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+     * @returns {boolean} - true si se estableció correctamente
+     */
+    function setValueAndRecalculate(gridStaticId, columnName, rowIndex, value, recalculoConfig, refresh = true) {
+        try {
+            console.log(`apexGridUtils: Estableciendo valor ${value} en ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex}`);
+            
+            // Establecer el valor
+            const result = setNumericCellValue(gridStaticId, columnName, rowIndex, value, null, refresh);
+            
+            if (result && recalculoConfig) {
+                // Esperar un poco para que el valor se guarde
+                setTimeout(function() {
+                    console.log(`apexGridUtils: Ejecutando recálculo automático...`);
+                    
+                    // Ejecutar el recálculo
+                    const recalculatedValue = calculateFormula(gridStaticId, recalculoConfig);
+                    
+                    console.log(`apexGridUtils: Recálculo completado. Nuevo valor en ${recalculoConfig.targetColumn}: ${recalculatedValue}`);
+                }, 50);
+            }
+            
+            return result;
+            
+        } catch (error) {
+            console.error('apexGridUtils setValueAndRecalculate error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Setear valor en fila seleccionada y recalcular automáticamente
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} value - Valor a establecer
+     * @param {object} recalculoConfig - Configuración para el recálculo automático
+     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+     */
+    function setSelectedValueAndRecalculate(gridStaticId, columnName, value, recalculoConfig, refresh = true) {
+        return setValueAndRecalculate(gridStaticId, columnName, -1, value, recalculoConfig, refresh);
+    }
+
+    /**
+     * Setear valor en primera fila y recalcular automáticamente
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} columnName - Nombre de la columna
+     * @param {number} value - Valor a establecer
+     * @param {object} recalculoConfig - Configuración para el recálculo automático
+     * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+     */
+    function setFirstValueAndRecalculate(gridStaticId, columnName, value, recalculoConfig, refresh = true) {
+        return setValueAndRecalculate(gridStaticId, columnName, 1, value, recalculoConfig, refresh);
+    }
+
+    /**
+     * Forzar recálculo de una fórmula específica
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {object} config - Configuración del cálculo
+     * @param {array} config.sourceColumns - Columnas fuente
+     * @param {string} config.targetColumn - Columna destino
+     * @param {function} config.formula - Función de cálculo
+     * @param {number} config.decimalPlaces - Número de decimales (default: 2)
+     * @returns {number} - Resultado del cálculo
+     */
+    function forceRecalculate(gridStaticId, config) {
+        try {
+            console.log(`apexGridUtils: Forzando recálculo en ${gridStaticId}...`);
+            
+            const result = calculateFormula(gridStaticId, config);
+            
+            console.log(`apexGridUtils: Recálculo forzado completado. Resultado: ${result}`);
+            return result;
+            
+        } catch (error) {
+            console.error('apexGridUtils forceRecalculate error:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Refrescar grid y recalcular
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {object} recalculoConfig - Configuración opcional para recálculo
+     * @returns {boolean} - true si se refrescó correctamente
+     */
+    function refreshGridAndRecalculate(gridStaticId, recalculoConfig = null) {
+        try {
+            const grid = apex.region(gridStaticId).call("getViews").grid;
+            
+            // Refrescar la vista del grid
+            try {
+                // Método correcto para Interactive Grids de APEX
+                grid.view$.trigger('refresh');
+                console.log(`apexGridUtils: Grid ${gridStaticId} refrescado`);
+            } catch (e) {
+                console.warn(`apexGridUtils: No se pudo refrescar grid ${gridStaticId}:`, e);
+            }
+            
+            // Ejecutar recálculo si se especifica
+            if (recalculoConfig) {
+                setTimeout(function() {
+                    forceRecalculate(gridStaticId, recalculoConfig);
+                }, 100);
+            }
+            
+            return true;
+            
+        } catch (error) {
+            console.error('apexGridUtils refreshGridAndRecalculate error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Refrescar todos los cálculos automáticos configurados en un grid
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} targetColumn - Columna específica a refrescar (opcional, si no se especifica refresca todas)
+     * @param {number} delay - Delay en milisegundos antes de ejecutar (default: 50)
+     * @returns {boolean} - true si se refrescó correctamente
+     */
+    function refreshAutoCalculation(gridStaticId, targetColumn = null, delay = 50) {
+        try {
+            // Verificación de seguridad
+            if (typeof autoCalculationConfigs === 'undefined') {
+                console.error('apexGridUtils: autoCalculationConfigs no está definido. El módulo no se ha inicializado correctamente.');
+                return false;
+            }
+            
+            console.log(`apexGridUtils: Refrescando cálculos automáticos para ${gridStaticId}${targetColumn ? ` -> ${targetColumn}` : ''}`);
+            console.log(`apexGridUtils: Total configuraciones almacenadas: ${autoCalculationConfigs.size}`);
+            
+            let configsToRefresh = [];
+            
+            if (targetColumn) {
+                // Refrescar configuración específica
+                const configId = generateConfigId(gridStaticId, targetColumn);
+                const config = autoCalculationConfigs.get(configId);
+                if (config) {
+                    // Incluir las fórmulas que dependen de esta columna
+                    configsToRefresh = [config].concat(getAffectedConfigs(gridStaticId, [targetColumn]));
+                    console.log(`apexGridUtils: Configuración encontrada para ${configId}:`, config);
+                } else {
+                    console.warn(`apexGridUtils: No se encontró configuración para ${gridStaticId} -> ${targetColumn} (ID: ${configId})`);
+                    return false;
+                }
+            } else {
+                // Refrescar todas las configuraciones del grid
+                autoCalculationConfigs.forEach((config, configId) => {
+                    if (config.gridStaticId === gridStaticId) {
+                        configsToRefresh.push(config);
+                        console.log(`apexGridUtils: Configuración encontrada: ${configId}`, config);
+                    }
+                });
+                
+                if (configsToRefresh.length === 0) {
+                    console.warn(`apexGridUtils: No se encontraron configuraciones para ${gridStaticId}`);
+                    console.log(`apexGridUtils: Configuraciones disponibles:`, Array.from(autoCalculationConfigs.keys()));
+                    return false;
+                }
+                
+                // Evaluar en orden de dependencias (SUBTOTAL antes que TOTAL)
+                configsToRefresh = sortConfigsByDependency(configsToRefresh).order;
+            }
+            
+            console.log(`apexGridUtils: ${configsToRefresh.length} configuraciones a refrescar`);
+            
+            // Ejecutar el recálculo con delay
+            setTimeout(function() {
+                try {
+                    let totalResults = 0;
+                    
+                    // Ejecutar cada configuración (sin que el listener repita la cadena)
+                    withCalculationListenerPaused(gridStaticId, () => configsToRefresh.forEach(config => {
+                        try {
+                            console.log(`apexGridUtils: Ejecutando recálculo para configuración:`, config);
+                            
+                            // Verificar que el grid existe antes de recalcular
+                            const gridData = getActiveGridRecord(gridStaticId);
+                            if (!gridData.success) {
+                                console.error(`apexGridUtils: No se pudo obtener registro activo para ${gridStaticId}:`, gridData.error);
+                                return;
+                            }
+                            
+                            // Verificar que las columnas fuente existen y tienen valores
+                            const { model, record } = gridData;
+                            const sourceValues = {};
+                            let hasValidValues = true;
+                            
+                            config.sourceColumns.forEach(column => {
+                                const rawValue = model.getValue(record, column);
+                                const normalizedValue = normalizeNumber(rawValue);
+                                sourceValues[column] = normalizedValue;
+                                
+                                console.log(`apexGridUtils: Columna fuente ${column}: valor original="${rawValue}", normalizado=${normalizedValue}`);
+                                
+                                if (normalizedValue === 0 && rawValue !== 0) {
+                                    console.warn(`apexGridUtils: Columna ${column} tiene valor 0, verificar si es correcto`);
+                                }
+                            });
+                            
+                            if (!hasValidValues) {
+                                console.warn(`apexGridUtils: Algunas columnas fuente no tienen valores válidos`);
+                            }
+                            
+                            const result = forceRecalculate(gridStaticId, config);
+                            totalResults += result;
+                            console.log(`apexGridUtils: Recálculo completado para ${config.targetColumn}, resultado: ${result}`);
+                            
+                        } catch (error) {
+                            console.error(`apexGridUtils: Error durante el recálculo de ${config.targetColumn}:`, error);
+                        }
+                    }));
+                    
+                    // Refrescar la vista del grid para asegurar que los cambios se muestren
+                    try {
+                        const grid = apex.region(gridStaticId).call("getViews").grid;
+                        // Método correcto para Interactive Grids de APEX
+                        grid.view$.trigger('refresh');
+                        console.log(`apexGridUtils: Grid ${gridStaticId} refrescado después del recálculo`);
+                    } catch (e) {
+                        console.warn(`apexGridUtils: No se pudo refrescar grid ${gridStaticId}:`, e);
+                    }
+                    
+                    console.log(`apexGridUtils: Recálculo completado para ${gridStaticId}, ${configsToRefresh.length} configuraciones procesadas, total: ${totalResults}`);
+                    
+                } catch (error) {
+                    console.error(`apexGridUtils: Error durante el recálculo de ${gridStaticId}:`, error);
+                }
+            }, delay);
+            
+            return true;
+            
+        } catch (error) {
+            console.error('apexGridUtils refreshAutoCalculation error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Obtener la configuración almacenada de un grid
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} targetColumn - Columna específica (opcional)
+     * @returns {object|null} - Configuración almacenada o null si no existe
+     */
+    function getAutoCalculationConfig(gridStaticId, targetColumn = null) {
+        try {
+            // Verificación de seguridad
+            if (typeof autoCalculationConfigs === 'undefined') {
+                console.error('apexGridUtils: autoCalculationConfigs no está definido. El módulo no se ha inicializado correctamente.');
+                return null;
+            }
+            
+            if (targetColumn) {
+                const configId = generateConfigId(gridStaticId, targetColumn);
+                return autoCalculationConfigs.get(configId) || null;
+            } else {
+                // Retornar todas las configuraciones del grid
+                const configs = [];
+                autoCalculationConfigs.forEach((config, configId) => {
+                    if (config.gridStaticId === gridStaticId) {
+                        configs.push(config);
+                    }
+                });
+                return configs.length > 0 ? configs : null;
+            }
+        } catch (error) {
+            console.error('apexGridUtils getAutoCalculationConfig error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Limpiar la configuración almacenada de un grid
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} targetColumn - Columna específica a limpiar (opcional, si no se especifica limpia todas)
+     * @returns {boolean} - true si se limpió correctamente
+     */
+    function clearAutoCalculationConfig(gridStaticId, targetColumn = null) {
+        try {
+            // Verificación de seguridad
+            if (typeof autoCalculationConfigs === 'undefined') {
+                console.error('apexGridUtils: autoCalculationConfigs no está definido. El módulo no se ha inicializado correctamente.');
+                return false;
+            }
+            
+            let deleted = false;
+            
+            if (targetColumn) {
+                // Limpiar configuración específica
+                const configId = generateConfigId(gridStaticId, targetColumn);
+                deleted = autoCalculationConfigs.delete(configId);
+                if (deleted) {
+                    console.log(`apexGridUtils: Configuración limpiada para ${gridStaticId} -> ${targetColumn}`);
+                } else {
+                    console.warn(`apexGridUtils: No se encontró configuración para limpiar en ${gridStaticId} -> ${targetColumn}`);
+                }
+            } else {
+                // Limpiar todas las configuraciones del grid
+                const configsToDelete = [];
+                autoCalculationConfigs.forEach((config, configId) => {
+                    if (config.gridStaticId === gridStaticId) {
+                        configsToDelete.push(configId);
+                    }
+                });
+                
+                configsToDelete.forEach(configId => {
+                    autoCalculationConfigs.delete(configId);
+                    deleted = true;
+                });
+                
+                if (deleted) {
+                    console.log(`apexGridUtils: ${configsToDelete.length} configuraciones limpiadas para ${gridStaticId}`);
+                } else {
+                    console.warn(`apexGridUtils: No se encontraron configuraciones para limpiar en ${gridStaticId}`);
+                }
+            }
+
+            // Sin fórmulas restantes, dejar de escuchar el modelo
+            if (deleted && getGridConfigs(gridStaticId).length === 0 && calculationListeners.has(gridStaticId)) {
+                calculationListeners.get(gridStaticId).handle.dispose();
+            }
+
+            // Dejar de escuchar los items y grids maestros que ya no usa ninguna fórmula
+            if (deleted) {
+                bindCalculationInputs(gridStaticId);
+            }
+
+            // Descartar los conflictos reportados para las columnas limpiadas
+            if (calculationConflicts.has(gridStaticId)) {
+                const remaining = calculationConflicts.get(gridStaticId).filter(c => targetColumn && c.targetColumn !== targetColumn);
+                if (remaining.length > 0) {
+                    calculationConflicts.set(gridStaticId, remaining);
+                } else {
+                    calculationConflicts.delete(gridStaticId);
+                }
+            }
+            
+            return deleted;
+        } catch (error) {
+            console.error('apexGridUtils clearAutoCalculationConfig error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Obtener todas las configuraciones almacenadas
+     * @param {string} gridStaticId - Static ID del Interactive Grid (opcional, si no se especifica retorna todas)
+     * @returns {object} - Objeto con todas las configuraciones
+     */
+    function getAllAutoCalculationConfigs(gridStaticId = null) {
+        try {
+            // Verificación de seguridad
+            if (typeof autoCalculationConfigs === 'undefined') {
+                console.error('apexGridUtils: autoCalculationConfigs no está definido. El módulo no se ha inicializado correctamente.');
+                return {};
+            }
+            
+            const configs = {};
+            autoCalculationConfigs.forEach((config, configId) => {
+                if (!gridStaticId || config.gridStaticId === gridStaticId) {
+                    configs[configId] = config;
+                }
+            });
+            return configs;
+        } catch (error) {
+            console.error('apexGridUtils getAllAutoCalculationConfigs error:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Verificar si el módulo está inicializado correctamente
+     * @returns {boolean} - true si el módulo está listo para usar
+     */
+    function isInitialized() {
+        return typeof autoCalculationConfigs !== 'undefined' && autoCalculationConfigs instanceof Map;
+    }
+
+    /**
+     * Inicializar el módulo (llamado automáticamente)
+     */
+    function initialize() {
+        try {
+            if (!isInitialized()) {
+                console.error('apexGridUtils: Error al inicializar el módulo');
+                return false;
+            }
+            console.log('apexGridUtils: Módulo inicializado correctamente');
+            return true;
+        } catch (error) {
+            console.error('apexGridUtils: Error durante la inicialización:', error);
+            return false;
+        }
+    }
+
+    // API pública
+    return {
+        setupAutoCalculation: setupAutoCalculation,
+        calculate: calculate,
+        getColumnValue: getColumnValue,
+        setColumnValue: setColumnValue,
+        presetFormulas: presetFormulas,
+        quick: quickSetups,
+        normalizeNumber: normalizeNumber,
+        formatToEuropean: formatToEuropean,
+        toEuropeanFormat: toEuropeanFormat,
+        ensureDecimalFormat: ensureDecimalFormat,
+        sumColumnToItem: sumColumnToItem,
+        sumTotalToItem: sumTotalToItem,
+        gotoCell: gotoCell,
+        gotoFirstCell: gotoFirstCell,
+        gotoSelectedCell: gotoSelectedCell,
+        setCellValue: setCellValue,
+        setSelectedCellValue: setSelectedCellValue,
+        cleanSelectedCellValues: cleanSelectedCellValues,
+        setFirstCellValue: setFirstCellValue,
+        getCellValue: getCellValue,
+        getSelectedCellValue: getSelectedCellValue,
+        getCurrentRow: getCurrentRow,
+        getFirstCellValue: getFirstCellValue,
+        getNumericCellValue: getNumericCellValue,
+        getSelectedNumericCellValue: getSelectedNumericCellValue,
+        getFirstNumericCellValue: getFirstNumericCellValue,
+        getNumericCellValueWithDecimals: getNumericCellValueWithDecimals,
+        getIntegerCellValue: getIntegerCellValue,
+        getSelectedIntegerCellValue: getSelectedIntegerCellValue,
+        getFirstIntegerCellValue: getFirstIntegerCellValue,
+        getSelectedNumericCellValueWithDecimals: getSelectedNumericCellValueWithDecimals,
+        getFirstNumericCellValueWithDecimals: getFirstNumericCellValueWithDecimals,
+        setNumericCellValue: setNumericCellValue,
+        setSelectedNumericCellValue: setSelectedNumericCellValue,
+        setFirstNumericCellValue: setFirstNumericCellValue,
+        setIntegerCellValue: setIntegerCellValue,
+        setSelectedIntegerCellValue: setSelectedIntegerCellValue,
+        setFirstIntegerCellValue: setFirstIntegerCellValue,
+        setupGridListener: setupGridListener,
+        setValueAndRecalculate: setValueAndRecalculate,
+        setSelectedValueAndRecalculate: setSelectedValueAndRecalculate,
+        setFirstValueAndRecalculate: setFirstValueAndRecalculate,
+        forceRecalculate: forceRecalculate,
+        refreshGridAndRecalculate: refreshGridAndRecalculate,
+        refreshAutoCalculation: refreshAutoCalculation,
+        getAutoCalculationConfig: getAutoCalculationConfig,
+        clearAutoCalculationConfig: clearAutoCalculationConfig,
+        getAllAutoCalculationConfigs: getAllAutoCalculationConfigs,
+        getAutoCalculationOrder: getAutoCalculationOrder,
+        getAutoCalculationConflicts: getAutoCalculationConflicts,
+        disposeAll: disposeAll,
+        compileExpression: compileExpression,
+        setupCantidadPorCosto: setupCantidadPorCosto,
+        ensureAutoCalculation: ensureAutoCalculation,
+        isInitialized: isInitialized,
+        initialize: initialize,
+        setNumericCellValueWithCommit: setNumericCellValueWithCommit,
+        setSelectedNumericCellValueWithCommit: setSelectedNumericCellValueWithCommit,
+        setFirstNumericCellValueWithCommit: setFirstNumericCellValueWithCommit,
+        setearDatosIG: setearDatosIG,
+        setearDatosDirectos: setearDatosDirectos,
+        setearDatos: setearDatos,
+        mostrarDiffCarga: mostrarDiffCarga,
+        setearDatosConConfirmacion: setearDatosConConfirmacion,
+        copiarAlPortapapeles: copiarAlPortapapeles,
+        pegarDesdePortapapeles: pegarDesdePortapapeles,
+        limpiarCacheLov: limpiarCacheLov,
+        insertRow: insertRow,
+        importarArchivo: importarArchivo,
+        setNumericValueRobust: setNumericValueRobust,
+        setSelectedNumericValueRobust: setSelectedNumericValueRobust,
+        setFirstNumericValueRobust: setFirstNumericValueRobust,
+        setNumericValueEuropean: setNumericValueEuropean,
+        setSelectedNumericValueEuropean: setSelectedNumericValueEuropean,
+        setFirstNumericValueEuropean: setFirstNumericValueEuropean,
+        debugGrid: debugGrid,
+        refreshGrid: refreshGrid,
+        refreshGridAndRecalculateSimple: refreshGridAndRecalculateSimple,
+        commitGridChanges: commitGridChanges,
+        refreshGridViewOnly: refreshGridViewOnly,
+        refreshGridSafe: refreshGridSafe,
+        forceRecordDirty: forceRecordDirty,
+        setCellValueWithDirty: setCellValueWithDirty,
+        setSelectedCellValueWithDirty: setSelectedCellValueWithDirty,
+        setFirstCellValueWithDirty: setFirstCellValueWithDirty,
+        forceDirtyState: forceDirtyState,
+        setCellValueWithStabilization: setCellValueWithStabilization,
+        setSelectedCellValueWithStabilization: setSelectedCellValueWithStabilization,
+        setFirstCellValueWithStabilization: setFirstCellValueWithStabilization,
+        simulateUserInteraction: simulateUserInteraction,
+        setCellValueWithActivation: setCellValueWithActivation,
+        setSelectedCellValueWithActivation: setSelectedCellValueWithActivation,
+        setFirstCellValueWithActivation: setFirstCellValueWithActivation,
+        setCellValueRobust: setCellValueRobust,
+        setSelectedCellValueRobust: setSelectedCellValueRobust,
+        setFirstCellValueRobust: setFirstCellValueRobust,
+        initializeFocusRestoration: initializeFocusRestoration,
+        enableFocusRestoration: enableFocusRestoration,
+        disableFocusRestoration: disableFocusRestoration,
+        getLastFocusedCell: getLastFocusedCell,
+        setLastFocusedCell: setLastFocusedCell,
+        restoreFocus: restoreFocus,
+        clearLastFocusedCell: clearLastFocusedCell,
+        getFocusRestorationStatus: getFocusRestorationStatus,
+        recalculateAllRows: recalculateAllRows,
+        setAllRowsValue: setAllRowsValue,
+        setAllRowsFixed: setAllRowsFixed,
+        setItemOnRowSelect: setItemOnRowSelect,
+        setItemOnRowOrCellChange: setItemOnRowOrCellChange,
+        setValueToSelectedRow: setValueToSelectedRow,
+        selectFirstRowOnInit: selectFirstRowOnInit,
+        syncGridToItem: syncGridToItem,
+        syncItemToGrid: syncItemToGrid,
+        syncGridItemValues: syncGridItemValues
+    };
+
+    // Inicializar el módulo automáticamente
+    initialize();
+
+})();
+
+// =============================================================================
+// APEX UTILS - UTILIDADES GENERALES PARA APEX
+// =============================================================================
+// Agregar al objeto apexUtils existente o crear uno nuevo
+window.apexUtils = window.apexUtils || {};
+
+// Almacén interno para los debounces
+const debounceTimers = new Map();
+
+/**
+ * Ejecuta una función con debounce para evitar múltiples ejecuciones
+ * @param {string} key - Clave única para identificar el debounce
+ * @param {function} callback - Función a ejecutar
+ * @param {number} delay - Delay en milisegundos (default: 300)
+ * @param {boolean} immediate - Si debe ejecutar inmediatamente en la primera llamada (default: false)
+ * @returns {boolean} - true si se programó la ejecución, false si se canceló
+ */
+apexUtils.debounce = function(key, callback, delay = 300, immediate = false) {
+    try {
+        // Limpiar timer existente
+        if (debounceTimers.has(key)) {
+            clearTimeout(debounceTimers.get(key));
+        }
+        
+        // Si es inmediato y no hay timer activo, ejecutar ahora
+        if (immediate && !debounceTimers.has(key)) {
+            if (typeof callback === 'function') {
+                callback();
+            }
+            return true;
+        }
+        
+        // Programar nueva ejecución
+        const timerId = setTimeout(() => {
+            if (typeof callback === 'function') {
+                callback();
+            }
+            debounceTimers.delete(key);
+        }, delay);
+        
+        debounceTimers.set(key, timerId);
+        return true;
+        
+    } catch (error) {
+        console.error('apexUtils.debounce error:', error);
+        return false;
+    }
+};
+
+/**
+ * Cancela un debounce específico
+ * @param {string} key - Clave del debounce a cancelar
+ * @returns {boolean} - true si se canceló, false si no existía
+ */
+apexUtils.cancelDebounce = function(key) {
+    try {
+        if (debounceTimers.has(key)) {
+            clearTimeout(debounceTimers.get(key));
+            debounceTimers.delete(key);
+            return true;
+        }
+        return false;
+    } catch (error) {
+        console.error('apexUtils.cancelDebounce error:', error);
+        return false;
+    }
+};
+
+/**
+ * Ejecuta una función solo si un valor ha cambiado
+ * @param {string} key - Clave única para identificar el cambio
+ * @param {any} newValue - Nuevo valor a comparar
+ * @param {function} callback - Función a ejecutar si el valor cambió
+ * @param {number} delay - Delay en milisegundos (default: 100)
+ * @returns {boolean} - true si se ejecutó, false si no hubo cambio
+ */
+apexUtils.executeOnChange = function(key, newValue, callback, delay = 100) {
+    try {
+        const changeKey = `change_${key}`;
+        const lastValue = window[`last_${key}`];
+        
+        // Convertir valores a string para comparación
+        const newValueStr = String(newValue);
+        const lastValueStr = lastValue ? String(lastValue) : null;
+        
+        // Si el valor realmente cambió
+        if (newValueStr !== lastValueStr) {
+            // Actualizar el valor anterior
+            window[`last_${key}`] = newValue;
+            
+            // Ejecutar con debounce
+            return apexUtils.debounce(changeKey, () => {
+                if (typeof callback === 'function') {
+                    callback(newValue, lastValue);
+                }
+            }, delay);
+        }
+        
+        return false;
+        
+    } catch (error) {
+        console.error('apexUtils.executeOnChange error:', error);
+        return false;
+    }
+};
+
+/**
+ * Limpia todos los debounces activos
+ */
+apexUtils.clearAllDebounces = function() {
+    try {
+        debounceTimers.forEach((timerId) => {
+            clearTimeout(timerId);
+        });
+        debounceTimers.clear();
+        console.log('apexUtils: Todos los debounces limpiados');
+    } catch (error) {
+        console.error('apexUtils.clearAllDebounces error:', error);
+    }
+};
+
+/**
+ * Obtiene el valor numérico de un item de APEX, manejando automáticamente
+ * el formato europeo (puntos como separadores de miles, coma como decimal)
+ * @param {string} itemName - Nombre del item (ej: 'P1216_TOTAL_U')
+ * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
+ * @returns {number} - Valor numérico convertido
+ */
+apexUtils.getNumeric = function(itemName, defaultValue = 0) {
+    try {
+        let value = $v(itemName);
+        
+        // Si está vacío o es null/undefined
+        if (!value || value.trim() === '') {
+            return defaultValue;
+        }
+        
+        // Convertir a string por si acaso
+        value = value.toString().trim();
+        
+        // Manejar formato europeo: 4.943.007,876
+        // Remover todos los puntos (separadores de miles) y reemplazar coma por punto
+        let cleanValue = value.replace(/\./g, '').replace(',', '.');
+        
+        let result = parseFloat(cleanValue);
+        
+        // Verificar si la conversión fue exitosa
+        if (isNaN(result)) {
+            console.warn(`apexUtils.getNumeric: No se pudo convertir '${value}' a número. Usando valor por defecto: ${defaultValue}`);
+            return defaultValue;
+        }
+        
+        return result;
+        
+    } catch (error) {
+        console.error(`apexUtils.getNumeric: Error al obtener valor de '${itemName}':`, error);
+        return defaultValue;
+    }
+};
+
+/**
+ * Versión abreviada de getNumeric para uso más rápido
+ */
+apexUtils.get = function(itemName, defaultValue = 0) {
+    return apexUtils.getNumeric(itemName, defaultValue);
+};
+
+/**
+ * Obtiene múltiples valores numéricos de una vez
+ * @param {string[]} itemNames - Array de nombres de items
+ * @param {number} defaultValue - Valor por defecto para todos
+ * @returns {number[]} - Array de valores numéricos
+ */
+apexUtils.getMultipleNumeric = function(itemNames, defaultValue = 0) {
+    return itemNames.map(itemName => apexUtils.getNumeric(itemName, defaultValue));
+};
+
+// Ejemplo de uso:
+// let valor = apexUtils.get('P1216_TOTAL_U');
+// let [costo1, costo2] = apexUtils.getMultipleNumeric(['P1216_TOTAL_U', 'P1216_TOTAL_PROD']);
+
+/**
+ * Configurar cálculo automático para multiplicación (CANTIDAD × COSTO = TOTAL)
+ * Función helper específica para el caso más común
+ * @param {string} gridStaticId - Static ID del Interactive Grid
+ * @param {string} cantidadColumn - Nombre de la columna cantidad (default: 'CANTIDAD')
+ * @param {string} costoColumn - Nombre de la columna costo (default: 'COSTO')
+ * @param {string} totalColumn - Nombre de la columna total (default: 'TOTAL')
+ * @param {number} decimalPlaces - Número de decimales (default: 3)
+ * @returns {object|null} - Handle de setupAutoCalculation (configId, dispose()) o null si falló
+ */
+function setupCantidadPorCosto(gridStaticId, cantidadColumn = 'CANTIDAD', costoColumn = 'COSTO', totalColumn = 'TOTAL', decimalPlaces = 3) {
+    try {
+        console.log(`apexGridUtils: Configurando cálculo automático ${cantidadColumn} × ${costoColumn} = ${totalColumn} para ${gridStaticId}`);
+        
+        const handle = apexGridUtils.setupAutoCalculation(gridStaticId, {
+            sourceColumns: [cantidadColumn, costoColumn],
+            targetColumn: totalColumn,
+            formula: function(values) {
+                const cantidad = values[cantidadColumn] || 0;
+                const costo = values[costoColumn] || 0;
+                const resultado = cantidad * costo;
+                
+                console.log(`apexGridUtils: Fórmula ejecutada: ${cantidad} × ${costo} = ${resultado}`);
+                return resultado;
+            },
+            decimalPlaces: decimalPlaces,
+            autoTrigger: true,
+            triggerOnLoad: true,
+            reemplazar: true
+        });
+        
+        if (handle) {
+            console.log(`apexGridUtils: Cálculo automático configurado exitosamente con ID: ${handle.configId}`);
+            
+            // Ejecutar cálculo inicial después de un pequeño delay
+            setTimeout(() => {
+                console.log(`apexGridUtils: Ejecutando cálculo inicial para ${handle.configId}`);
+                apexGridUtils.refreshAutoCalculation(gridStaticId, totalColumn, 100);
+            }, 200);
+        } else {
+            console.error(`apexGridUtils: Error al configurar cálculo automático para ${gridStaticId}`);
+        }
+        
+        return handle;
+        
+    } catch (error) {
+        console.error('apexGridUtils setupCantidadPorCosto error:', error);
+        return null;
+    }
+}
+
+/**
+ * Verificar y configurar cálculos automáticos si no existen
+ * @param {string} gridStaticId - Static ID del Interactive Grid
+ * @param {string} targetColumn - Columna a verificar (default: 'TOTAL')
+ * @returns {boolean} - true si la configuración existe o se creó exitosamente
+ */
+function ensureAutoCalculation(gridStaticId, targetColumn = 'TOTAL') {
+    try {
+        const config = apexGridUtils.getAutoCalculationConfig(gridStaticId, targetColumn);
+        
+        if (config) {
+            console.log(`apexGridUtils: Configuración existente encontrada para ${gridStaticId} -> ${targetColumn}`);
+            return true;
+        } else {
+            console.log(`apexGridUtils: No se encontró configuración para ${gridStaticId} -> ${targetColumn}, configurando automáticamente...`);
+            
+            // Configurar automáticamente el cálculo más común
+            const handle = setupCantidadPorCosto(gridStaticId);
+            return handle !== null;
+        }
+        
+    } catch (error) {
+        console.error('apexGridUtils ensureAutoCalculation error:', error);
+        return false;
+    }
+}
+
+/**
+ * Setear valor numérico con commit explícito para evitar sobrescritura
+ * @param {string} gridStaticId - Static ID del Interactive Grid
+ * @param {string} columnName - Nombre de la columna
+ * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
+ * @param {number} value - Valor a establecer
+ * @param {number} decimalPlaces - Número de decimales para formatear (default: null = sin formatear)
+ * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+ * @returns {boolean} - true si se estableció correctamente
+ */
+function setNumericCellValueWithCommit(gridStaticId, columnName, rowIndex, value, decimalPlaces = null, refresh = true) {
+    try {
+        // Obtener el grid usando el método que funciona
+        const grid = apex.region(gridStaticId).call("getViews").grid;
+        
+        let targetRow = null;
+        
+        // Si rowIndex es -1, usar la fila seleccionada
+        if (rowIndex === -1) {
+            const array = grid.getSelectedRecords();
+            if (array && array.length > 0) {
+                targetRow = array[0][1];
+            } else {
+                console.warn(`apexGridUtils: No hay fila seleccionada en ${gridStaticId}`);
+                return false;
+            }
+        } else {
+            // Convertir rowIndex a índice interno (rowIndex - 1)
+            const internalIndex = rowIndex - 1;
+            
+            // Obtener todas las filas del modelo, no solo las seleccionadas
+            const allRecords = [];
+            grid.model.forEach(function(record) {
+                allRecords.push(record);
+            });
+            
+            if (allRecords.length > internalIndex && internalIndex >= 0) {
+                targetRow = allRecords[internalIndex];
+            } else {
+                console.warn(`apexGridUtils: Fila ${rowIndex} fuera de rango en ${gridStaticId} (total filas: ${allRecords.length})`);
+                return false;
+            }
+        }
+        
+        if (targetRow) {
+            // Formatear valor si es necesario
+            let finalValue = value;
+            
+            // Validar decimalPlaces antes de usar toFixed()
+            if (decimalPlaces !== null && typeof value === 'number') {
+                // Asegurar que decimalPlaces esté en el rango válido (0-100)
+                let validDecimalPlaces = decimalPlaces;
+                
+                if (typeof validDecimalPlaces !== 'number' || isNaN(validDecimalPlaces)) {
+                    validDecimalPlaces = 2; // Valor por defecto
+                } else if (validDecimalPlaces < 0) {
+                    validDecimalPlaces = 0; // Mínimo 0
+                } else if (validDecimalPlaces > 100) {
+                    validDecimalPlaces = 100; // Máximo 100
+                }
+                
+                finalValue = parseFloat(value.toFixed(validDecimalPlaces));
+            }
+            
+            // Establecer el valor en el modelo
+            grid.model.setValue(targetRow, columnName, finalValue);
+            
+            // Forzar la actualización del modelo para confirmar el cambio
+            try {
+                // Usar el método correcto para Interactive Grids de APEX
+                if (grid.model && grid.model.markDirty) {
+                    grid.model.markDirty(targetRow);
+                }
+                
+                // Alternativa: forzar actualización del registro
+                if (grid.model && grid.model.updateRecord) {
+                    grid.model.updateRecord(targetRow);
+                }
+            } catch (commitError) {
+                console.warn('apexGridUtils: No se pudo confirmar el cambio del modelo:', commitError);
+            }
+            
+            // Refrescar la vista si está habilitado
+            if (refresh) {
+                try {
+                    // Método correcto para Interactive Grids de APEX
+                    grid.view$.trigger('refresh');
+                    //console.log(`apexGridUtils: Vista refrescada usando grid.view$.trigger('refresh')`);
+                } catch (e) {
+                    console.warn('apexGridUtils: No se pudo refrescar la vista:', e);
+                }
+            }
+            
+            //console.log(`apexGridUtils: Valor ${finalValue} establecido en ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex} con commit`);
+            return true;
+        }
+        
+        return false;
+        
+    } catch (error) {
+        console.error('apexGridUtils setNumericCellValueWithCommit error:', error);
+        return false;
+    }
+}
+
+/**
+ * Setear valor numérico con commit en la fila seleccionada
+ * @param {string} gridStaticId - Static ID del Interactive Grid
+ * @param {string} columnName - Nombre de la columna
+ * @param {number} value - Valor a establecer
+ * @param {number} decimalPlaces - Número de decimales para formatear (default: null = sin formatear)
+ * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+ * @returns {boolean} - true si se estableció correctamente
+ */
+function setSelectedNumericCellValueWithCommit(gridStaticId, columnName, value, decimalPlaces = null, refresh = true) {
+    return setNumericCellValueWithCommit(gridStaticId, columnName, -1, value, decimalPlaces, refresh);
+}
+
+/**
+ * Setear valor numérico con commit en la primera fila
+ * @param {string} gridStaticId - Static ID del Interactive Grid
+ * @param {string} columnName - Nombre de la columna
+ * @param {number} value - Valor a establecer
+ * @param {number} decimalPlaces - Número de decimales para formatear (default: null = sin formatear)
+ * @param {boolean} refresh - Si debe refrescar la vista (default: true)
+ * @returns {boolean} - true si se estableció correctamente
+ */
+function setFirstNumericCellValueWithCommit(gridStaticId, columnName, value, decimalPlaces = null, refresh = true) {
+    return setNumericCellValueWithCommit(gridStaticId, columnName, 1, value, decimalPlaces, refresh);
+}
+
+    // Caché de displays de Popup LOV resueltos con lovResolver ('region|COLUMNA' -> Map(valor -> display))
+    const cacheDisplaysLov = new Map();
+
+    /**
+     * Clave de la caché de displays: una misma columna puede tener otra LOV en otro grid
+     * @param {string} regionId - Static ID de la región IG
+     * @param {string} columnName - Columna Popup LOV
+     * @returns {string} - Clave 'region|COLUMNA'
+     */
+    function claveCacheLov(regionId, columnName) {
+        return `${regionId}|${columnName.toUpperCase()}`;
+    }
+
+    /**
+     * Recolectar los valores distintos de las columnas Popup LOV que necesitan display
+     * @param {array} registros - Registros con columnas en mayúsculas
+     * @param {array} columnas - Columnas Popup LOV
+     * @param {object} lovDisplayMaps - Mapas estáticos; sus valores no se vuelven a resolver (opcional)
+     * @returns {object} - { COLUMNA: [valores distintos] } (omite valores vacíos y {v, d} ya resueltos)
+     */
+    function recolectarValoresLov(registros, columnas, lovDisplayMaps) {
+        const valoresPorColumna = {};
+        lovDisplayMaps = lovDisplayMaps || {};
+        (columnas || []).forEach(function(columna) {
+            const columnName = columna.toUpperCase();
+            const mapaEstatico = lovDisplayMaps[columna] || lovDisplayMaps[columnName] || {};
+            const distintos = new Set();
+            registros.forEach(function(registro) {
+                const value = registro[columnName];
+                if (value !== null && value !== undefined && value !== '' && typeof value !== 'object' &&
+                    !Object.prototype.hasOwnProperty.call(mapaEstatico, value)) {
+                    distintos.add(value);
+                }
+            });
+            if (distintos.size > 0) {
+                valoresPorColumna[columnName] = Array.from(distintos);
+            }
+        });
+        return valoresPorColumna;
+    }
+
+    /**
+     * Resolver displays de Popup LOV con un resolver asíncrono, una llamada por columna
+     * Los valores ya resueltos en la sesión de la página se toman de la caché (por región y columna)
+     * @param {string} regionId - Static ID de la región IG
+     * @param {object} valoresPorColumna - { COLUMNA: [valores] }
+     * @param {function} lovResolver - Función (columna, valores) que retorna una Promise con
+     *                                 un objeto { valor: display } o un array de { v | r, d }
+     * @returns {Promise<object>} - Promise con { COLUMNA: { valor: display } }
+     */
+    function resolverDisplaysLov(regionId, valoresPorColumna, lovResolver) {
+        const columnas = Object.keys(valoresPorColumna);
+
+        return Promise.all(columnas.map(function(columnName) {
+            const claveCache = claveCacheLov(regionId, columnName);
+            if (!cacheDisplaysLov.has(claveCache)) {
+                cacheDisplaysLov.set(claveCache, new Map());
+            }
+            const cache = cacheDisplaysLov.get(claveCache);
+            const pendientes = valoresPorColumna[columnName].filter(value => !cache.has(String(value)));
+
+            if (pendientes.length === 0) {
+                return Promise.resolve();
+            }
+
+            return Promise.resolve(lovResolver(columnName, pendientes)).then(function(respuesta) {
+                if (Array.isArray(respuesta)) {
+                    respuesta.forEach(function(par) {
+                        const v = par.v !== undefined ? par.v : par.r;
+                        if (v !== undefined && v !== null) {
+                            cache.set(String(v), par.d);
+                        }
+                    });
+                } else if (respuesta && typeof respuesta === 'object') {
+                    Object.keys(respuesta).forEach(v => cache.set(String(v), respuesta[v]));
+                }
+            }, function(error) {
+                // Sin display resuelto se muestra el valor de retorno (mismo fallback que lovDisplayMaps)
+                console.warn(`apexGridUtils: lovResolver falló para ${columnName}:`, error);
+            });
+        })).then(function() {
+            const mapas = {};
+            columnas.forEach(function(columnName) {
+                const cache = cacheDisplaysLov.get(claveCacheLov(regionId, columnName));
+                mapas[columnName] = {};
+                valoresPorColumna[columnName].forEach(function(value) {
+                    if (cache.has(String(value))) {
+                        mapas[columnName][value] = cache.get(String(value));
+                    }
+                });
+            });
+            return mapas;
+        });
+    }
+
+    /**
+     * Combinar lovDisplayMaps estáticos con los displays resueltos (los estáticos tienen prioridad)
+     * @param {object} base - lovDisplayMaps de la configuración
+     * @param {object} resueltos - Mapas retornados por resolverDisplaysLov
+     * @returns {object} - Mapas combinados por columna
+     */
+    function combinarMapasDisplay(base, resueltos) {
+        const combinados = {};
+        Object.keys(resueltos || {}).forEach(function(columnName) {
+            combinados[columnName] = Object.assign({}, resueltos[columnName]);
+        });
+        Object.keys(base || {}).forEach(function(columnName) {
+            const clave = columnName.toUpperCase();
+            combinados[clave] = Object.assign(combinados[clave] || {}, base[columnName]);
+        });
+        return combinados;
+    }
+
+    /**
+     * Limpiar la caché de displays resueltos con lovResolver
+     * @param {string} regionId - Región a limpiar (opcional, default: todas)
+     * @param {string} columnName - Columna a limpiar dentro de la región (opcional, default: todas)
+     */
+    function limpiarCacheLov(regionId, columnName) {
+        if (regionId && columnName) {
+            cacheDisplaysLov.delete(claveCacheLov(regionId, columnName));
+        } else if (regionId) {
+            Array.from(cacheDisplaysLov.keys())
+                .filter(clave => clave.startsWith(`${regionId}|`))
+                .forEach(clave => cacheDisplaysLov.delete(clave));
+        } else {
+            cacheDisplaysLov.clear();
+        }
+    }
+
+    /**
+     * Preparar un valor para guardarlo en una celda del modelo (soporte para Popup LOV)
+     * @param {string} columnName - Nombre de la columna destino
+     * @param {any} value - Valor a guardar (valor simple u objeto {v, d})
+     * @param {object} opciones - Opciones de setearDatosIG (popupLovColumns, lovDisplayMaps, formatosColumnas, metadatosColumnas)
+     * @returns {object|string|null} - {v, d} para Popup LOV, string según el tipo de la columna para el resto
+     */
+    function prepararValorCelda(columnName, value, opciones) {
+        opciones = opciones || {};
+
+        // Detectar configuración de Popup LOV
+        const isPopupLov = Array.isArray(opciones.popupLovColumns)
+            ? opciones.popupLovColumns.map(c => c.toUpperCase()).includes(columnName.toUpperCase())
+            : false;
+        const lovDisplayMaps = opciones.lovDisplayMaps || {};
+        const lovMapForColumn = lovDisplayMaps[columnName] || lovDisplayMaps[columnName && columnName.toUpperCase()] || null;
+
+        if (value === null || value === undefined) {
+            return null;
+        }
+
+        if (typeof value === 'object' && (value.hasOwnProperty('v') || value.hasOwnProperty('d'))) {
+            // Si ya viene en formato {v, d}
+            const v = value.v;
+            const d = value.d != null ? value.d : value.v;
+            return { v: v, d: d };
+        }
+
+        if (isPopupLov) {
+            // Si es Popup LOV y solo tenemos el valor, intentar resolver display
+            const v = value;
+            let d = null;
+            if (lovMapForColumn && Object.prototype.hasOwnProperty.call(lovMapForColumn, v)) {
+                d = lovMapForColumn[v];
+            } else {
+                // Fallback: usar el mismo valor como display
+                d = v;
+            }
+            return { v: v, d: d };
+        }
+
+        // Serializar según el tipo y la máscara de la columna (formatosColumnas tiene prioridad sobre el modelo)
+        const metadatos = opciones.metadatosColumnas ? opciones.metadatosColumnas[columnName.toUpperCase()] : null;
+        const formatosColumnas = opciones.formatosColumnas || {};
+        const formatoColumna = Object.assign(
+            { tipo: metadatos ? metadatos.tipoDato : null, mascara: metadatos ? metadatos.mascara : null },
+            formatosColumnas[columnName] || formatosColumnas[columnName.toUpperCase()]
+        );
+        return serializarValorCelda(value, formatoColumna);
+    }
+
+    /**
+     * Serializar un valor simple con el formato que espera la columna
+     * Números en formato europeo con los decimales de la columna y fechas con la máscara APEX
+     * @param {any} value - Valor a serializar
+     * @param {object} formato - { tipo, mascara, decimales } de la columna (todos opcionales)
+     * @returns {string} - Valor como texto
+     */
+    function serializarValorCelda(value, formato) {
+        const tipo = formato.tipo ? String(formato.tipo).toUpperCase() : null;
+        const esFecha = tipo === 'DATE' || /^TIMESTAMP/.test(tipo || '');
+
+        // Números (solo en columnas numéricas o sin tipo conocido)
+        if (typeof value === 'number' && isFinite(value) && (!tipo || tipo === 'NUMBER')) {
+            let decimales = formato.decimales != null ? formato.decimales : decimalesMascaraNumerica(formato.mascara);
+            if (decimales === null) {
+                decimales = (String(value).split('.')[1] || '').length;
+            }
+            // Separador de miles solo si la máscara lo pide; sin máscara APEX espera el número sin agrupar
+            const separadorMiles = !!formato.mascara && /[G,]/i.test(formato.mascara);
+            return apexGridUtils.formatToEuropean(value, decimales, separadorMiles);
+        }
+
+        // Fechas: objetos Date o textos ISO en columnas de fecha
+        let fecha = null;
+        if (value instanceof Date) {
+            fecha = value;
+        } else if (esFecha && typeof value === 'string') {
+            const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+            if (iso) {
+                fecha = new Date(+iso[1], +iso[2] - 1, +iso[3], +(iso[4] || 0), +(iso[5] || 0), +(iso[6] || 0));
+            }
+        }
+        if (fecha) {
+            const mascaraFecha = (!tipo || esFecha) && formato.mascara ? formato.mascara : mascaraFechaDefecto();
+            if (typeof apex !== 'undefined' && apex.date && typeof apex.date.format === 'function') {
+                return apex.date.format(fecha, mascaraFecha);
+            }
+            return formatearFechaIG(fecha, mascaraFecha);
+        }
+
+        // Comportamiento por defecto (string)
+        return value.toString();
+    }
+
+    /**
+     * Obtener la cantidad de decimales de una máscara numérica APEX (ej: '999G999G990D00' => 2)
+     * @param {string} mascara - Máscara de formato
+     * @returns {number|null} - Decimales o null si no es una máscara numérica
+     */
+    function decimalesMascaraNumerica(mascara) {
+        if (!mascara || !/[09]/.test(mascara)) {
+            return null;
+        }
+        const decimales = String(mascara).toUpperCase().match(/[D.]([09]+)/);
+        return decimales ? decimales[1].length : 0;
+    }
+
+    /**
+     * Máscara de fecha por defecto de la aplicación (o DD/MM/YYYY si APEX no la informa)
+     * @returns {string} - Máscara de fecha
+     */
+    function mascaraFechaDefecto() {
+        try {
+            if (apex.locale && typeof apex.locale.getDateFormat === 'function' && apex.locale.getDateFormat()) {
+                return apex.locale.getDateFormat();
+            }
+        } catch (e) {
+            // Usar la máscara por defecto
+        }
+        return 'DD/MM/YYYY';
+    }
+
+    /**
+     * Procesar un array por lotes, cediendo el control al navegador entre lote y lote
+     * @param {array} items - Elementos a procesar
+     * @param {function} procesar - Función (item, indice) para cada elemento
+     * @param {number} tamanoLote - Cantidad de elementos por lote
+     * @param {function} onLote - Función (cantidadProcesada) al terminar cada lote (opcional)
+     * @returns {Promise} - Promise que resuelve cuando se procesaron todos los elementos
+     */
+    function procesarPorLotes(items, procesar, tamanoLote, onLote) {
+        const siguienteFrame = typeof requestAnimationFrame === 'function'
+            ? requestAnimationFrame
+            : function(callback) { return setTimeout(callback, 0); };
+
+        return new Promise((resolve, reject) => {
+            let indice = 0;
+
+            const procesarLote = function() {
+                try {
+                    const fin = Math.min(indice + tamanoLote, items.length);
+                    for (; indice < fin; indice++) {
+                        procesar(items[indice], indice);
+                    }
+                    if (onLote) {
+                        onLote(indice);
+                    }
+                    if (indice < items.length) {
+                        siguienteFrame(procesarLote);
+                    } else {
+                        resolve();
+                    }
+                } catch (error) {
+                    reject(error);
+                }
+            };
+
+            siguienteFrame(procesarLote);
+        });
+    }
+
+    /**
+     * Tomar una copia de los registros del modelo para poder restaurarlos (modo transaccional con limpiarAntes)
+     * @param {object} model - Modelo del Interactive Grid
+     * @returns {array} - Copias de los registros en el orden del modelo (sin filas de agregados)
+     */
+    function tomarSnapshotModelo(model) {
+        const registros = [];
+        model.forEach(function(record) {
+            if (!record) {
+                return;
+            }
+            const meta = model.getRecordMetadata(model.getRecordId(record));
+            if (meta && meta.agg) {
+                return;
+            }
+            registros.push(Array.isArray(record) ? record.slice() : Object.assign({}, record));
+        });
+        return registros;
+    }
+
+    /**
+     * Restaurar el contenido del modelo desde un snapshot tomado con tomarSnapshotModelo
+     * Los registros vuelven como datos del servidor, igual que antes de clearData (sin DML pendiente)
+     * @param {object} model - Modelo del Interactive Grid
+     * @param {array} snapshot - Copias de los registros
+     */
+    function restaurarSnapshotModelo(model, snapshot) {
+        model.clearData();
+        model.setData(snapshot);
+    }
+
+    /**
+     * Deshacer los cambios registrados durante una carga (modo transaccional sin limpiar el modelo)
+     * @param {object} model - Modelo del Interactive Grid
+     * @param {object} bitacora - { insertados: Set, limpios: Set, celdas: [{ record, columna, anterior }] }
+     */
+    function revertirCambiosCarga(model, bitacora) {
+        // Quitar los registros insertados por la carga
+        if (bitacora.insertados.size > 0) {
+            model.deleteRecords(Array.from(bitacora.insertados));
+        }
+
+        // Los registros que no tenían cambios previos se revierten completos si el modelo lo permite
+        const revertidos = new Set();
+        if (bitacora.limpios.size > 0 && typeof model.revertRecords === 'function') {
+            model.revertRecords(Array.from(bitacora.limpios));
+            bitacora.limpios.forEach(record => revertidos.add(record));
+        }
+
+        // Restaurar los valores anteriores en orden inverso
+        for (let i = bitacora.celdas.length - 1; i >= 0; i--) {
+            const celda = bitacora.celdas[i];
+            if (!revertidos.has(celda.record)) {
+                model.setValue(celda.record, celda.columna, celda.anterior);
+            }
+        }
+    }
+
+    /**
+     * Obtener los metadatos de las columnas del grid (campos del modelo + columnas de la vista)
+     * @param {object} grid - Vista grid del Interactive Grid
+     * @returns {object} - { COLUMNA: { tipoDato, obligatorio, longitudMaxima, soloLectura, mascara, valorDefecto } }
+     */
+    function obtenerMetadatosColumnas(grid) {
+        const metadatos = {};
+        const agregar = function(nombre, definicion) {
+            if (!nombre || !definicion) {
+                return;
+            }
+            const validacion = definicion.validation || {};
+            const actual = metadatos[nombre.toUpperCase()] || {};
+            metadatos[nombre.toUpperCase()] = {
+                tipoDato: actual.tipoDato || (definicion.dataType ? String(definicion.dataType).toUpperCase() : null),
+                obligatorio: actual.obligatorio || !!(definicion.isRequired || definicion.required || validacion.isRequired),
+                longitudMaxima: actual.longitudMaxima || definicion.maxLength || validacion.maxLength || null,
+                soloLectura: actual.soloLectura || !!(definicion.readonly || definicion.readOnly || definicion.isReadOnly),
+                mascara: actual.mascara || definicion.formatMask || null,
+                valorDefecto: actual.valorDefecto !== undefined && actual.valorDefecto !== null ? actual.valorDefecto : definicion.defaultValue
+            };
+        };
+
+        try {
+            const fields = grid.model.getOption('fields') || {};
+            Object.keys(fields).forEach(nombre => agregar(nombre, fields[nombre]));
+        } catch (e) {
+            console.warn('apexGridUtils: No se pudieron leer los campos del modelo:', e);
+        }
+
+        try {
+            const columns = (grid.getColumns ? grid.getColumns() : []) || [];
+            columns.forEach(col => agregar(col.property, col));
+        } catch (e) {
+            console.warn('apexGridUtils: No se pudieron leer las columnas del grid:', e);
+        }
+
+        return metadatos;
+    }
+
+    /**
+     * Validar registros preparados contra los metadatos de las columnas del grid
+     * Verifica existencia de la columna, tipo de dato, obligatorio, longitud máxima y solo lectura
+     * @param {object} grid - Vista grid del Interactive Grid
+     * @param {array} registros - Array de { indice, valores } con columnas en mayúsculas
+     * @param {boolean} esMerge - En merge no se exigen columnas obligatorias ausentes (pueden ser actualizaciones)
+     * @param {array} claves - Columnas clave del merge; pueden ser de solo lectura (opcional)
+     * @returns {array} - Array de errores { indice, columna, tipo, mensaje, valor }
+     */
+    function validarRegistrosContraGrid(grid, registros, esMerge, claves = []) {
+        const metadatos = obtenerMetadatosColumnas(grid);
+        const errores = [];
+
+        if (Object.keys(metadatos).length === 0) {
+            console.warn('apexGridUtils: El grid no expone metadatos de columnas; se omite la validación');
+            return errores;
+        }
+
+        const esVacio = value => value === null || value === undefined || value === '';
+
+        registros.forEach(function(preparado) {
+            const agregarError = function(columna, tipo, mensaje, valor) {
+                errores.push({ indice: preparado.indice, columna: columna, tipo: tipo, mensaje: mensaje, valor: valor });
+            };
+
+            Object.keys(preparado.valores).forEach(function(columna) {
+                let value = preparado.valores[columna];
+                const meta = metadatos[columna];
+
+                if (!meta) {
+                    agregarError(columna, 'columna', `La columna ${columna} no existe en el grid`, value);
+                    return;
+                }
+
+                if (meta.soloLectura && !(esMerge && claves.includes(columna))) {
+                    agregarError(columna, 'soloLectura', `La columna ${columna} es de solo lectura`, value);
+                    return;
+                }
+
+                if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+                    value = value.v;
+                }
+
+                if (esVacio(value)) {
+                    if (meta.obligatorio) {
+                        agregarError(columna, 'obligatorio', `La columna ${columna} es obligatoria`, value);
+                    }
+                    return;
+                }
+
+                if (meta.tipoDato === 'NUMBER') {
+                    const numeroValido = typeof value === 'number'
+                        ? isFinite(value)
+                        : /^\s*[-+]?[\d.,]*\d[\d.,]*\s*$/.test(String(value));
+                    if (!numeroValido) {
+                        agregarError(columna, 'tipo', `La columna ${columna} espera un número`, value);
+                        return;
+                    }
+                } else if (/^(DATE|TIMESTAMP)/.test(meta.tipoDato || '')) {
+                    const fechaValida = value instanceof Date
+                        ? !isNaN(value.getTime())
+                        : (!meta.mascara || parsearFechaIG(value, meta.mascara) !== null);
+                    if (!fechaValida) {
+                        agregarError(columna, 'tipo', `La columna ${columna} espera una fecha${meta.mascara ? ' (' + meta.mascara + ')' : ''}`, value);
+                        return;
+                    }
+                }
+
+                if (meta.longitudMaxima && String(value).length > meta.longitudMaxima) {
+                    agregarError(columna, 'longitud', `La columna ${columna} admite hasta ${meta.longitudMaxima} caracteres`, value);
+                }
+            });
+
+            // Columnas obligatorias que no vienen en una inserción (y no tienen valor por defecto)
+            if (!esMerge) {
+                Object.keys(metadatos).forEach(function(columna) {
+                    const meta = metadatos[columna];
+                    if (meta.obligatorio && !meta.soloLectura && esVacio(meta.valorDefecto) &&
+                        !Object.prototype.hasOwnProperty.call(preparado.valores, columna)) {
+                        agregarError(columna, 'obligatorio', `Falta la columna obligatoria ${columna}`, undefined);
+                    }
+                });
+            }
+        });
+
+        return errores;
+    }
+
+    /**
+     * Construir la clave de un registro a partir de las columnas clave
+     * Las claves numéricas se normalizan para que 1234 coincida con '1.234' y 12.5 con '12,5'
+     * @param {array} claves - Columnas clave (en mayúsculas)
+     * @param {function} obtenerValor - Función (columnName) => valor
+     * @param {array} columnasNumericas - Columnas clave numéricas (opcional)
+     * @returns {string|null} - Clave serializada o null si alguna columna clave está vacía
+     */
+    function construirClaveRegistro(claves, obtenerValor, columnasNumericas = []) {
+        const partes = [];
+        for (let i = 0; i < claves.length; i++) {
+            let value = obtenerValor(claves[i]);
+            if (value !== null && typeof value === 'object') {
+                value = value.v;
+            }
+            if (value === null || value === undefined || value === '') {
+                return null;
+            }
+            partes.push(columnasNumericas.includes(claves[i]) ? String(numeroEuropeoIG(value)) : String(value));
+        }
+        return JSON.stringify(partes);
+    }
+
+    /**
+     * Obtener las columnas clave numéricas: NUMBER según el grid o con valores numéricos en la entrada
+     * @param {array} claves - Columnas clave (en mayúsculas)
+     * @param {array} registros - Registros preparados [{ indice, valores }]
+     * @param {object} metadatosColumnas - Metadatos de obtenerMetadatosColumnas (opcional)
+     * @returns {array} - Columnas clave que se comparan como número
+     */
+    function columnasClaveNumericas(claves, registros, metadatosColumnas) {
+        return claves.filter(function(columnName) {
+            const meta = metadatosColumnas ? metadatosColumnas[columnName] : null;
+            if (meta && meta.tipoDato) {
+                return meta.tipoDato === 'NUMBER';
+            }
+            return registros.some(function(preparado) {
+                let value = preparado.valores[columnName];
+                if (value !== null && typeof value === 'object') {
+                    value = value.v;
+                }
+                return typeof value === 'number';
+            });
+        });
+    }
+
+    /**
+     * Indexar los registros del modelo por sus columnas clave (omite los marcados para eliminar)
+     * @param {object} model - Modelo del Interactive Grid
+     * @param {array} claves - Columnas clave (en mayúsculas)
+     * @param {array} columnasNumericas - Columnas clave numéricas (opcional)
+     * @returns {Map} - Map clave -> registro
+     */
+    function indexarRegistrosPorClaves(model, claves, columnasNumericas = []) {
+        const indice = new Map();
+        model.forEach(function(record) {
+            const meta = model.getRecordMetadata(model.getRecordId(record)) || {};
+            if (meta.deleted || meta.agg) {
+                return;
+            }
+            const clave = construirClaveRegistro(claves, columnName => model.getValue(record, columnName), columnasNumericas);
+            if (clave !== null && !indice.has(clave)) {
+                indice.set(clave, record);
+            }
+        });
+        return indice;
+    }
 
-    // Inicializar el módulo automáticamente
-    initialize();
+    /**
+     * Comparar el valor actual de una celda con el nuevo (compara v en Popup LOV)
+     * @param {any} actual - Valor actual en el modelo
+     * @param {any} nuevo - Valor preparado con prepararValorCelda
+     * @returns {boolean} - true si son equivalentes
+     */
+    function valoresCeldaIguales(actual, nuevo) {
+        const normalizar = function(value) {
+            if (value !== null && typeof value === 'object') {
+                value = value.v;
+            }
+            return value === null || value === undefined ? '' : String(value);
+        };
+        return normalizar(actual) === normalizar(nuevo);
+    }
 
-})();
+    /**
+     * Calcular qué haría una carga de setearDatosIG sin modificar el modelo (modo simular)
+     * @param {object} model - Modelo del Interactive Grid
+     * @param {array} registros - Registros preparados [{ indice, valores }]
+     * @param {object} configuracion - Configuración de setearDatosIG (modo, claves, eliminarFaltantes, limpiarAntes)
+     * @param {object} opcionesCelda - Opciones para prepararValorCelda
+     * @returns {object} - { columnas, insertar, actualizar, eliminar, sinCambios, fallidos }
+     */
+    function simularCargaGrid(model, registros, configuracion, opcionesCelda) {
+        const modoMerge = configuracion.modo === 'merge';
+        const claves = modoMerge ? (configuracion.claves || []).map(c => c.toUpperCase()) : [];
+        const diff = { columnas: [], insertar: [], actualizar: [], eliminar: [], sinCambios: 0, fallidos: [] };
 
-// =============================================================================
-// APEX UTILS - UTILIDADES GENERALES PARA APEX
-// =============================================================================
-// Agregar al objeto apexUtils existente o crear uno nuevo
-window.apexUtils = window.apexUtils || {};
+        if (modoMerge && claves.length === 0) {
+            throw new Error('claves es obligatorio en modo merge');
+        }
 
-// Almacén interno para los debounces
-const debounceTimers = new Map();
+        // Columnas afectadas (en el orden en que aparecen en los datos)
+        registros.forEach(function(preparado) {
+            Object.keys(preparado.valores).forEach(function(columnName) {
+                if (diff.columnas.indexOf(columnName) === -1) {
+                    diff.columnas.push(columnName);
+                }
+            });
+        });
 
-/**
- * Ejecuta una función con debounce para evitar múltiples ejecuciones
- * @param {string} key - Clave única para identificar el debounce
- * @param {function} callback - Función a ejecutar
- * @param {number} delay - Delay en milisegundos (default: 300)
- * @param {boolean} immediate - Si debe ejecutar inmediatamente en la primera llamada (default: false)
- * @returns {boolean} - true si se programó la ejecución, false si se canceló
- */
-apexUtils.debounce = function(key, callback, delay = 300, immediate = false) {
-    try {
-        // Limpiar timer existente
-        if (debounceTimers.has(key)) {
-            clearTimeout(debounceTimers.get(key));
-        }
-        
-        // Si es inmediato y no hay timer activo, ejecutar ahora
-        if (immediate && !debounceTimers.has(key)) {
-            if (typeof callback === 'function') {
-                callback();
+        const valoresRegistro = function(record) {
+            const valores = {};
+            claves.concat(diff.columnas).forEach(function(columnName) {
+                valores[columnName] = model.getValue(record, columnName);
+            });
+            return valores;
+        };
+
+        const numericas = modoMerge ? columnasClaveNumericas(claves, registros, opcionesCelda.metadatosColumnas) : [];
+        const indiceClaves = modoMerge ? indexarRegistrosPorClaves(model, claves, numericas) : null;
+        const coincidentes = new Set();
+        const insertadosPorClave = new Map();
+
+        registros.forEach(function(preparado) {
+            const valores = {};
+            Object.keys(preparado.valores).forEach(function(columnName) {
+                valores[columnName] = prepararValorCelda(columnName, preparado.valores[columnName], opcionesCelda);
+            });
+
+            if (!modoMerge) {
+                diff.insertar.push({ indice: preparado.indice, valores: valores });
+                return;
             }
-            return true;
-        }
-        
-        // Programar nueva ejecución
-        const timerId = setTimeout(() => {
-            if (typeof callback === 'function') {
-                callback();
+
+            const clave = construirClaveRegistro(claves, columnName => preparado.valores[columnName], numericas);
+            if (clave === null) {
+                diff.fallidos.push({ indice: preparado.indice, error: 'El registro no tiene valor para las claves: ' + claves.join(', ') });
+                return;
             }
-            debounceTimers.delete(key);
-        }, delay);
-        
-        debounceTimers.set(key, timerId);
-        return true;
-        
-    } catch (error) {
-        console.error('apexUtils.debounce error:', error);
-        return false;
-    }
-};
 
-/**
- * Cancela un debounce específico
- * @param {string} key - Clave del debounce a cancelar
- * @returns {boolean} - true si se canceló, false si no existía
- */
-apexUtils.cancelDebounce = function(key) {
-    try {
-        if (debounceTimers.has(key)) {
-            clearTimeout(debounceTimers.get(key));
-            debounceTimers.delete(key);
-            return true;
-        }
-        return false;
-    } catch (error) {
-        console.error('apexUtils.cancelDebounce error:', error);
-        return false;
-    }
-};
+            // Claves repetidas en la entrada actualizan la fila que se insertaría
+            if (insertadosPorClave.has(clave)) {
+                Object.assign(insertadosPorClave.get(clave).valores, valores);
+                return;
+            }
 
-/**
- * Ejecuta una función solo si un valor ha cambiado
- * @param {string} key - Clave única para identificar el cambio
- * @param {any} newValue - Nuevo valor a comparar
- * @param {function} callback - Función a ejecutar si el valor cambió
- * @param {number} delay - Delay en milisegundos (default: 100)
- * @returns {boolean} - true si se ejecutó, false si no hubo cambio
- */
-apexUtils.executeOnChange = function(key, newValue, callback, delay = 100) {
-    try {
-        const changeKey = `change_${key}`;
-        const lastValue = window[`last_${key}`];
-        
-        // Convertir valores a string para comparación
-        const newValueStr = String(newValue);
-        const lastValueStr = lastValue ? String(lastValue) : null;
-        
-        // Si el valor realmente cambió
-        if (newValueStr !== lastValueStr) {
-            // Actualizar el valor anterior
-            window[`last_${key}`] = newValue;
-            
-            // Ejecutar con debounce
-            return apexUtils.debounce(changeKey, () => {
-                if (typeof callback === 'function') {
-                    callback(newValue, lastValue);
+            const existente = indiceClaves.get(clave);
+            if (!existente) {
+                const insercion = { indice: preparado.indice, valores: valores };
+                insertadosPorClave.set(clave, insercion);
+                diff.insertar.push(insercion);
+                return;
+            }
+
+            coincidentes.add(existente);
+            const cambios = [];
+            Object.keys(valores).forEach(function(columnName) {
+                // Las columnas clave ya coinciden: no se reescriben (suelen ser de solo lectura)
+                if (claves.includes(columnName)) {
+                    return;
                 }
-            }, delay);
+                const anterior = model.getValue(existente, columnName);
+                if (!valoresCeldaIguales(anterior, valores[columnName])) {
+                    cambios.push({ columna: columnName, anterior: anterior, nuevo: valores[columnName] });
+                }
+            });
+            if (cambios.length > 0) {
+                diff.actualizar.push({ indice: preparado.indice, id: model.getRecordId(existente), clave: clave, cambios: cambios });
+            } else {
+                diff.sinCambios++;
+            }
+        });
+
+        // Registros que se eliminarían: todos al limpiar, o los faltantes en merge con eliminarFaltantes
+        if (modoMerge) {
+            if (configuracion.eliminarFaltantes) {
+                indiceClaves.forEach(function(record) {
+                    if (!coincidentes.has(record)) {
+                        diff.eliminar.push({ id: model.getRecordId(record), valores: valoresRegistro(record) });
+                    }
+                });
+            }
+        } else if (configuracion.limpiarAntes !== false) {
+            model.forEach(function(record) {
+                const meta = model.getRecordMetadata(model.getRecordId(record)) || {};
+                if (record && !meta.deleted && !meta.agg) {
+                    diff.eliminar.push({ id: model.getRecordId(record), valores: valoresRegistro(record) });
+                }
+            });
         }
-        
-        return false;
-        
-    } catch (error) {
-        console.error('apexUtils.executeOnChange error:', error);
-        return false;
+
+        return diff;
     }
-};
 
-/**
- * Limpia todos los debounces activos
- */
-apexUtils.clearAllDebounces = function() {
-    try {
-        debounceTimers.forEach((timerId) => {
-            clearTimeout(timerId);
+    /**
+     * Resolver el registro después del cual insertar según la posición indicada
+     * @param {object} grid - Vista grid del Interactive Grid
+     * @param {string|object} posicion - 'inicio' | 'fin' | 'despuesSeleccionada' | { index } (1-basado)
+     * @returns {object|null} - Registro de referencia, o null para insertar al inicio
+     */
+    function resolverPosicionInsercion(grid, posicion) {
+        const model = grid.model;
+        const records = [];
+        model.forEach(function(record) {
+            const meta = model.getRecordMetadata(model.getRecordId(record)) || {};
+            if (!meta.agg) {
+                records.push(record);
+            }
         });
-        debounceTimers.clear();
-        console.log('apexUtils: Todos los debounces limpiados');
-    } catch (error) {
-        console.error('apexUtils.clearAllDebounces error:', error);
-    }
-};
+        const ultimo = records.length > 0 ? records[records.length - 1] : null;
 
-/**
- * Obtiene el valor numérico de un item de APEX, manejando automáticamente
- * el formato europeo (puntos como separadores de miles, coma como decimal)
- * @param {string} itemName - Nombre del item (ej: 'P1216_TOTAL_U')
- * @param {number} defaultValue - Valor por defecto si no se puede convertir (default: 0)
- * @returns {number} - Valor numérico convertido
- */
-apexUtils.getNumeric = function(itemName, defaultValue = 0) {
-    try {
-        let value = $v(itemName);
-        
-        // Si está vacío o es null/undefined
-        if (!value || value.trim() === '') {
-            return defaultValue;
+        if (posicion === 'inicio') {
+            return null;
         }
-        
-        // Convertir a string por si acaso
-        value = value.toString().trim();
-        
-        // Manejar formato europeo: 4.943.007,876
-        // Remover todos los puntos (separadores de miles) y reemplazar coma por punto
-        let cleanValue = value.replace(/\./g, '').replace(',', '.');
-        
-        let result = parseFloat(cleanValue);
-        
-        // Verificar si la conversión fue exitosa
-        if (isNaN(result)) {
-            console.warn(`apexUtils.getNumeric: No se pudo convertir '${value}' a número. Usando valor por defecto: ${defaultValue}`);
-            return defaultValue;
+        if (posicion === 'fin') {
+            return ultimo;
         }
-        
-        return result;
-        
-    } catch (error) {
-        console.error(`apexUtils.getNumeric: Error al obtener valor de '${itemName}':`, error);
-        return defaultValue;
+        if (posicion === 'despuesSeleccionada') {
+            const selectedRecords = grid.getSelectedRecords() || [];
+            if (selectedRecords.length === 0) {
+                console.warn('apexGridUtils: No hay fila seleccionada, se inserta al final');
+                return ultimo;
+            }
+            // Después de la última fila seleccionada (en el orden del modelo)
+            let referencia = null;
+            records.forEach(function(record) {
+                if (selectedRecords.indexOf(record) !== -1) {
+                    referencia = record;
+                }
+            });
+            return referencia || selectedRecords[selectedRecords.length - 1];
+        }
+        if (posicion && typeof posicion === 'object' && typeof posicion.index === 'number') {
+            // La fila insertada queda en la posición index (1 = primera fila)
+            if (posicion.index <= 1) {
+                return null;
+            }
+            return records[Math.min(posicion.index, records.length + 1) - 2] || ultimo;
+        }
+
+        throw new Error('posicion no válida: ' + JSON.stringify(posicion));
     }
-};
 
-/**
- * Versión abreviada de getNumeric para uso más rápido
- */
-apexUtils.get = function(itemName, defaultValue = 0) {
-    return apexUtils.getNumeric(itemName, defaultValue);
-};
+    /**
+     * Insertar una fila en el grid en una posición determinada
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {object} values - Valores de la fila { COLUMNA: valor } (acepta {v, d} para Popup LOV)
+     * @param {string|object} position - 'inicio' | 'fin' | 'despuesSeleccionada' | { index } (default: 'fin')
+     * @param {object} opciones - { popupLovColumns, lovDisplayMaps, formatosColumnas, refrescar (default: true) }
+     * @returns {string|null} - ID del registro insertado o null si hubo error
+     */
+    function insertRow(gridStaticId, values, position = 'fin', opciones = {}) {
+        try {
+            const grid = apex.region(gridStaticId).call("getViews").grid;
+            const model = grid.model;
+            const opcionesCelda = Object.assign({}, opciones, { metadatosColumnas: obtenerMetadatosColumnas(grid) });
 
-/**
- * Obtiene múltiples valores numéricos de una vez
- * @param {string[]} itemNames - Array de nombres de items
- * @param {number} defaultValue - Valor por defecto para todos
- * @returns {number[]} - Array de valores numéricos
- */
-apexUtils.getMultipleNumeric = function(itemNames, defaultValue = 0) {
-    return itemNames.map(itemName => apexUtils.getNumeric(itemName, defaultValue));
-};
+            const despuesDe = resolverPosicionInsercion(grid, position);
+            const newRecordId = model.insertNewRecord(null, despuesDe);
+            const newRecord = model.getRecord(newRecordId);
 
-// Ejemplo de uso:
-// let valor = apexUtils.get('P1216_TOTAL_U');
-// let [costo1, costo2] = apexUtils.getMultipleNumeric(['P1216_TOTAL_U', 'P1216_TOTAL_PROD']);
+            Object.keys(values || {}).forEach(function(clave) {
+                const columnName = clave.toUpperCase();
+                try {
+                    model.setValue(newRecord, columnName, prepararValorCelda(columnName, values[clave], opcionesCelda));
+                } catch (setValueError) {
+                    console.warn(`apexGridUtils: Error al setear campo ${columnName}:`, setValueError);
+                }
+            });
 
-/**
- * Configurar cálculo automático para multiplicación (CANTIDAD × COSTO = TOTAL)
- * Función helper específica para el caso más común
- * @param {string} gridStaticId - Static ID del Interactive Grid
- * @param {string} cantidadColumn - Nombre de la columna cantidad (default: 'CANTIDAD')
- * @param {string} costoColumn - Nombre de la columna costo (default: 'COSTO')
- * @param {string} totalColumn - Nombre de la columna total (default: 'TOTAL')
- * @param {number} decimalPlaces - Número de decimales (default: 3)
- * @returns {string} - ID de la configuración creada
- */
-function setupCantidadPorCosto(gridStaticId, cantidadColumn = 'CANTIDAD', costoColumn = 'COSTO', totalColumn = 'TOTAL', decimalPlaces = 3) {
-    try {
-        console.log(`apexGridUtils: Configurando cálculo automático ${cantidadColumn} × ${costoColumn} = ${totalColumn} para ${gridStaticId}`);
-        
-        const configId = setupAutoCalculation(gridStaticId, {
-            sourceColumns: [cantidadColumn, costoColumn],
-            targetColumn: totalColumn,
-            formula: function(values) {
-                const cantidad = values[cantidadColumn] || 0;
-                const costo = values[costoColumn] || 0;
-                const resultado = cantidad * costo;
-                
-                console.log(`apexGridUtils: Fórmula ejecutada: ${cantidad} × ${costo} = ${resultado}`);
-                return resultado;
-            },
-            decimalPlaces: decimalPlaces,
-            autoTrigger: true,
-            triggerOnLoad: true
-        });
-        
-        if (configId) {
-            console.log(`apexGridUtils: Cálculo automático configurado exitosamente con ID: ${configId}`);
-            
-            // Ejecutar cálculo inicial después de un pequeño delay
-            setTimeout(() => {
-                console.log(`apexGridUtils: Ejecutando cálculo inicial para ${configId}`);
-                refreshAutoCalculation(gridStaticId, totalColumn, 100);
-            }, 200);
-        } else {
-            console.error(`apexGridUtils: Error al configurar cálculo automático para ${gridStaticId}`);
+            if (opciones.refrescar !== false) {
+                grid.view$.trigger('refresh');
+            }
+
+            return newRecordId;
+
+        } catch (error) {
+            console.error('apexGridUtils insertRow error:', error);
+            return null;
         }
-        
-        return configId;
-        
-    } catch (error) {
-        console.error('apexGridUtils setupCantidadPorCosto error:', error);
-        return null;
     }
-}
 
-/**
- * Verificar y configurar cálculos automáticos si no existen
- * @param {string} gridStaticId - Static ID del Interactive Grid
- * @param {string} targetColumn - Columna a verificar (default: 'TOTAL')
- * @returns {boolean} - true si la configuración existe o se creó exitosamente
- */
-function ensureAutoCalculation(gridStaticId, targetColumn = 'TOTAL') {
-    try {
-        const config = getAutoCalculationConfig(gridStaticId, targetColumn);
-        
-        if (config) {
-            console.log(`apexGridUtils: Configuración existente encontrada para ${gridStaticId} -> ${targetColumn}`);
-            return true;
+    /**
+     * Mapear los campos de un registro de entrada a columnas del grid
+     * @param {object} registro - Registro de entrada
+     * @param {object} mapeo - Mapeo {campoDestino: campoOrigen}; sin mapeo se usan las claves en mayúsculas
+     * @returns {object} - Registro con nombres de columna del grid
+     */
+    function mapearCamposRegistro(registro, mapeo) {
+        const registroMapeado = {};
+
+        if (mapeo && typeof mapeo === 'object') {
+            // Usar mapeo personalizado
+            Object.keys(mapeo).forEach(function(clave) {
+                const campoOrigen = mapeo[clave];
+                if (registro.hasOwnProperty(campoOrigen)) {
+                    registroMapeado[clave.toUpperCase()] = registro[campoOrigen];
+                }
+            });
         } else {
-            console.log(`apexGridUtils: No se encontró configuración para ${gridStaticId} -> ${targetColumn}, configurando automáticamente...`);
-            
-            // Configurar automáticamente el cálculo más común
-            const configId = setupCantidadPorCosto(gridStaticId);
-            return configId !== null;
+            // Mapeo automático - convertir todas las claves a mayúsculas
+            Object.keys(registro).forEach(function(clave) {
+                registroMapeado[clave.toUpperCase()] = registro[clave];
+            });
         }
-        
-    } catch (error) {
-        console.error('apexGridUtils ensureAutoCalculation error:', error);
-        return false;
+
+        return registroMapeado;
     }
-}
 
-/**
- * Setear valor numérico con commit explícito para evitar sobrescritura
- * @param {string} gridStaticId - Static ID del Interactive Grid
- * @param {string} columnName - Nombre de la columna
- * @param {number} rowIndex - Índice de la fila (1 = primera fila, -1 = fila seleccionada)
- * @param {number} value - Valor a establecer
- * @param {number} decimalPlaces - Número de decimales para formatear (default: null = sin formatear)
- * @param {boolean} refresh - Si debe refrescar la vista (default: true)
- * @returns {boolean} - true si se estableció correctamente
- */
-function setNumericCellValueWithCommit(gridStaticId, columnName, rowIndex, value, decimalPlaces = null, refresh = true) {
-    try {
-        // Obtener el grid usando el método que funciona
-        const grid = apex.region(gridStaticId).call("getViews").grid;
-        
-        let targetRow = null;
+    /**
+     * Preparar los registros de entrada de una carga: transformación, filtro y mapeo
+     * @param {array} datos - Registros de entrada
+     * @param {object} configuracion - { transformacion, filtro, mapeo } igual que en setearDatosIG
+     * @returns {object} - { preparados: [{ indice, valores }], fallidos: [{ indice, error }] }
+     */
+    function prepararRegistrosEntrada(datos, configuracion) {
+        const preparados = [];
+        const fallidos = [];
+
+        datos.forEach(function(registro, indice) {
+            try {
+                // Aplicar transformación personalizada si existe
+                if (typeof configuracion.transformacion === 'function') {
+                    registro = configuracion.transformacion(registro, indice);
+                }
+
+                // Filtrar registro si existe condición
+                if (typeof configuracion.filtro === 'function' && !configuracion.filtro(registro, indice)) {
+                    return; // Saltar este registro
+                }
+
+                preparados.push({ indice: indice, valores: mapearCamposRegistro(registro, configuracion.mapeo) });
+
+            } catch (error) {
+                console.error('apexGridUtils: Error al procesar registro', indice, ':', error);
+                fallidos.push({ indice: indice, error: error.message });
+            }
+        });
+
+        return { preparados: preparados, fallidos: fallidos };
+    }
+
+    /**
+     * Setear datos en un Interactive Grid con configuración avanzada
+     * @param {object} configuracion - Configuración completa para setear datos
+     * @param {string} configuracion.regionId - ID de la región del Interactive Grid
+     * @param {array|object} configuracion.datos - Datos a insertar (opcional si se usa campoOrigen)
+     * @param {string} configuracion.campoOrigen - Campo de la página que contiene los datos JSON (opcional si se usa datos)
+     * @param {object} configuracion.mapeo - Mapeo personalizado de campos {campoDestino: campoOrigen}
+     * @param {function} configuracion.transformacion - Función para transformar cada registro antes de insertar
+     * @param {function} configuracion.filtro - Función para filtrar registros antes de insertar
+     * @param {boolean} configuracion.limpiarAntes - Si debe limpiar datos existentes (default: true)
+     * @param {string|object} configuracion.posicion - 'inicio' | 'fin' | 'despuesSeleccionada' | { index } para los registros nuevos
+     * @param {string} configuracion.modo - 'merge' para actualizar por claves en lugar de limpiar/insertar
+     * @param {array} configuracion.claves - Columnas clave para el modo merge
+     * @param {boolean} configuracion.eliminarFaltantes - En modo merge, eliminar registros que no vienen en los datos (default: false)
+     * @param {object} configuracion.formatosColumnas - Formato por columna { COLUMNA: { tipo, decimales, mascara } } (default: el del modelo)
+     * @param {function} configuracion.lovResolver - Función (columna, valores) => Promise con displays de Popup LOV; setearDatosIG retorna una Promise
+     * @param {boolean} configuracion.validar - Validar los registros contra los metadatos de las columnas antes de insertar (default: false)
+     * @param {string} configuracion.siInvalido - 'omitir' (default) para saltar filas inválidas o 'abortar' para no insertar nada
+     * @param {boolean} configuracion.asincrono - Procesar por lotes entre frames y retornar una Promise (default: false)
+     * @param {number} configuracion.tamanoLote - Registros por lote en modo asíncrono (default: 200)
+     * @param {function} configuracion.onProgreso - Callback({ procesados, errores, total, porcentaje }) tras cada lote
+     * @param {boolean} configuracion.simular - No modificar el modelo; retornar el diff de lo que se insertaría, actualizaría y eliminaría (default: false)
+     * @param {boolean} configuracion.transaccional - Todo o nada: si falla algún registro se restaura el modelo (default: false)
+     * @param {boolean} configuracion.refrescar - Si debe refrescar la grilla (default: true)
+     * @param {boolean} configuracion.modoEdicion - Si debe habilitar modo edición (default: true)
+     * @param {function} configuracion.callback - Función a ejecutar después de setear datos
+     * @returns {object|Promise<object>} - Objeto con resultado de la operación (Promise en modo asíncrono)
+     */
+    function setearDatosIG(configuracion) {
+        console.log('apexGridUtils: Seteando datos en IG:', configuracion.regionId);
         
-        // Si rowIndex es -1, usar la fila seleccionada
-        if (rowIndex === -1) {
-            const array = grid.getSelectedRecords();
-            if (array && array.length > 0) {
-                targetRow = array[0][1];
+        try {
+            // Validar parámetros obligatorios
+            if (!configuracion.regionId) {
+                throw new Error('regionId es obligatorio');
+            }
+            
+            // Obtener el Interactive Grid usando el método que funciona
+            const grid = apex.region(configuracion.regionId).call("getViews").grid;
+            const model = grid.model;
+            
+            // Habilitar modo edición si se especifica (por defecto true)
+            if (configuracion.modoEdicion !== false && !configuracion.simular) {
+                try {
+                    // Habilitar edición en el modelo
+                    model.setOption("editable", true);
+                    // Activar modo edición en la grilla
+                    grid.setEditMode(true);
+                    console.log('apexGridUtils: Modo edición habilitado para:', configuracion.regionId);
+                } catch (editError) {
+                    console.warn('apexGridUtils: No se pudo habilitar modo edición:', editError);
+                }
+            }
+            
+            // Obtener datos de origen
+            var datos = [];
+            
+            if (configuracion.datos) {
+                // Datos pasados directamente
+                datos = Array.isArray(configuracion.datos) ? configuracion.datos : [configuracion.datos];
+            } else if (configuracion.campoOrigen) {
+                // Datos desde un campo de la página usando $v() como en tu ejemplo
+                var valorCampo = $v(configuracion.campoOrigen);
+                if (valorCampo) {
+                    try {
+                        datos = JSON.parse(valorCampo);
+                        console.log(`apexGridUtils: Datos obtenidos del item ${configuracion.campoOrigen}:`, datos);
+                    } catch (e) {
+                        throw new Error('Error al parsear JSON del campo: ' + configuracion.campoOrigen);
+                    }
+                }
             } else {
-                console.warn(`apexGridUtils: No hay fila seleccionada en ${gridStaticId}`);
-                return false;
+                throw new Error('Debe especificar datos o campoOrigen');
             }
-        } else {
-            // Convertir rowIndex a índice interno (rowIndex - 1)
-            const internalIndex = rowIndex - 1;
             
-            // Obtener todas las filas del modelo, no solo las seleccionadas
-            const allRecords = [];
-            grid.model.forEach(function(record) {
-                allRecords.push(record);
+            // Validar que datos sea un array
+            if (!Array.isArray(datos)) {
+                datos = [datos];
+            }
+            
+            // Función auxiliar para normalizar nombres de campos
+            function normalizarCampo(campo) {
+                return campo.toUpperCase();
+            }
+            
+            // Contador de registros procesados
+            var registrosProcesados = 0;
+            var registrosConErrores = 0;
+            var registrosInsertados = 0;
+            var registrosActualizados = 0;
+            var registrosEliminados = 0;
+            
+            // Registros que fallaron y por qué ({ indice, error })
+            var registrosFallidos = [];
+            var modoTransaccional = configuracion.transaccional === true;
+            var retornaPromise = configuracion.asincrono || typeof configuracion.lovResolver === 'function';
+            
+            // Resultado de una carga abortada antes de tocar el modelo
+            function resultadoAbortado(mensaje, extra) {
+                var resultado = Object.assign({
+                    success: false,
+                    error: mensaje,
+                    procesados: 0,
+                    errores: registrosConErrores,
+                    total: datos.length,
+                    fallidos: registrosFallidos
+                }, extra);
+                return retornaPromise ? Promise.resolve(resultado) : resultado;
+            }
+            
+            // Preparar los registros de entrada (transformación, filtro y mapeo) antes de tocar el modelo
+            var preparacion = prepararRegistrosEntrada(datos, configuracion);
+            var registrosPreparados = preparacion.preparados;
+            preparacion.fallidos.forEach(function(fallido) {
+                registrosFallidos.push(fallido);
             });
+            registrosConErrores += preparacion.fallidos.length;
             
-            if (allRecords.length > internalIndex && internalIndex >= 0) {
-                targetRow = allRecords[internalIndex];
-            } else {
-                console.warn(`apexGridUtils: Fila ${rowIndex} fuera de rango en ${gridStaticId} (total filas: ${allRecords.length})`);
-                return false;
+            // En modo transaccional un error de preparación cancela la carga completa
+            if (modoTransaccional && registrosFallidos.length > 0) {
+                return resultadoAbortado('No se pudieron preparar ' + registrosFallidos.length + ' registro(s), no se modificó el grid');
             }
-        }
-        
-        if (targetRow) {
-            // Formatear valor si es necesario
-            let finalValue = value;
             
-            // Validar decimalPlaces antes de usar toFixed()
-            if (decimalPlaces !== null && typeof value === 'number') {
-                // Asegurar que decimalPlaces esté en el rango válido (0-100)
-                let validDecimalPlaces = decimalPlaces;
-                
-                if (typeof validDecimalPlaces !== 'number' || isNaN(validDecimalPlaces)) {
-                    validDecimalPlaces = 2; // Valor por defecto
-                } else if (validDecimalPlaces < 0) {
-                    validDecimalPlaces = 0; // Mínimo 0
-                } else if (validDecimalPlaces > 100) {
-                    validDecimalPlaces = 100; // Máximo 100
+            // Validar contra los metadatos de las columnas del grid antes de insertar
+            var erroresValidacion = [];
+            if (configuracion.validar) {
+                erroresValidacion = validarRegistrosContraGrid(grid, registrosPreparados, configuracion.modo === 'merge',
+                    (configuracion.claves || []).map(normalizarCampo));
+                
+                if (erroresValidacion.length > 0) {
+                    console.warn('apexGridUtils: Errores de validación:', erroresValidacion);
+                    
+                    // Agrupar los mensajes por fila para el reporte de fallidos
+                    var mensajesPorIndice = new Map();
+                    erroresValidacion.forEach(function(errorValidacion) {
+                        if (!mensajesPorIndice.has(errorValidacion.indice)) {
+                            mensajesPorIndice.set(errorValidacion.indice, []);
+                        }
+                        mensajesPorIndice.get(errorValidacion.indice).push(errorValidacion.mensaje);
+                    });
+                    mensajesPorIndice.forEach(function(mensajes, indice) {
+                        registrosFallidos.push({ indice: indice, error: mensajes.join('; ') });
+                    });
+                    
+                    // En modo transaccional cualquier fila inválida aborta la carga
+                    if (configuracion.siInvalido === 'abortar' || modoTransaccional) {
+                        return resultadoAbortado('Los datos no son válidos para el grid (' + erroresValidacion.length + ' error(es))', {
+                            erroresValidacion: erroresValidacion
+                        });
+                    }
+                    
+                    // Omitir las filas inválidas y continuar con el resto
+                    registrosPreparados = registrosPreparados.filter(p => !mensajesPorIndice.has(p.indice));
+                    registrosConErrores += mensajesPorIndice.size;
+                }
+            }
+            
+            // Opciones para preparar cada celda (lovDisplayMaps puede completarse con lovResolver)
+            // Los metadatos de las columnas definen cómo se serializan números y fechas
+            var opcionesCelda = Object.assign({}, configuracion, { metadatosColumnas: obtenerMetadatosColumnas(grid) });
+            
+            // Aplicar los registros preparados al modelo (merge o limpiar + insertar)
+            function aplicarRegistros() {
+                // Simulación: calcular el diff sin tocar el modelo
+                if (configuracion.simular) {
+                    var diff = simularCargaGrid(model, registrosPreparados, configuracion, opcionesCelda);
+                    diff.fallidos.forEach(function(fallido) {
+                        registrosFallidos.push(fallido);
+                    });
+                    registrosConErrores += diff.fallidos.length;
+                    
+                    var resultadoSimulacion = {
+                        success: true,
+                        simulado: true,
+                        procesados: 0,
+                        errores: registrosConErrores,
+                        total: datos.length,
+                        insertados: diff.insertar.length,
+                        actualizados: diff.actualizar.length,
+                        eliminados: diff.eliminar.length,
+                        sinCambios: diff.sinCambios,
+                        diff: {
+                            columnas: diff.columnas,
+                            insertar: diff.insertar,
+                            actualizar: diff.actualizar,
+                            eliminar: diff.eliminar
+                        },
+                        erroresValidacion: erroresValidacion,
+                        fallidos: registrosFallidos
+                    };
+                    console.log(`apexGridUtils: Simulación - insertar: ${resultadoSimulacion.insertados}, actualizar: ${resultadoSimulacion.actualizados}, eliminar: ${resultadoSimulacion.eliminados}`);
+                    return configuracion.asincrono ? Promise.resolve(resultadoSimulacion) : resultadoSimulacion;
+                }
+                
+                // Modo merge: actualizar por claves en lugar de limpiar e insertar todo
+                var modoMerge = configuracion.modo === 'merge';
+                var indiceClaves = null;
+                var clavesNumericas = [];
+                var registrosCoincidentes = new Set();
+                
+                // Modo transaccional: snapshot antes de limpiar o bitácora de cambios para deshacerlos
+                var snapshot = null;
+                var bitacora = modoTransaccional ? { insertados: new Set(), limpios: new Set(), celdas: [] } : null;
+            
+                if (modoMerge) {
+                    if (!Array.isArray(configuracion.claves) || configuracion.claves.length === 0) {
+                        throw new Error('claves es obligatorio en modo merge');
+                    }
+                    clavesNumericas = columnasClaveNumericas(configuracion.claves.map(normalizarCampo), registrosPreparados, opcionesCelda.metadatosColumnas);
+                    indiceClaves = indexarRegistrosPorClaves(model, configuracion.claves.map(normalizarCampo), clavesNumericas);
+                } else if (configuracion.limpiarAntes !== false) {
+                    if (modoTransaccional) {
+                        // Sin setData no se podría restaurar sin reinsertar las filas como nuevas (duplicados)
+                        if (typeof model.setData !== 'function') {
+                            throw new Error('El modo transaccional con limpiarAntes requiere model.setData');
+                        }
+                        snapshot = tomarSnapshotModelo(model);
+                    }
+                    // Limpiar datos existentes si se especifica
+                    model.clearData();
+                }
+                
+                // Posición de inserción de los registros nuevos (sin posicion se usa la del modelo)
+                var posicionInsercion = configuracion.posicion
+                    ? { despuesDe: resolverPosicionInsercion(grid, configuracion.posicion) }
+                    : null;
+            
+                // Insertar o actualizar (merge) un registro ya preparado
+                function procesarRegistro(preparado) {
+                    var indice = preparado.indice;
+                    var registroMapeado = preparado.valores;
+                
+                    try {
+                        // En modo merge buscar el registro existente con la misma clave
+                        var claveRegistro = null;
+                        var registroExistente = null;
+                        if (modoMerge) {
+                            claveRegistro = construirClaveRegistro(configuracion.claves.map(normalizarCampo), function(columnName) {
+                                return registroMapeado[columnName];
+                            }, clavesNumericas);
+                            if (claveRegistro === null) {
+                                throw new Error('El registro no tiene valor para las claves: ' + configuracion.claves.join(', '));
+                            }
+                            registroExistente = indiceClaves.get(claveRegistro) || null;
+                        }
+                    
+                        if (registroExistente) {
+                            // Recordar si el registro no tenía cambios previos (para revertirlo completo)
+                            if (bitacora && !bitacora.insertados.has(registroExistente)) {
+                                const meta = model.getRecordMetadata(model.getRecordId(registroExistente));
+                                if (!meta || (!meta.updated && !meta.inserted)) {
+                                    bitacora.limpios.add(registroExistente);
+                                }
+                            }
+                            
+                            // Actualizar en el lugar solo las columnas que cambian (las claves ya coinciden)
+                            var columnasClave = configuracion.claves.map(normalizarCampo);
+                            Object.keys(registroMapeado).forEach(columnName => {
+                                if (columnasClave.includes(columnName)) {
+                                    return;
+                                }
+                                try {
+                                    const finalValue = prepararValorCelda(columnName, registroMapeado[columnName], opcionesCelda);
+                                    const valorAnterior = model.getValue(registroExistente, columnName);
+                                    if (!valoresCeldaIguales(valorAnterior, finalValue)) {
+                                        model.setValue(registroExistente, columnName, finalValue);
+                                        if (bitacora && !bitacora.insertados.has(registroExistente)) {
+                                            bitacora.celdas.push({ record: registroExistente, columna: columnName, anterior: valorAnterior });
+                                        }
+                                    }
+                                } catch (setValueError) {
+                                    console.warn(`apexGridUtils: Error al setear campo ${columnName}:`, setValueError);
+                                    // En modo transaccional la fila completa se considera fallida
+                                    if (modoTransaccional) {
+                                        throw setValueError;
+                                    }
+                                }
+                            });
+                            registrosCoincidentes.add(registroExistente);
+                            registrosActualizados++;
+                            registrosProcesados++;
+                            return;
+                        }
+                    
+                        // Insertar registro usando el patrón que funciona
+                        try {
+                            // Crear nuevo registro vacío (en la posición indicada, manteniendo el orden de entrada)
+                            const newRecordId = posicionInsercion
+                                ? model.insertNewRecord(null, posicionInsercion.despuesDe)
+                                : model.insertNewRecord();
+                            const newRecord = model.getRecord(newRecordId);
+                            if (posicionInsercion) {
+                                posicionInsercion.despuesDe = newRecord;
+                            }
+                            if (bitacora) {
+                                bitacora.insertados.add(newRecord);
+                            }
+                        
+                            // Setear cada campo usando setValue (soporte para Popup LOV)
+                            Object.keys(registroMapeado).forEach(columnName => {
+                                try {
+                                    const finalValue = prepararValorCelda(columnName, registroMapeado[columnName], opcionesCelda);
+
+                                    model.setValue(newRecord, columnName, finalValue);
+                                } catch (setValueError) {
+                                    console.warn(`apexGridUtils: Error al setear campo ${columnName}:`, setValueError);
+                                    // En modo transaccional la fila completa se considera fallida
+                                    if (modoTransaccional) {
+                                        throw setValueError;
+                                    }
+                                }
+                            });
+                        
+                            // Claves repetidas en la entrada actualizan el registro recién insertado
+                            if (modoMerge) {
+                                indiceClaves.set(claveRegistro, newRecord);
+                                registrosCoincidentes.add(newRecord);
+                            }
+                            registrosInsertados++;
+                        
+                        } catch (insertError) {
+                            console.error(`apexGridUtils: Error al insertar registro:`, insertError);
+                            throw insertError;
+                        }
+                    
+                        registrosProcesados++;
+                    
+                    } catch (error) {
+                        console.error('apexGridUtils: Error al procesar registro', indice, ':', error);
+                        registrosConErrores++;
+                        registrosFallidos.push({ indice: indice, error: error.message });
+                    }
+                }
+            
+                // Modo asíncrono: procesar por lotes entre frames para no bloquear el navegador
+                if (configuracion.asincrono) {
+                    return procesarPorLotes(registrosPreparados, procesarRegistro, configuracion.tamanoLote || 200, function(avance) {
+                        if (typeof configuracion.onProgreso === 'function') {
+                            configuracion.onProgreso({
+                                procesados: registrosProcesados,
+                                errores: registrosConErrores,
+                                total: datos.length,
+                                porcentaje: registrosPreparados.length > 0 ? Math.round(avance * 100 / registrosPreparados.length) : 100
+                            });
+                        }
+                    }).then(finalizar).catch(function(error) {
+                        console.error('apexGridUtils: Error al setear datos en IG:', error);
+                        return {
+                            success: false,
+                            error: error.message,
+                            procesados: registrosProcesados,
+                            errores: registrosConErrores,
+                            total: datos.length,
+                            fallidos: registrosFallidos
+                        };
+                    });
+                }
+            
+                // Insertar cada registro usando el método que funciona
+                registrosPreparados.forEach(procesarRegistro);
+                return finalizar();
+            
+                // Cierre común: eliminar faltantes (merge), refrescar una sola vez y armar el resultado
+                function finalizar() {
+                    // Modo transaccional: si algún registro falló, dejar el modelo como estaba
+                    if (modoTransaccional && registrosConErrores > 0) {
+                        if (snapshot) {
+                            restaurarSnapshotModelo(model, snapshot);
+                        } else {
+                            revertirCambiosCarga(model, bitacora);
+                        }
+                        console.warn('apexGridUtils: Carga revertida, registros fallidos:', registrosFallidos);
+                        
+                        if (configuracion.refrescar !== false) {
+                            try {
+                                grid.view$.trigger('refresh');
+                            } catch (refreshError) {
+                                console.warn('apexGridUtils: No se pudo refrescar la grilla:', refreshError);
+                            }
+                        }
+                        
+                        return {
+                            success: false,
+                            error: registrosConErrores + ' registro(s) fallaron, se revirtieron los cambios',
+                            procesados: 0,
+                            errores: registrosConErrores,
+                            total: datos.length,
+                            fallidos: registrosFallidos,
+                            revertido: true
+                        };
+                    }
+                    
+                    // Eliminar los registros existentes que no vinieron en la entrada
+                    if (modoMerge && configuracion.eliminarFaltantes) {
+                        var registrosFaltantes = [];
+                        indiceClaves.forEach(function(record) {
+                            if (!registrosCoincidentes.has(record)) {
+                                registrosFaltantes.push(record);
+                            }
+                        });
+                        if (registrosFaltantes.length > 0) {
+                            model.deleteRecords(registrosFaltantes);
+                            registrosEliminados = registrosFaltantes.length;
+                        }
+                    }
+            
+                    console.log('apexGridUtils: Registros procesados:', registrosProcesados);
+                    if (modoMerge) {
+                        console.log(`apexGridUtils: Merge - insertados: ${registrosInsertados}, actualizados: ${registrosActualizados}, eliminados: ${registrosEliminados}`);
+                    }
+                    if (registrosConErrores > 0) {
+                        console.warn('apexGridUtils: Registros con errores:', registrosConErrores);
+                    }
+            
+                    // Refrescar la grilla si se especifica (por defecto true)
+                    if (configuracion.refrescar !== false) {
+                        try {
+                            // Usar el método que funciona para refrescar
+                            grid.view$.trigger('refresh');
+                            console.log('apexGridUtils: Grilla refrescada correctamente');
+                        } catch (refreshError) {
+                            console.warn('apexGridUtils: No se pudo refrescar la grilla:', refreshError);
+                            // Intentar refresh de la región completa como alternativa
+                            try {
+                                apex.region(configuracion.regionId).refresh();
+                            } catch (regionRefreshError) {
+                                console.warn('apexGridUtils: No se pudo refrescar la región:', regionRefreshError);
+                            }
+                        }
+                    }
+            
+                    // Ejecutar callback si existe
+                    if (configuracion.callback && typeof configuracion.callback === 'function') {
+                        configuracion.callback({
+                            procesados: registrosProcesados,
+                            errores: registrosConErrores,
+                            total: datos.length,
+                            insertados: registrosInsertados,
+                            actualizados: registrosActualizados,
+                            eliminados: registrosEliminados
+                        });
+                    }
+            
+                    return {
+                        success: true,
+                        procesados: registrosProcesados,
+                        errores: registrosConErrores,
+                        total: datos.length,
+                        insertados: registrosInsertados,
+                        actualizados: registrosActualizados,
+                        eliminados: registrosEliminados,
+                        erroresValidacion: erroresValidacion,
+                        fallidos: registrosFallidos
+                    };
                 }
+            }
+            
+            // Resolver los displays de Popup LOV antes de mostrar las filas (retorna una Promise)
+            if (typeof configuracion.lovResolver === 'function') {
+                var valoresPorColumna = recolectarValoresLov(registrosPreparados.map(p => p.valores), configuracion.popupLovColumns, configuracion.lovDisplayMaps);
                 
-                finalValue = parseFloat(value.toFixed(validDecimalPlaces));
+                return resolverDisplaysLov(configuracion.regionId, valoresPorColumna, configuracion.lovResolver).then(function(mapasResueltos) {
+                    opcionesCelda = Object.assign({}, opcionesCelda, {
+                        lovDisplayMaps: combinarMapasDisplay(configuracion.lovDisplayMaps, mapasResueltos)
+                    });
+                    return aplicarRegistros();
+                }).catch(function(error) {
+                    console.error('apexGridUtils: Error al setear datos en IG:', error);
+                    return {
+                        success: false,
+                        error: error.message,
+                        procesados: 0,
+                        errores: registrosConErrores,
+                        total: datos.length,
+                        fallidos: registrosFallidos
+                    };
+                });
             }
             
-            // Establecer el valor en el modelo
-            grid.model.setValue(targetRow, columnName, finalValue);
+            return aplicarRegistros();
             
-            // Forzar la actualización del modelo para confirmar el cambio
-            try {
-                // Usar el método correcto para Interactive Grids de APEX
-                if (grid.model && grid.model.markDirty) {
-                    grid.model.markDirty(targetRow);
+        } catch (error) {
+            console.error('apexGridUtils: Error al setear datos en IG:', error);
+            var resultadoError = {
+                success: false,
+                error: error.message,
+                procesados: 0,
+                errores: 0,
+                total: 0
+            };
+            return (configuracion.asincrono || typeof configuracion.lovResolver === 'function')
+                ? Promise.resolve(resultadoError)
+                : resultadoError;
+        }
+    }
+
+    /**
+     * Setear datos directamente en un Interactive Grid
+     * @param {string} regionId - ID de la región del Interactive Grid
+     * @param {array|object} datos - Datos a insertar
+     * @param {boolean} limpiar - Si debe limpiar datos existentes (default: true)
+     * @param {boolean} refrescar - Si debe refrescar la grilla (default: true)
+     * @param {boolean} modoEdicion - Si debe habilitar modo edición (default: true)
+     * @returns {object} - Objeto con resultado de la operación
+     */
+    function setearDatosDirectos(regionId, datos, limpiar = true, refrescar = true, modoEdicion = true) {
+        return setearDatosIG({
+            regionId: regionId,
+            datos: datos,
+            limpiarAntes: limpiar,
+            refrescar: refrescar,
+            modoEdicion: modoEdicion
+        });
+    }
+
+    /**
+     * Setear datos desde un campo de la página en un Interactive Grid
+     * @param {string} regionId - ID de la región del Interactive Grid
+     * @param {string} campoOrigen - Campo de la página que contiene los datos JSON
+     * @param {boolean} limpiar - Si debe limpiar datos existentes (default: true)
+     * @param {boolean} refrescar - Si debe refrescar la grilla (default: true)
+     * @param {boolean} modoEdicion - Si debe habilitar modo edición (default: true)
+     * @returns {object} - Objeto con resultado de la operación
+     */
+    function setearDatos(regionId, campoOrigen, limpiar = true, refrescar = true, modoEdicion = true) {
+        return setearDatosIG({
+            regionId: regionId,
+            campoOrigen: campoOrigen,
+            limpiarAntes: limpiar,
+            refrescar: refrescar,
+            modoEdicion: modoEdicion
+        });
+    }
+
+    /**
+     * Mostrar en un diálogo APEX el diff de una simulación de setearDatosIG para confirmarlo
+     * @param {object} simulacion - Resultado de setearDatosIG con simular: true
+     * @param {object} opciones - Opciones del diálogo
+     * @param {string} opciones.titulo - Título del diálogo (default: 'Confirmar carga de datos')
+     * @param {string} opciones.textoConfirmar - Texto del botón de confirmación (default: 'Confirmar')
+     * @param {string} opciones.textoCancelar - Texto del botón de cancelar (default: 'Cancelar')
+     * @param {number} opciones.maxFilas - Filas mostradas por sección (default: 50)
+     * @param {object} opciones.etiquetas - Encabezados por columna { COLUMNA: 'Etiqueta' }
+     * @returns {Promise<boolean>} - true si el usuario confirmó
+     */
+    function mostrarDiffCarga(simulacion, opciones = {}) {
+        // Sin simulación válida no hay nada que confirmar
+        if (!simulacion || simulacion.success === false) {
+            console.error('apexGridUtils: mostrarDiffCarga requiere el resultado de una simulación correcta:',
+                simulacion && simulacion.error ? simulacion.error : simulacion);
+            return Promise.resolve(false);
+        }
+        const diff = simulacion.diff || { columnas: [], insertar: [], actualizar: [], eliminar: [] };
+        const maxFilas = opciones.maxFilas || 50;
+        const etiquetas = opciones.etiquetas || {};
+        const escapar = function(valor) {
+            if (valor !== null && typeof valor === 'object' && !(valor instanceof Date)) {
+                valor = valor.d != null ? valor.d : valor.v;
+            }
+            const texto = valor === null || valor === undefined ? '' : String(valor);
+            return (apex.util && apex.util.escapeHTML)
+                ? apex.util.escapeHTML(texto)
+                : texto.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        };
+        const etiqueta = columnName => escapar(etiquetas[columnName] || columnName);
+
+        // Tabla HTML de una sección del diff (con límite de filas)
+        const tabla = function(titulo, filas, encabezados, celdas) {
+            if (filas.length === 0) {
+                return '';
+            }
+            let html = '<h3>' + escapar(titulo) + ' (' + filas.length + ')</h3>' +
+                '<table class="t-Report-report" style="width:100%"><thead><tr>' +
+                encabezados.map(e => '<th class="t-Report-colHead">' + e + '</th>').join('') +
+                '</tr></thead><tbody>';
+            filas.slice(0, maxFilas).forEach(function(fila) {
+                html += '<tr>' + celdas(fila).map(c => '<td class="t-Report-cell">' + c + '</td>').join('') + '</tr>';
+            });
+            html += '</tbody></table>';
+            if (filas.length > maxFilas) {
+                html += '<p>... ' + (filas.length - maxFilas) + ' fila(s) más</p>';
+            }
+            return html;
+        };
+
+        const resumen = (simulacion.insertados || 0) + ' a insertar, ' + (simulacion.actualizados || 0) + ' a actualizar, ' +
+            (simulacion.eliminados || 0) + ' a eliminar' + (simulacion.errores ? ', ' + simulacion.errores + ' con errores' : '');
+
+        const contenido = '<p><strong>' + escapar(resumen) + '</strong></p>' +
+            tabla('Insertar', diff.insertar, diff.columnas.map(etiqueta), function(fila) {
+                return diff.columnas.map(c => escapar(fila.valores[c]));
+            }) +
+            tabla('Actualizar', diff.actualizar.reduce(function(lista, fila) {
+                return lista.concat(fila.cambios.map(cambio => Object.assign({ id: fila.id }, cambio)));
+            }, []), ['Registro', 'Columna', 'Anterior', 'Nuevo'], function(cambio) {
+                return [escapar(cambio.id), etiqueta(cambio.columna), escapar(cambio.anterior), '<strong>' + escapar(cambio.nuevo) + '</strong>'];
+            }) +
+            tabla('Eliminar', diff.eliminar, diff.columnas.map(etiqueta), function(fila) {
+                return diff.columnas.map(c => escapar(fila.valores[c]));
+            });
+
+        return new Promise(function(resolve) {
+            // Sin jQuery UI dialog: confirmar solo con el resumen
+            if (!$.fn || typeof $.fn.dialog !== 'function') {
+                if (apex.message && typeof apex.message.confirm === 'function') {
+                    apex.message.confirm(resumen + '. ¿Continuar?', ok => resolve(!!ok));
+                } else {
+                    resolve(window.confirm(resumen + '. ¿Continuar?'));
                 }
-                
-                // Alternativa: forzar actualización del registro
-                if (grid.model && grid.model.updateRecord) {
-                    grid.model.updateRecord(targetRow);
+                return;
+            }
+
+            let confirmado = false;
+            $('<div class="apexGridUtils-diffCarga"></div>').html(contenido).dialog({
+                title: opciones.titulo || 'Confirmar carga de datos',
+                modal: true,
+                width: Math.min(900, $(window).width() - 40),
+                maxHeight: $(window).height() - 80,
+                buttons: [
+                    {
+                        text: opciones.textoCancelar || 'Cancelar',
+                        click: function() { $(this).dialog('close'); }
+                    },
+                    {
+                        text: opciones.textoConfirmar || 'Confirmar',
+                        class: 'ui-button--hot',
+                        click: function() {
+                            confirmado = true;
+                            $(this).dialog('close');
+                        }
+                    }
+                ],
+                close: function() {
+                    $(this).dialog('destroy').remove();
+                    resolve(confirmado);
                 }
-            } catch (commitError) {
-                console.warn('apexGridUtils: No se pudo confirmar el cambio del modelo:', commitError);
-            }
-            
-            // Refrescar la vista si está habilitado
-            if (refresh) {
-                try {
-                    // Método correcto para Interactive Grids de APEX
-                    grid.view$.trigger('refresh');
-                    //console.log(`apexGridUtils: Vista refrescada usando grid.view$.trigger('refresh')`);
-                } catch (e) {
-                    console.warn('apexGridUtils: No se pudo refrescar la vista:', e);
+            });
+        });
+    }
+
+    /**
+     * Simular una carga, mostrar el diff en un diálogo y aplicarla solo si el usuario confirma
+     * @param {object} configuracion - Configuración de setearDatosIG
+     * @param {object} opcionesDialogo - Opciones de mostrarDiffCarga
+     * @returns {Promise<object>} - Resultado de setearDatosIG, o { success: false, cancelado: true }
+     */
+    function setearDatosConConfirmacion(configuracion, opcionesDialogo = {}) {
+        return Promise.resolve(setearDatosIG(Object.assign({}, configuracion, { simular: true }))).then(function(simulacion) {
+            if (!simulacion.success) {
+                return simulacion;
+            }
+            return mostrarDiffCarga(simulacion, opcionesDialogo).then(function(confirmado) {
+                if (!confirmado) {
+                    return { success: false, cancelado: true, procesados: 0, errores: 0, total: simulacion.total };
+                }
+                return setearDatosIG(Object.assign({}, configuracion, { simular: false }));
+            });
+        });
+    }
+
+    /**
+     * Parsear texto delimitado (TSV de Excel / CSV) respetando comillas y saltos de línea dentro de celdas
+     * @param {string} texto - Texto a parsear
+     * @param {string} delimitador - Separador de columnas (default: tabulador)
+     * @param {string} comillas - Carácter de comillas (default: ")
+     * @returns {array} - Array de filas, cada una un array de celdas (string)
+     */
+    function parsearTextoDelimitado(texto, delimitador = '\t', comillas = '"') {
+        const filas = [];
+        let fila = [];
+        let celda = '';
+        let entreComillas = false;
+        let i = 0;
+
+        texto = String(texto || '').replace(/^\uFEFF/, '');
+
+        while (i < texto.length) {
+            const c = texto.charAt(i);
+
+            if (entreComillas) {
+                if (c === comillas) {
+                    if (texto.charAt(i + 1) === comillas) {
+                        // Comilla escapada ("")
+                        celda += comillas;
+                        i++;
+                    } else {
+                        entreComillas = false;
+                    }
+                } else {
+                    celda += c;
+                }
+            } else if (c === comillas && celda === '') {
+                entreComillas = true;
+            } else if (c === delimitador) {
+                fila.push(celda);
+                celda = '';
+            } else if (c === '\r' || c === '\n') {
+                if (c === '\r' && texto.charAt(i + 1) === '\n') {
+                    i++;
                 }
+                fila.push(celda);
+                filas.push(fila);
+                fila = [];
+                celda = '';
+            } else {
+                celda += c;
             }
-            
-            //console.log(`apexGridUtils: Valor ${finalValue} establecido en ${columnName}, fila ${rowIndex === -1 ? 'seleccionada' : rowIndex} con commit`);
-            return true;
+            i++;
         }
-        
-        return false;
-        
-    } catch (error) {
-        console.error('apexGridUtils setNumericCellValueWithCommit error:', error);
-        return false;
-    }
-}
 
-/**
- * Setear valor numérico con commit en la fila seleccionada
- * @param {string} gridStaticId - Static ID del Interactive Grid
- * @param {string} columnName - Nombre de la columna
- * @param {number} value - Valor a establecer
- * @param {number} decimalPlaces - Número de decimales para formatear (default: null = sin formatear)
- * @param {boolean} refresh - Si debe refrescar la vista (default: true)
- * @returns {boolean} - true si se estableció correctamente
- */
-function setSelectedNumericCellValueWithCommit(gridStaticId, columnName, value, decimalPlaces = null, refresh = true) {
-    return setNumericCellValueWithCommit(gridStaticId, columnName, -1, value, decimalPlaces, refresh);
-}
+        // Última fila (sin salto de línea final)
+        if (celda !== '' || fila.length > 0) {
+            fila.push(celda);
+            filas.push(fila);
+        }
 
-/**
- * Setear valor numérico con commit en la primera fila
- * @param {string} gridStaticId - Static ID del Interactive Grid
- * @param {string} columnName - Nombre de la columna
- * @param {number} value - Valor a establecer
- * @param {number} decimalPlaces - Número de decimales para formatear (default: null = sin formatear)
- * @param {boolean} refresh - Si debe refrescar la vista (default: true)
- * @returns {boolean} - true si se estableció correctamente
- */
-function setFirstNumericCellValueWithCommit(gridStaticId, columnName, value, decimalPlaces = null, refresh = true) {
-    return setNumericCellValueWithCommit(gridStaticId, columnName, 1, value, decimalPlaces, refresh);
-}
+        return filas;
+    }
 
     /**
-     * Setear datos en un Interactive Grid con configuración avanzada
-     * @param {object} configuracion - Configuración completa para setear datos
-     * @param {string} configuracion.regionId - ID de la región del Interactive Grid
-     * @param {array|object} configuracion.datos - Datos a insertar (opcional si se usa campoOrigen)
-     * @param {string} configuracion.campoOrigen - Campo de la página que contiene los datos JSON (opcional si se usa datos)
-     * @param {object} configuracion.mapeo - Mapeo personalizado de campos {campoDestino: campoOrigen}
-     * @param {function} configuracion.transformacion - Función para transformar cada registro antes de insertar
-     * @param {function} configuracion.filtro - Función para filtrar registros antes de insertar
-     * @param {boolean} configuracion.limpiarAntes - Si debe limpiar datos existentes (default: true)
-     * @param {boolean} configuracion.refrescar - Si debe refrescar la grilla (default: true)
-     * @param {boolean} configuracion.modoEdicion - Si debe habilitar modo edición (default: true)
-     * @param {function} configuracion.callback - Función a ejecutar después de setear datos
-     * @returns {object} - Objeto con resultado de la operación
+     * Obtener las columnas visibles del grid en el orden en que se muestran
+     * @param {object} grid - Vista grid del Interactive Grid
+     * @returns {array} - Array de nombres de columna (property)
      */
-    function setearDatosIG(configuracion) {
-        console.log('apexGridUtils: Seteando datos en IG:', configuracion.regionId);
-        
+    function getVisibleGridColumns(grid) {
+        let columns = [];
         try {
-            // Validar parámetros obligatorios
-            if (!configuracion.regionId) {
-                throw new Error('regionId es obligatorio');
+            columns = (grid.getColumns ? grid.getColumns() : grid.view$.grid('getColumns')) || [];
+        } catch (e) {
+            console.warn('apexGridUtils: No se pudieron obtener las columnas del grid:', e);
+        }
+
+        return columns
+            .filter(col => col.property && !col.hidden)
+            .sort((a, b) => (a.seq || 0) - (b.seq || 0))
+            .map(col => col.property);
+    }
+
+    /**
+     * Copiar las filas seleccionadas del grid al portapapeles como TSV (pegable en Excel)
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {object} opciones - Opciones de copia
+     * @param {array} opciones.columnas - Columnas a copiar (default: columnas visibles)
+     * @param {boolean} opciones.encabezado - Si debe incluir los nombres de columna (default: false)
+     * @param {boolean} opciones.usarDisplay - Copiar el texto visible de los Popup LOV en lugar del valor (default: false)
+     * @param {boolean} opciones.todasLasFilas - Copiar todas las filas si no hay selección (default: false)
+     * @returns {Promise<object>} - Promise que resuelve a { success, filas, columnas, texto }
+     */
+    function copiarAlPortapapeles(gridStaticId, opciones = {}) {
+        return new Promise((resolve) => {
+            try {
+                const grid = apex.region(gridStaticId).call("getViews").grid;
+                const model = grid.model;
+
+                const columns = (opciones.columnas && opciones.columnas.length > 0)
+                    ? opciones.columnas.map(c => c.toUpperCase())
+                    : getVisibleGridColumns(grid);
+
+                let records = grid.getSelectedRecords() || [];
+                if (records.length === 0 && opciones.todasLasFilas) {
+                    model.forEach(function(record) {
+                        records.push(record);
+                    });
+                }
+                if (records.length === 0) {
+                    console.warn(`apexGridUtils: No hay filas seleccionadas en ${gridStaticId}`);
+                    resolve({ success: false, error: 'No hay filas seleccionadas', filas: 0, columnas: 0, texto: '' });
+                    return;
+                }
+
+                // Celdas con tabulador, salto de línea o comillas van entre comillas (como Excel)
+                const celdaTsv = function(value) {
+                    if (value !== null && typeof value === 'object') {
+                        value = opciones.usarDisplay ? (value.d != null ? value.d : value.v) : value.v;
+                    }
+                    const texto = value === null || value === undefined ? '' : String(value);
+                    return /[\t\r\n"]/.test(texto) ? '"' + texto.replace(/"/g, '""') + '"' : texto;
+                };
+
+                const lineas = [];
+                if (opciones.encabezado) {
+                    lineas.push(columns.map(celdaTsv).join('\t'));
+                }
+                records.forEach(function(record) {
+                    lineas.push(columns.map(columnName => celdaTsv(model.getValue(record, columnName))).join('\t'));
+                });
+                const texto = lineas.join('\r\n');
+
+                const resultado = { success: true, filas: records.length, columnas: columns.length, texto: texto };
+
+                escribirPortapapeles(texto).then(function() {
+                    console.log(`apexGridUtils: ${records.length} fila(s) copiadas al portapapeles desde ${gridStaticId}`);
+                    resolve(resultado);
+                }, function(clipboardError) {
+                    console.error('apexGridUtils: No se pudo escribir en el portapapeles:', clipboardError);
+                    resolve(Object.assign(resultado, { success: false, error: clipboardError.message }));
+                });
+
+            } catch (error) {
+                console.error('apexGridUtils: Error al copiar al portapapeles:', error);
+                resolve({ success: false, error: error.message, filas: 0, columnas: 0, texto: '' });
             }
-            
-            // Obtener el Interactive Grid usando el método que funciona
-            const grid = apex.region(configuracion.regionId).call("getViews").grid;
-            const model = grid.model;
-            
-            // Habilitar modo edición si se especifica (por defecto true)
-            if (configuracion.modoEdicion !== false) {
-                try {
-                    // Habilitar edición en el modelo
-                    model.setOption("editable", true);
-                    // Activar modo edición en la grilla
-                    grid.setEditMode(true);
-                    console.log('apexGridUtils: Modo edición habilitado para:', configuracion.regionId);
-                } catch (editError) {
-                    console.warn('apexGridUtils: No se pudo habilitar modo edición:', editError);
+        });
+    }
+
+    /**
+     * Escribir texto en el portapapeles (Clipboard API con alternativa execCommand)
+     * @param {string} texto - Texto a copiar
+     * @returns {Promise} - Promise que resuelve cuando se copió
+     */
+    function escribirPortapapeles(texto) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            return navigator.clipboard.writeText(texto);
+        }
+
+        return new Promise((resolve, reject) => {
+            const textarea = document.createElement('textarea');
+            textarea.value = texto;
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+            try {
+                if (document.execCommand('copy')) {
+                    resolve();
+                } else {
+                    reject(new Error('execCommand("copy") no soportado'));
                 }
+            } catch (e) {
+                reject(e);
+            } finally {
+                document.body.removeChild(textarea);
+            }
+        });
+    }
+
+    /**
+     * Pegar un bloque TSV (copiado de Excel) en el grid a partir de la celda con foco
+     * Si el bloque supera la última fila se insertan registros nuevos
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {object} opciones - Opciones de pegado
+     * @param {string} opciones.texto - Texto a pegar (default: se lee del portapapeles)
+     * @param {string} opciones.columnaInicio - Columna inicial (default: columna con foco o primera visible)
+     * @param {string} opciones.registroInicio - ID del registro inicial (default: registro activo, seleccionado o primero)
+     * @param {array} opciones.columnas - Columnas destino en orden (default: columnas visibles)
+     * @param {boolean} opciones.encabezado - Si la primera línea es encabezado y se debe omitir (default: false)
+     * @param {boolean} opciones.insertarFilas - Insertar filas nuevas si el bloque supera el final (default: true)
+     * @param {array} opciones.columnasNumericas - Columnas a parsear con normalizeNumber (default: columnas NUMBER del modelo)
+     * @param {number} opciones.decimales - Decimales para columnas numéricas (default: los de la máscara de la columna o los del valor pegado)
+     * @param {array} opciones.popupLovColumns - Columnas Popup LOV (igual que setearDatosIG)
+     * @param {object} opciones.lovDisplayMaps - Mapas de display por columna (igual que setearDatosIG)
+     * @param {boolean} opciones.refrescar - Si debe refrescar la vista (default: true)
+     * @returns {Promise<object>} - Promise que resuelve a { success, actualizadas, insertadas, celdas, errores, columnasOmitidas }
+     */
+    function pegarDesdePortapapeles(gridStaticId, opciones = {}) {
+        const leerTexto = opciones.texto != null
+            ? Promise.resolve(opciones.texto)
+            : (navigator.clipboard && navigator.clipboard.readText
+                ? navigator.clipboard.readText()
+                : Promise.reject(new Error('El navegador no permite leer el portapapeles; use opciones.texto')));
+
+        return leerTexto.then(function(texto) {
+            return pegarTextoEnGrid(gridStaticId, texto, opciones);
+        }).catch(function(error) {
+            console.error('apexGridUtils: Error al pegar desde el portapapeles:', error);
+            return { success: false, error: error.message, actualizadas: 0, insertadas: 0, celdas: 0, errores: [] };
+        });
+    }
+
+    /**
+     * Pegar texto TSV en el grid (implementación de pegarDesdePortapapeles)
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string} texto - Bloque TSV
+     * @param {object} opciones - Opciones de pegarDesdePortapapeles
+     * @returns {object} - { success, actualizadas, insertadas, celdas, errores, columnasOmitidas }
+     */
+    function pegarTextoEnGrid(gridStaticId, texto, opciones) {
+        const grid = apex.region(gridStaticId).call("getViews").grid;
+        const model = grid.model;
+
+        let filas = parsearTextoDelimitado(texto, '\t');
+        // Excel agrega un salto de línea final: descartar filas completamente vacías al final
+        while (filas.length > 0 && filas[filas.length - 1].every(celda => celda === '')) {
+            filas.pop();
+        }
+        if (opciones.encabezado) {
+            filas = filas.slice(1);
+        }
+        if (filas.length === 0) {
+            return { success: false, error: 'No hay datos para pegar', actualizadas: 0, insertadas: 0, celdas: 0, errores: [] };
+        }
+
+        // Columnas destino a partir de la columna inicial
+        const columns = (opciones.columnas && opciones.columnas.length > 0)
+            ? opciones.columnas.map(c => c.toUpperCase())
+            : getVisibleGridColumns(grid);
+
+        let columnaInicio = opciones.columnaInicio ? opciones.columnaInicio.toUpperCase() : null;
+        if (!columnaInicio) {
+            try {
+                const activeColumn = grid.view$.grid('getActiveColumn');
+                columnaInicio = activeColumn && activeColumn.property ? activeColumn.property : null;
+            } catch (e) {
+                // Sin celda activa: se usa la primera columna
             }
-            
-            // Obtener datos de origen
-            var datos = [];
-            
-            if (configuracion.datos) {
-                // Datos pasados directamente
-                datos = Array.isArray(configuracion.datos) ? configuracion.datos : [configuracion.datos];
-            } else if (configuracion.campoOrigen) {
-                // Datos desde un campo de la página usando $v() como en tu ejemplo
-                var valorCampo = $v(configuracion.campoOrigen);
-                if (valorCampo) {
-                    try {
-                        datos = JSON.parse(valorCampo);
-                        console.log(`apexGridUtils: Datos obtenidos del item ${configuracion.campoOrigen}:`, datos);
-                    } catch (e) {
-                        throw new Error('Error al parsear JSON del campo: ' + configuracion.campoOrigen);
-                    }
+        }
+        const indiceColumna = Math.max(columns.indexOf(columnaInicio), 0);
+        const targetColumns = columns.slice(indiceColumna);
+
+        // Registros del modelo a partir del registro inicial
+        const records = [];
+        model.forEach(function(record) {
+            records.push(record);
+        });
+
+        let registroInicio = opciones.registroInicio || null;
+        if (!registroInicio) {
+            try {
+                registroInicio = grid.getActiveRecordId ? grid.getActiveRecordId() : null;
+            } catch (e) {
+                // Ignorar y usar la selección
+            }
+        }
+        if (!registroInicio) {
+            const selectedRecords = grid.getSelectedRecords() || [];
+            registroInicio = selectedRecords.length > 0 ? model.getRecordId(selectedRecords[0]) : null;
+        }
+        let indiceFila = registroInicio ? records.findIndex(record => String(model.getRecordId(record)) === String(registroInicio)) : 0;
+        indiceFila = Math.max(indiceFila, 0);
+
+        // Columnas numéricas: indicadas o detectadas por el tipo del campo en el modelo
+        let numericColumns = (opciones.columnasNumericas || []).map(c => c.toUpperCase());
+        if (!opciones.columnasNumericas) {
+            const fields = model.getOption('fields') || {};
+            numericColumns = Object.keys(fields).filter(f => fields[f] && fields[f].dataType === 'NUMBER');
+        }
+
+        // Columnas que no se pegan: solo lectura o calculadas automáticamente
+        const metadatos = obtenerMetadatosColumnas(grid);
+        const calculadas = (apexGridUtils.getAutoCalculationConfig(gridStaticId) || []).map(config => config.targetColumn);
+        const columnasOmitidas = targetColumns.filter(c => (metadatos[c] && metadatos[c].soloLectura) || calculadas.includes(c));
+
+        const resultado = { success: true, actualizadas: 0, insertadas: 0, celdas: 0, errores: [], columnasOmitidas: columnasOmitidas };
+        let ultimoRegistro = records[records.length - 1] || null;
+
+        filas.forEach(function(celdas, i) {
+            let record = records[indiceFila + i];
+
+            if (!record) {
+                if (opciones.insertarFilas === false) {
+                    return;
                 }
+                // Insertar al final, después del último registro
+                const newRecordId = model.insertNewRecord(null, ultimoRegistro);
+                record = model.getRecord(newRecordId);
+                ultimoRegistro = record;
+                resultado.insertadas++;
             } else {
-                throw new Error('Debe especificar datos o campoOrigen');
-            }
-            
-            // Validar que datos sea un array
-            if (!Array.isArray(datos)) {
-                datos = [datos];
+                resultado.actualizadas++;
             }
-            
-            // Función auxiliar para normalizar nombres de campos
-            function normalizarCampo(campo) {
-                return campo.toUpperCase();
-            }
-            
-            // Función auxiliar para mapear campos
-            function mapearCampos(registro, mapeo) {
-                var registroMapeado = {};
-                
-                if (mapeo && typeof mapeo === 'object') {
-                    // Usar mapeo personalizado
-                    Object.keys(mapeo).forEach(function(clave) {
-                        var campoOrigen = mapeo[clave];
-                        var campoDestino = normalizarCampo(clave);
-                        
-                        if (registro.hasOwnProperty(campoOrigen)) {
-                            registroMapeado[campoDestino] = registro[campoOrigen];
-                        }
-                    });
-                } else {
-                    // Mapeo automático - convertir todas las claves a mayúsculas
-                    Object.keys(registro).forEach(function(clave) {
-                        var campoDestino = normalizarCampo(clave);
-                        registroMapeado[campoDestino] = registro[clave];
-                    });
+
+            celdas.forEach(function(celda, j) {
+                const columnName = targetColumns[j];
+                if (!columnName || columnasOmitidas.includes(columnName)) {
+                    return; // El bloque tiene más columnas que el grid, o la columna no es editable
                 }
-                
-                return registroMapeado;
-            }
-            
-            // Limpiar datos existentes si se especifica
-            if (configuracion.limpiarAntes !== false) {
-                model.clearData();
-            }
-            
-            // Contador de registros procesados
-            var registrosProcesados = 0;
-            var registrosConErrores = 0;
-            
-            // Insertar cada registro usando el método que funciona
-            datos.forEach(function(registro, indice) {
                 try {
-                    // Aplicar transformación personalizada si existe
-                    if (configuracion.transformacion && typeof configuracion.transformacion === 'function') {
-                        registro = configuracion.transformacion(registro, indice);
-                    }
-                    
-                    // Filtrar registro si existe condición
-                    if (configuracion.filtro && typeof configuracion.filtro === 'function') {
-                        if (!configuracion.filtro(registro, indice)) {
-                            return; // Saltar este registro
+                    let value = celda === '' ? null : celda;
+
+                    if (value !== null && numericColumns.includes(columnName)) {
+                        // Rechazar textos que no son números en lugar de guardarlos como 0
+                        if (!/^\s*[-+]?(\d[\d.,\s]*)?\d\s*$/.test(value)) {
+                            resultado.errores.push({ fila: i + 1, columna: columnName, error: `"${value}" no es un número válido`, valor: value });
+                            return;
                         }
+                        const numero = apexGridUtils.normalizeNumber(value.replace(/\s/g, ''));
+                        const meta = metadatos[columnName] || {};
+                        value = serializarValorCelda(numero, { tipo: 'NUMBER', mascara: meta.mascara, decimales: opciones.decimales });
                     }
-                    
-                    // Mapear campos
-                    var registroMapeado = mapearCampos(registro, configuracion.mapeo);
-                    
-                    // Insertar registro usando el patrón que funciona
-                    try {
-                        // Crear nuevo registro vacío
-                        const newRecordId = model.insertNewRecord();
-                        const newRecord = model.getRecord(newRecordId);
-                        
-                        // Setear cada campo usando setValue (soporte para Popup LOV)
-                        Object.keys(registroMapeado).forEach(columnName => {
-                            try {
-                                const value = registroMapeado[columnName];
-
-                                // Detectar configuración de Popup LOV
-                                const isPopupLov = Array.isArray(configuracion.popupLovColumns)
-                                    ? configuracion.popupLovColumns.map(c => c.toUpperCase()).includes(columnName.toUpperCase())
-                                    : false;
-                                const lovDisplayMaps = configuracion.lovDisplayMaps || {};
-                                const lovMapForColumn = lovDisplayMaps[columnName] || lovDisplayMaps[columnName && columnName.toUpperCase()] || null;
-
-                                let finalValue = null;
-
-                                if (value === null || value === undefined) {
-                                    finalValue = null;
-                                } else if (typeof value === 'object' && (value.hasOwnProperty('v') || value.hasOwnProperty('d'))) {
-                                    // Si ya viene en formato {v, d}
-                                    const v = value.v;
-                                    const d = value.d != null ? value.d : value.v;
-                                    finalValue = { v: v, d: d };
-                                } else if (isPopupLov) {
-                                    // Si es Popup LOV y solo tenemos el valor, intentar resolver display
-                                    const v = value;
-                                    let d = null;
-                                    if (lovMapForColumn && Object.prototype.hasOwnProperty.call(lovMapForColumn, v)) {
-                                        d = lovMapForColumn[v];
-                                    } else {
-                                        // Fallback: usar el mismo valor como display
-                                        d = v;
-                                    }
-                                    finalValue = { v: v, d: d };
-                                } else {
-                                    // Comportamiento por defecto (string)
-                                    finalValue = value != null ? value.toString() : null;
-                                }
 
-                                model.setValue(newRecord, columnName, finalValue);
-                            } catch (setValueError) {
-                                console.warn(`apexGridUtils: Error al setear campo ${columnName}:`, setValueError);
-                            }
-                        });
-                        
-                    } catch (insertError) {
-                        console.error(`apexGridUtils: Error al insertar registro:`, insertError);
-                        throw insertError;
-                    }
-                    
-                    registrosProcesados++;
-                    
-                } catch (error) {
-                    console.error('apexGridUtils: Error al procesar registro', indice, ':', error);
-                    registrosConErrores++;
+                    model.setValue(record, columnName, prepararValorCelda(columnName, value, opciones));
+                    resultado.celdas++;
+                } catch (setValueError) {
+                    console.warn(`apexGridUtils: Error al pegar en ${columnName}:`, setValueError);
+                    resultado.errores.push({ fila: i + 1, columna: columnName, error: setValueError.message });
                 }
             });
-            
-            console.log('apexGridUtils: Registros procesados:', registrosProcesados);
-            if (registrosConErrores > 0) {
-                console.warn('apexGridUtils: Registros con errores:', registrosConErrores);
-            }
-            
-            // Refrescar la grilla si se especifica (por defecto true)
-            if (configuracion.refrescar !== false) {
-                try {
-                    // Usar el método que funciona para refrescar
-                    grid.view$.trigger('refresh');
-                    console.log('apexGridUtils: Grilla refrescada correctamente');
-                } catch (refreshError) {
-                    console.warn('apexGridUtils: No se pudo refrescar la grilla:', refreshError);
-                    // Intentar refresh de la región completa como alternativa
-                    try {
-                        apex.region(configuracion.regionId).refresh();
-                    } catch (regionRefreshError) {
-                        console.warn('apexGridUtils: No se pudo refrescar la región:', regionRefreshError);
-                    }
-                }
+        });
+
+        if (opciones.refrescar !== false) {
+            try {
+                grid.view$.trigger('refresh');
+            } catch (refreshError) {
+                console.warn('apexGridUtils: No se pudo refrescar la grilla:', refreshError);
             }
-            
-            // Ejecutar callback si existe
-            if (configuracion.callback && typeof configuracion.callback === 'function') {
-                configuracion.callback({
-                    procesados: registrosProcesados,
-                    errores: registrosConErrores,
-                    total: datos.length
+        }
+
+        console.log(`apexGridUtils: Pegado en ${gridStaticId}: ${resultado.actualizadas} fila(s) actualizadas, ${resultado.insertadas} insertadas`);
+        return resultado;
+    }
+
+    /**
+     * Importar un archivo CSV/TSV/XLSX (File Browse, input file o File) a un Interactive Grid
+     * El archivo se lee en el navegador con la File API; por defecto retorna una vista previa
+     * con la función insertar() para confirmar la carga
+     * @param {string} gridStaticId - Static ID del Interactive Grid
+     * @param {string|object} fileItemOrInput - Item File Browse, elemento input type="file" (o jQuery) o File
+     * @param {object} opciones - Opciones de importación (además acepta las de setearDatosIG)
+     * @param {string} opciones.formato - 'csv' | 'tsv' | 'xlsx' (default: según la extensión)
+     * @param {string} opciones.delimitador - Separador para CSV (default: se detecta entre , ; y tabulador)
+     * @param {string} opciones.comillas - Carácter de comillas para CSV (default: ")
+     * @param {string} opciones.codificacion - Codificación del texto (default: 'UTF-8')
+     * @param {string|number} opciones.hoja - Nombre o índice (0-basado) de la hoja XLSX (default: primera)
+     * @param {boolean|string} opciones.encabezados - true | false | 'auto' (default: 'auto')
+     * @param {array} opciones.columnas - Nombres de columna cuando el archivo no tiene encabezados (default: COL1, COL2...)
+     * @param {boolean} opciones.previsualizar - Retornar vista previa sin insertar (default: true)
+     * @param {number} opciones.filasPreview - Registros incluidos en la vista previa (default: 10)
+     * @returns {Promise<object>} - Vista previa { success, encabezados, registros, preview, fallidos, insertar() } o resultado de setearDatosIG
+     */
+    function importarArchivo(gridStaticId, fileItemOrInput, opciones = {}) {
+        let archivo;
+        let formato;
+
+        try {
+            archivo = obtenerArchivoSeleccionado(fileItemOrInput);
+            formato = (opciones.formato || detectarFormatoArchivo(archivo.name)).toLowerCase();
+        } catch (error) {
+            console.error('apexGridUtils: Error al importar archivo:', error);
+            return Promise.resolve({ success: false, error: error.message });
+        }
+
+        const lectura = formato === 'xlsx'
+            ? leerArchivo(archivo, 'arrayBuffer').then(buffer => leerFilasXlsx(buffer, opciones.hoja))
+            : leerArchivo(archivo, 'texto', opciones.codificacion).then(function(texto) {
+                const delimitador = opciones.delimitador || (formato === 'tsv' ? '\t' : detectarDelimitador(texto));
+                return parsearTextoDelimitado(texto, delimitador, opciones.comillas || '"');
+            });
+
+        return lectura.then(function(filas) {
+            // Descartar filas completamente vacías (saltos de línea finales, filas en blanco de Excel)
+            filas = filas.filter(fila => fila.some(celda => celda !== '' && celda !== null && celda !== undefined));
+            if (filas.length === 0) {
+                throw new Error('El archivo no contiene datos');
+            }
+
+            // Encabezados: primera fila o nombres de columna
+            const tieneEncabezado = opciones.encabezados === 'auto' || opciones.encabezados === undefined
+                ? detectarEncabezado(filas)
+                : opciones.encabezados === true;
+            const anchoMaximo = Math.max.apply(null, filas.map(fila => fila.length));
+            const encabezados = [];
+            for (let i = 0; i < anchoMaximo; i++) {
+                const nombre = tieneEncabezado
+                    ? String(filas[0][i] == null ? '' : filas[0][i]).trim()
+                    : (opciones.columnas && opciones.columnas[i]);
+                encabezados.push(nombre || ('COL' + (i + 1)));
+            }
+
+            const registros = (tieneEncabezado ? filas.slice(1) : filas).map(function(fila) {
+                const registro = {};
+                encabezados.forEach(function(encabezado, i) {
+                    registro[encabezado] = fila[i] === undefined || fila[i] === null ? '' : fila[i];
                 });
+                return registro;
+            });
+
+            // Configuración de carga: las mismas opciones de setearDatosIG sobre los registros leídos
+            const insertar = function(opcionesCarga) {
+                return Promise.resolve(setearDatosIG(Object.assign({}, opciones, opcionesCarga, {
+                    regionId: gridStaticId,
+                    datos: registros
+                })));
+            };
+
+            console.log(`apexGridUtils: Archivo ${archivo.name} leído (${formato}): ${registros.length} registro(s)`);
+
+            if (opciones.previsualizar === false) {
+                return insertar();
             }
-            
+
+            // Vista previa con el pipeline mapeo/transformación/filtro ya aplicado
+            const preparacion = prepararRegistrosEntrada(registros, opciones);
             return {
                 success: true,
-                procesados: registrosProcesados,
-                errores: registrosConErrores,
-                total: datos.length
+                archivo: archivo.name,
+                formato: formato,
+                tieneEncabezado: tieneEncabezado,
+                encabezados: encabezados,
+                total: registros.length,
+                validos: preparacion.preparados.length,
+                registros: registros,
+                preview: preparacion.preparados.slice(0, opciones.filasPreview || 10),
+                fallidos: preparacion.fallidos,
+                insertar: insertar
             };
-            
-        } catch (error) {
-            console.error('apexGridUtils: Error al setear datos en IG:', error);
-            return {
-                success: false,
-                error: error.message,
-                procesados: 0,
-                errores: 0,
-                total: 0
+        }).catch(function(error) {
+            console.error('apexGridUtils: Error al importar archivo:', error);
+            return { success: false, error: error.message };
+        });
+    }
+
+    /**
+     * Obtener el File seleccionado en un item File Browse o input type="file"
+     * @param {string|object} fileItemOrInput - Nombre del item, elemento input, objeto jQuery o File
+     * @returns {object} - File seleccionado
+     */
+    function obtenerArchivoSeleccionado(fileItemOrInput) {
+        if (typeof Blob !== 'undefined' && fileItemOrInput instanceof Blob) {
+            return fileItemOrInput;
+        }
+
+        let input = fileItemOrInput;
+        if (typeof input === 'string') {
+            input = document.getElementById(input);
+        } else if (input && input.jquery) {
+            input = input[0];
+        }
+
+        if (!input || !input.files) {
+            throw new Error('No se encontró el input de archivo: ' + fileItemOrInput);
+        }
+        if (input.files.length === 0) {
+            throw new Error('No se seleccionó ningún archivo');
+        }
+        return input.files[0];
+    }
+
+    /**
+     * Determinar el formato de un archivo por su extensión
+     * @param {string} nombre - Nombre del archivo
+     * @returns {string} - 'csv' | 'tsv' | 'xlsx'
+     */
+    function detectarFormatoArchivo(nombre) {
+        const extension = String(nombre || '').split('.').pop().toLowerCase();
+        if (extension === 'xlsx') {
+            return 'xlsx';
+        }
+        if (extension === 'xls') {
+            throw new Error('El formato .xls no está soportado; guarde el archivo como .xlsx o CSV');
+        }
+        return extension === 'tsv' || extension === 'txt' ? 'tsv' : 'csv';
+    }
+
+    /**
+     * Leer un archivo con FileReader
+     * @param {object} archivo - File a leer
+     * @param {string} modo - 'texto' | 'arrayBuffer'
+     * @param {string} codificacion - Codificación para modo texto (default: 'UTF-8')
+     * @returns {Promise<string|ArrayBuffer>} - Contenido del archivo
+     */
+    function leerArchivo(archivo, modo, codificacion) {
+        return new Promise(function(resolve, reject) {
+            const reader = new FileReader();
+            reader.onload = function() {
+                resolve(reader.result);
+            };
+            reader.onerror = function() {
+                reject(reader.error || new Error('No se pudo leer el archivo ' + archivo.name));
             };
+            if (modo === 'arrayBuffer') {
+                reader.readAsArrayBuffer(archivo);
+            } else {
+                reader.readAsText(archivo, codificacion || 'UTF-8');
+            }
+        });
+    }
+
+    /**
+     * Detectar el delimitador de un CSV contando separadores en la primera línea
+     * @param {string} texto - Contenido del archivo
+     * @returns {string} - ',' | ';' | '\t'
+     */
+    function detectarDelimitador(texto) {
+        const primeraLinea = String(texto || '').split(/\r?\n/)[0];
+        let mejor = ',';
+        let maximo = 0;
+        [',', ';', '\t'].forEach(function(candidato) {
+            const cantidad = primeraLinea.split(candidato).length - 1;
+            if (cantidad > maximo) {
+                maximo = cantidad;
+                mejor = candidato;
+            }
+        });
+        return mejor;
+    }
+
+    /**
+     * Detectar si la primera fila es de encabezados: textos no numéricos, sin repetir
+     * @param {array} filas - Filas leídas del archivo
+     * @returns {boolean} - true si la primera fila parece de encabezados
+     */
+    function detectarEncabezado(filas) {
+        const primera = filas[0].filter(celda => celda !== '' && celda !== null && celda !== undefined);
+        if (primera.length === 0) {
+            return false;
         }
+        const todosTexto = primera.every(function(celda) {
+            return typeof celda === 'string' && !/^[-+]?[\d.,\s]+$/.test(celda.trim());
+        });
+        const sinRepetir = new Set(primera.map(celda => String(celda).trim().toUpperCase())).size === primera.length;
+        return todosTexto && sinRepetir;
     }
 
     /**
-     * Setear datos directamente en un Interactive Grid
-     * @param {string} regionId - ID de la región del Interactive Grid
-     * @param {array|object} datos - Datos a insertar
-     * @param {boolean} limpiar - Si debe limpiar datos existentes (default: true)
-     * @param {boolean} refrescar - Si debe refrescar la grilla (default: true)
-     * @param {boolean} modoEdicion - Si debe habilitar modo edición (default: true)
-     * @returns {object} - Objeto con resultado de la operación
+     * Leer las filas de una hoja XLSX
+     * Usa SheetJS (window.XLSX) si está cargado; si no, un lector interno (ZIP + XML)
+     * @param {ArrayBuffer} buffer - Contenido del archivo
+     * @param {string|number} hoja - Nombre o índice de la hoja (default: primera)
+     * @returns {Promise<array>} - Array de filas, cada una un array de celdas
      */
-    function setearDatosDirectos(regionId, datos, limpiar = true, refrescar = true, modoEdicion = true) {
-        return setearDatosIG({
-            regionId: regionId,
-            datos: datos,
-            limpiarAntes: limpiar,
-            refrescar: refrescar,
-            modoEdicion: modoEdicion
+    function leerFilasXlsx(buffer, hoja) {
+        if (typeof XLSX !== 'undefined' && XLSX.read) {
+            // cellDates: las celdas con formato de fecha llegan como Date en lugar del número de serie
+            const libro = XLSX.read(new Uint8Array(buffer), { type: 'array', cellDates: true });
+            const nombreHoja = typeof hoja === 'number' ? libro.SheetNames[hoja] : (hoja || libro.SheetNames[0]);
+            if (!libro.Sheets[nombreHoja]) {
+                return Promise.reject(new Error('No existe la hoja: ' + hoja));
+            }
+            return Promise.resolve(XLSX.utils.sheet_to_json(libro.Sheets[nombreHoja], { header: 1, raw: true, defval: '' }));
+        }
+
+        const entradas = leerEntradasZip(buffer);
+        const leerXml = function(nombre) {
+            if (!entradas.has(nombre)) {
+                return Promise.resolve(null);
+            }
+            return descomprimirEntradaZip(entradas.get(nombre)).then(function(bytes) {
+                return new DOMParser().parseFromString(new TextDecoder('utf-8').decode(bytes), 'application/xml');
+            });
+        };
+
+        return Promise.all([
+            leerXml('xl/workbook.xml'),
+            leerXml('xl/_rels/workbook.xml.rels'),
+            leerXml('xl/sharedStrings.xml'),
+            leerXml('xl/styles.xml')
+        ]).then(function(documentos) {
+            const libro = documentos[0];
+            const relaciones = documentos[1];
+            if (!libro || !relaciones) {
+                throw new Error('El archivo no es un libro XLSX válido');
+            }
+
+            // Textos compartidos (las celdas de texto guardan su índice)
+            const textos = documentos[2]
+                ? Array.from(documentos[2].getElementsByTagName('si')).map(textoNodoXlsx)
+                : [];
+
+            // Estilos con formato de fecha (las fechas se guardan como número de serie)
+            const nodoPropiedades = libro.getElementsByTagName('workbookPr')[0];
+            const fecha1904 = !!nodoPropiedades && ['1', 'true'].indexOf(nodoPropiedades.getAttribute('date1904')) !== -1;
+            const estilosFecha = estilosFechaXlsx(documentos[3]);
+
+            // Resolver la hoja pedida a su archivo dentro del ZIP
+            const hojas = Array.from(libro.getElementsByTagName('sheet'));
+            const nodoHoja = typeof hoja === 'number'
+                ? hojas[hoja]
+                : (hoja ? hojas.find(h => h.getAttribute('name') === hoja) : hojas[0]);
+            if (!nodoHoja) {
+                throw new Error('No existe la hoja: ' + hoja);
+            }
+            const idRelacion = nodoHoja.getAttribute('r:id');
+            const relacion = Array.from(relaciones.getElementsByTagName('Relationship')).find(r => r.getAttribute('Id') === idRelacion);
+            if (!relacion) {
+                throw new Error('No se encontró el contenido de la hoja: ' + nodoHoja.getAttribute('name'));
+            }
+            const destino = relacion.getAttribute('Target');
+            const rutaHoja = destino.charAt(0) === '/' ? destino.substring(1) : 'xl/' + destino;
+
+            return leerXml(rutaHoja).then(function(documentoHoja) {
+                if (!documentoHoja) {
+                    throw new Error('No se encontró el contenido de la hoja: ' + nodoHoja.getAttribute('name'));
+                }
+                return filasHojaXlsx(documentoHoja, textos, estilosFecha, fecha1904);
+            });
         });
     }
 
     /**
-     * Setear datos desde un campo de la página en un Interactive Grid
-     * @param {string} regionId - ID de la región del Interactive Grid
-     * @param {string} campoOrigen - Campo de la página que contiene los datos JSON
-     * @param {boolean} limpiar - Si debe limpiar datos existentes (default: true)
-     * @param {boolean} refrescar - Si debe refrescar la grilla (default: true)
-     * @param {boolean} modoEdicion - Si debe habilitar modo edición (default: true)
-     * @returns {object} - Objeto con resultado de la operación
+     * Convertir el XML de una hoja XLSX en filas de celdas (respetando celdas y filas vacías)
+     * @param {Document} documento - XML de la hoja
+     * @param {array} textos - Textos compartidos del libro
+     * @param {array} estilosFecha - Por índice de estilo (atributo s), true si el formato es de fecha
+     * @param {boolean} fecha1904 - Libro con el sistema de fechas 1904
+     * @returns {array} - Array de filas
      */
-    function setearDatos(regionId, campoOrigen, limpiar = true, refrescar = true, modoEdicion = true) {
-        return setearDatosIG({
-            regionId: regionId,
-            campoOrigen: campoOrigen,
-            limpiarAntes: limpiar,
-            refrescar: refrescar,
-            modoEdicion: modoEdicion
+    function filasHojaXlsx(documento, textos, estilosFecha = [], fecha1904 = false) {
+        const filas = [];
+
+        Array.from(documento.getElementsByTagName('row')).forEach(function(nodoFila) {
+            const numeroFila = parseInt(nodoFila.getAttribute('r'), 10) || (filas.length + 1);
+            const fila = [];
+
+            Array.from(nodoFila.getElementsByTagName('c')).forEach(function(nodoCelda) {
+                // Columna a partir de la referencia (ej: "C7" => 2)
+                const letras = (nodoCelda.getAttribute('r') || '').replace(/\d+/g, '');
+                let columna = fila.length;
+                if (letras) {
+                    columna = 0;
+                    for (let i = 0; i < letras.length; i++) {
+                        columna = columna * 26 + (letras.charCodeAt(i) - 64);
+                    }
+                    columna--;
+                }
+
+                const tipo = nodoCelda.getAttribute('t');
+                const nodoValor = nodoCelda.getElementsByTagName('v')[0];
+                const valor = nodoValor ? nodoValor.textContent : '';
+                let celda;
+
+                if (tipo === 's') {
+                    celda = textos[parseInt(valor, 10)] || '';
+                } else if (tipo === 'inlineStr') {
+                    const nodoTexto = nodoCelda.getElementsByTagName('is')[0];
+                    celda = nodoTexto ? textoNodoXlsx(nodoTexto) : '';
+                } else if (tipo === 'b') {
+                    celda = valor === '1';
+                } else if (tipo === 'str' || tipo === 'e') {
+                    celda = valor;
+                } else if (valor !== '' && estilosFecha[parseInt(nodoCelda.getAttribute('s'), 10) || 0]) {
+                    celda = fechaSerialXlsx(Number(valor), fecha1904);
+                } else {
+                    celda = valor === '' ? '' : Number(valor);
+                }
+
+                while (fila.length < columna) {
+                    fila.push('');
+                }
+                fila[columna] = celda;
+            });
+
+            while (filas.length < numeroFila - 1) {
+                filas.push([]);
+            }
+            filas[numeroFila - 1] = fila;
+        });
+
+        return filas;
+    }
+
+    /**
+     * Marcar los estilos de celda (cellXfs) cuyo formato numérico es de fecha u hora
+     * @param {Document} documento - XML de xl/styles.xml (opcional)
+     * @returns {array} - Por índice de estilo, true si es de fecha
+     */
+    function estilosFechaXlsx(documento) {
+        if (!documento) {
+            return [];
+        }
+
+        // Formatos propios del libro: es de fecha si usa d, m, y, h o s fuera de textos y de [color]/[$-locale]
+        const formatosFecha = new Set();
+        Array.from(documento.getElementsByTagName('numFmt')).forEach(function(nodo) {
+            const codigo = (nodo.getAttribute('formatCode') || '')
+                .replace(/"[^"]*"/g, '')
+                .replace(/\\./g, '')
+                .replace(/\[(?![hms]+\])[^\]]*\]/gi, '');
+            if (/[dmyhs]/i.test(codigo)) {
+                formatosFecha.add(parseInt(nodo.getAttribute('numFmtId'), 10));
+            }
         });
+
+        // Formatos predefinidos de fecha y hora
+        const esFecha = function(id) {
+            return (id >= 14 && id <= 22) || (id >= 27 && id <= 36) || (id >= 45 && id <= 47) ||
+                (id >= 50 && id <= 58) || formatosFecha.has(id);
+        };
+
+        const nodoEstilos = documento.getElementsByTagName('cellXfs')[0];
+        if (!nodoEstilos) {
+            return [];
+        }
+        return Array.from(nodoEstilos.getElementsByTagName('xf'))
+            .map(nodo => esFecha(parseInt(nodo.getAttribute('numFmtId'), 10) || 0));
+    }
+
+    /**
+     * Convertir un número de serie de Excel en fecha (hora local)
+     * @param {number} serial - Días desde la época del libro (la parte decimal es la hora)
+     * @param {boolean} fecha1904 - Libro con el sistema de fechas 1904
+     * @returns {Date} - Fecha
+     */
+    function fechaSerialXlsx(serial, fecha1904) {
+        const epoca = fecha1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+        const utc = new Date(epoca + Math.round(serial * 86400) * 1000);
+        return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(),
+            utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds());
+    }
+
+    /**
+     * Texto de un nodo de texto XLSX (une los fragmentos <t> de texto enriquecido)
+     * @param {Element} nodo - Nodo <si> o <is>
+     * @returns {string} - Texto completo
+     */
+    function textoNodoXlsx(nodo) {
+        return Array.from(nodo.getElementsByTagName('t'))
+            .filter(t => !t.parentNode || t.parentNode.nodeName !== 'rPh')
+            .map(t => t.textContent)
+            .join('');
+    }
+
+    /**
+     * Leer el directorio central de un archivo ZIP
+     * @param {ArrayBuffer} buffer - Contenido del ZIP
+     * @returns {Map} - Map nombre => { metodo, datos (Uint8Array comprimido) }
+     */
+    function leerEntradasZip(buffer) {
+        const vista = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const entradas = new Map();
+
+        // Buscar el fin del directorio central desde el final del archivo
+        let fin = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (vista.getUint32(i, true) === 0x06054b50) {
+                fin = i;
+                break;
+            }
+        }
+        if (fin < 0) {
+            throw new Error('El archivo no es un XLSX válido (ZIP no reconocido)');
+        }
+
+        const cantidad = vista.getUint16(fin + 10, true);
+        let posicion = vista.getUint32(fin + 16, true);
+        const decodificador = new TextDecoder('utf-8');
+
+        for (let n = 0; n < cantidad; n++) {
+            if (vista.getUint32(posicion, true) !== 0x02014b50) {
+                break;
+            }
+            const metodo = vista.getUint16(posicion + 10, true);
+            const tamanoComprimido = vista.getUint32(posicion + 20, true);
+            const largoNombre = vista.getUint16(posicion + 28, true);
+            const largoExtra = vista.getUint16(posicion + 30, true);
+            const largoComentario = vista.getUint16(posicion + 32, true);
+            const offsetLocal = vista.getUint32(posicion + 42, true);
+            const nombre = decodificador.decode(bytes.subarray(posicion + 46, posicion + 46 + largoNombre));
+
+            // Los datos empiezan después del encabezado local (con su propio nombre y extra)
+            const inicioDatos = offsetLocal + 30 + vista.getUint16(offsetLocal + 26, true) + vista.getUint16(offsetLocal + 28, true);
+            entradas.set(nombre, { metodo: metodo, datos: bytes.subarray(inicioDatos, inicioDatos + tamanoComprimido) });
+
+            posicion += 46 + largoNombre + largoExtra + largoComentario;
+        }
+
+        return entradas;
+    }
+
+    /**
+     * Descomprimir una entrada ZIP (sin compresión o deflate) con DecompressionStream
+     * @param {object} entrada - { metodo, datos } de leerEntradasZip
+     * @returns {Promise<Uint8Array>} - Bytes descomprimidos
+     */
+    function descomprimirEntradaZip(entrada) {
+        if (entrada.metodo === 0) {
+            return Promise.resolve(entrada.datos);
+        }
+        if (entrada.metodo !== 8) {
+            return Promise.reject(new Error('Método de compresión no soportado: ' + entrada.metodo));
+        }
+        if (typeof DecompressionStream === 'undefined') {
+            return Promise.reject(new Error('El navegador no puede descomprimir XLSX; cargue SheetJS (XLSX) o use CSV'));
+        }
+        const stream = new Blob([entrada.datos]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).arrayBuffer().then(resultado => new Uint8Array(resultado));
     }
 
     /**
@@ -2968,8 +7508,8 @@ function setFirstNumericCellValueWithCommit(gridStaticId, columnName, value, dec
                 try {
                     console.log(`🛑 apexGridUtils DEBUG: Deteniendo debug para ${gridStaticId}`);
                     
-                    if (modelSubscription && modelSubscription.unsubscribe) {
-                        modelSubscription.unsubscribe();
+                    if (modelSubscription) {
+                        model.unsubscribe(modelSubscription);
                     }
                     
                     if (viewSubscription && viewSubscription.off) {
@@ -5405,7 +9945,32 @@ function setFirstNumericCellValueWithCommit(gridStaticId, columnName, value, dec
                                 display = $item.find('option:selected').text();
                             }
                         } catch(e) { /* noop */ }
-                        if (display == null || display === '') { display = value; }
+                        if (display == null || display === '') {
+                            // Sin display en el item: resolverlo con lovResolver (si existe) antes de escribir
+                            if (typeof options.lovResolver === 'function' && value !== null && value !== undefined && value !== '') {
+                                isSyncing = false;
+                                var columnaLov = columnName.toUpperCase();
+                                var valoresLov = {};
+                                valoresLov[columnaLov] = [value];
+                                resolverDisplaysLov(gridStaticId, valoresLov, options.lovResolver).then(function(mapas) {
+                                    // El item cambió mientras se resolvía: ese cambio ya escribe su propio valor
+                                    if (String($v(itemName)) !== String(value)) {
+                                        return;
+                                    }
+                                    var resuelto = mapas[columnaLov] && mapas[columnaLov][value];
+                                    isSyncing = true;
+                                    model.setValue(record, columnName, { v: value, d: resuelto != null ? resuelto : value });
+                                    if (model.markDirty) { model.markDirty(record); }
+                                    if (model.commitRecord) { model.commitRecord(record); }
+                                    isSyncing = false;
+                                }).catch(function(e) {
+                                    isSyncing = false;
+                                    console.error('apexGridUtils: Error resolviendo display para Item → Grid:', e);
+                                });
+                                return true;
+                            }
+                            display = value;
+                        }
                         finalValue = { v: value, d: display };
                     }
                     model.setValue(record, columnName, finalValue);